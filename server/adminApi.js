@@ -0,0 +1,312 @@
+/**
+ * Admin HTTP API
+ * Served on the same port as the WebSocket server so the server can be
+ * monitored and controlled without the console.
+ *
+ * Requests must carry the token of a user with the admin role
+ * ("Authorization: Bearer <user>:<key>") when authentication is enabled. Requests made by web pages from another origin
+ * than the configured app (api.allowedOrigin) are refused.
+ *
+ * Routes:
+ *   GET    /api/status                               - Server status and statistics
+ *   GET    /api/clients                              - Connected clients
+ *   GET    /api/clients/:id                          - One connected client
+ *   POST   /api/clients/:id/disconnect               - Disconnect a client and end its session
+ *   POST   /api/clients/:id/recording/start          - Start recording a client (?name= to name the recording)
+ *   POST   /api/clients/:id/recording/stop           - Stop recording a client
+ *   GET    /api/recordings                           - Recordings in server/recordings
+ *   GET    /api/recordings/:name                     - One recording
+ *   DELETE /api/recordings/:name                     - Delete a recording's files (recorded in the audit log)
+ *   GET    /api/recordings/:name/files/:file         - Download a segment, manifest or transcript file,
+ *                                                      decrypted if it is encrypted at rest
+ *                                                      (?download=1 for an attachment; supports Range)
+ *   GET    /api/recordings/:name/transcript          - Export the transcript (?format=srt|vtt|txt|json,
+ *                                                      default json; ?download=1 for an attachment)
+ *   GET    /api/sessions                             - Catalogued sessions, newest first (?from=&to= dates,
+ *                                                      ?user=, ?tag=, ?client=, ?text= to find in
+ *                                                      transcripts, ?limit=, default 50)
+ *   GET    /api/sessions/:id                         - One catalogued session (ID or a unique prefix)
+ *   PUT    /api/sessions/:id/tags                    - Replace a session's tags (JSON body: { tags })
+ *   GET    /api/vocabularies                         - Custom vocabularies (without their terms)
+ *   GET    /api/vocabularies/:name                   - One vocabulary with its terms
+ *   PUT    /api/vocabularies/:name                   - Create or replace a vocabulary
+ *                                                      (JSON body: { terms, engineVocabulary })
+ *   DELETE /api/vocabularies/:name                   - Delete a vocabulary
+ *   GET    /metrics                                  - Server and per-client metrics (Prometheus text format)
+ */
+
+const path = require('path');
+const metrics = require('./metrics');
+const { openReader, createPlaintextStream } = require('./recordingEncryption');
+
+/**
+ * Error with the HTTP status code to report it with
+ */
+class ApiError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Decode a percent-encoded path parameter
+ * @throws {ApiError} 400 if the encoding is malformed
+ */
+function decodePathParam(param) {
+    try {
+        return decodeURIComponent(param);
+    } catch (error) {
+        throw new ApiError(400, `Malformed path parameter: ${param}`);
+    }
+}
+
+// Largest JSON request body accepted
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.wav': 'audio/wav',
+    '.json': 'application/json'
+};
+
+class AdminApi {
+    /**
+     * @param {Object} controller - Server functions the API exposes:
+     *   getStatus(), listClients(), getClient(id), disconnectClient(id),
+     *   startRecording(id, name), stopRecording(id),
+     *   listRecordings(), getRecording(name), deleteRecording(name, req), getRecordingFile(name, file),
+     *   exportTranscript(name, format) - { body, contentType, fileName },
+     *   querySessions(query), getSession(id), setSessionTags(id, body),
+     *   listVocabularies(), getVocabulary(name), saveVocabulary(name, definition), deleteVocabulary(name),
+     *   getMetrics() - metrics in Prometheus text format,
+     *   authenticate(req) - whether the request carries valid credentials,
+     *   authorize(req) - whether its user may use the API (has the admin role),
+     *   allowedOrigin() - origin of the web app allowed to call the API, or '*'
+     */
+    constructor(controller) {
+        this.controller = controller;
+        this.routes = [
+            ['GET', /^\/api\/status$/, () => controller.getStatus()],
+            ['GET', /^\/api\/clients$/, () => controller.listClients()],
+            ['GET', /^\/api\/clients\/(\d+)$/, (id) => controller.getClient(id)],
+            ['POST', /^\/api\/clients\/(\d+)\/disconnect$/, (id) => controller.disconnectClient(id)],
+            ['POST', /^\/api\/clients\/(\d+)\/recording\/start$/, (id, req, res, query) =>
+                controller.startRecording(id, query.get('name') || undefined)],
+            ['POST', /^\/api\/clients\/(\d+)\/recording\/stop$/, (id) => controller.stopRecording(id)],
+            ['GET', /^\/api\/recordings$/, () => controller.listRecordings()],
+            ['GET', /^\/api\/recordings\/([^/]+)$/, (name) => controller.getRecording(name)],
+            ['DELETE', /^\/api\/recordings\/([^/]+)$/, (name, req) => controller.deleteRecording(name, req)],
+            ['GET', /^\/api\/recordings\/([^/]+)\/files\/([^/]+)$/, (name, file, req, res, query) =>
+                this.sendFile(req, res, controller.getRecordingFile(name, file), query.has('download'))],
+            ['GET', /^\/api\/recordings\/([^/]+)\/transcript$/, (name, req, res, query) =>
+                this.sendExport(res, controller.exportTranscript(name, query.get('format') || 'json'), query.has('download'))],
+            ['GET', /^\/api\/sessions$/, (req, res, query) => controller.querySessions(query)],
+            ['GET', /^\/api\/sessions\/([^/]+)$/, (id) => controller.getSession(id)],
+            ['PUT', /^\/api\/sessions\/([^/]+)\/tags$/, async (id, req) => controller.setSessionTags(id, await this.readJson(req))],
+            ['GET', /^\/api\/vocabularies$/, () => controller.listVocabularies()],
+            ['GET', /^\/api\/vocabularies\/([^/]+)$/, (name) => controller.getVocabulary(name)],
+            ['PUT', /^\/api\/vocabularies\/([^/]+)$/, async (name, req) => controller.saveVocabulary(name, await this.readJson(req))],
+            ['DELETE', /^\/api\/vocabularies\/([^/]+)$/, (name) => controller.deleteVocabulary(name)],
+            ['GET', /^\/metrics$/, (req, res) => this.sendText(res, 200, controller.getMetrics(), metrics.CONTENT_TYPE)]
+        ];
+    }
+
+    /**
+     * Handle an HTTP request (use as the 'request' listener of the HTTP server)
+     */
+    async handleRequest(req, res) {
+        // The API is called from the Angular app, which is served from another origin
+        const allowedOrigin = this.controller.allowedOrigin();
+        res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Range');
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Content-Disposition');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        try {
+            // Browsers send simple requests (a POST or GET) from any page and only hide the
+            // response, so requests from other pages are refused rather than left to CORS
+            const origin = req.headers.origin;
+            if (origin && allowedOrigin !== '*' && origin !== allowedOrigin) {
+                throw new ApiError(403, `Origin ${origin} is not allowed`);
+            }
+            if (!this.controller.authenticate(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                throw new ApiError(401, 'Authentication required');
+            }
+            if (!this.controller.authorize(req)) {
+                throw new ApiError(403, 'The admin API requires a user with the admin role');
+            }
+
+            let pathMatched = false;
+            for (const [method, pattern, handler] of this.routes) {
+                const match = pattern.exec(url.pathname);
+                if (!match) {
+                    continue;
+                }
+                pathMatched = true;
+                if (method !== req.method) {
+                    continue;
+                }
+
+                const params = match.slice(1).map((param) => decodePathParam(param));
+                const result = await handler(...params, req, res, url.searchParams);
+                if (!res.headersSent) {
+                    this.sendJson(res, 200, result);
+                }
+                return;
+            }
+
+            throw pathMatched
+                ? new ApiError(405, `Method ${req.method} not allowed`)
+                : new ApiError(404, `No route for ${url.pathname}`);
+        } catch (error) {
+            if (!(error instanceof ApiError)) {
+                console.error(`[API] ${req.method} ${url.pathname} failed:`, error);
+            }
+            if (!res.headersSent) {
+                this.sendJson(res, error.statusCode || 500, { error: error.message });
+            } else {
+                res.destroy();
+            }
+        }
+    }
+
+    /**
+     * Read a JSON request body
+     * @returns {Promise<*>} Parsed body
+     * @throws {ApiError} 413 if the body is too large, 400 if it is not JSON
+     */
+    readJson(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    req.pause();
+                    reject(new ApiError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    reject(new ApiError(400, `Request body is not valid JSON: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Send a JSON response
+     */
+    sendJson(res, statusCode, body) {
+        const json = JSON.stringify(body === undefined ? {} : body);
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(json)
+        });
+        res.end(json);
+    }
+
+    /**
+     * Send a plain text response
+     */
+    sendText(res, statusCode, body, contentType = 'text/plain; charset=utf-8') {
+        res.writeHead(statusCode, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    /**
+     * Send generated file contents
+     * @param {Object} exported - { body, contentType, fileName }
+     * @param {boolean} asAttachment - Ask the browser to save rather than display the file
+     */
+    sendExport(res, exported, asAttachment) {
+        res.setHeader('Content-Disposition', `${asAttachment ? 'attachment' : 'inline'}; filename="${exported.fileName}"`);
+        this.sendText(res, 200, exported.body, exported.contentType);
+    }
+
+    /**
+     * Stream a file, honouring a single byte Range so audio players can seek.
+     * Encrypted recording files are decrypted on the way out (sizes and ranges refer to the plaintext).
+     * @param {string} filePath - Absolute path of the file
+     * @param {boolean} asAttachment - Ask the browser to save rather than display the file
+     */
+    sendFile(req, res, filePath, asAttachment) {
+        const reader = openReader(filePath);
+        const size = reader.size;
+        reader.close();
+        const fileName = path.basename(filePath);
+        const headers = {
+            'Content-Type': CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream',
+            'Content-Disposition': `${asAttachment ? 'attachment' : 'inline'}; filename="${fileName}"`,
+            'Accept-Ranges': 'bytes'
+        };
+
+        let start = 0;
+        let end = size - 1;
+        let statusCode = 200;
+
+        const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+        if (range && (range[1] || range[2])) {
+            if (range[1]) {
+                start = parseInt(range[1], 10);
+                end = range[2] ? Math.min(parseInt(range[2], 10), size - 1) : size - 1;
+            } else {
+                // Suffix range: the last N bytes
+                start = Math.max(0, size - parseInt(range[2], 10));
+            }
+            if (start > end || start >= size) {
+                res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+                res.end();
+                return Promise.resolve();
+            }
+            statusCode = 206;
+            headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+        }
+
+        headers['Content-Length'] = size === 0 ? 0 : end - start + 1;
+        res.writeHead(statusCode, headers);
+
+        if (size === 0) {
+            res.end();
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const stream = createPlaintextStream(filePath, { start, end });
+            stream.on('error', (error) => {
+                console.error(`[API] Error reading ${fileName}:`, error.message);
+                res.destroy();
+                resolve();
+            });
+            res.on('close', () => {
+                stream.destroy();
+                resolve();
+            });
+            stream.pipe(res);
+        });
+    }
+}
+
+module.exports = {
+    AdminApi,
+    ApiError
+};
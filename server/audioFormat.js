@@ -0,0 +1,180 @@
+/**
+ * Audio Format Module
+ * Parses the format declared in an AudioEvent's :content-type header and
+ * converts incoming PCM to the canonical format used for recording and
+ * transcription (16-bit little-endian PCM at audio-config.json's rate and
+ * channel count)
+ *
+ * Content type syntax:
+ *   audio/pcm;rate=<hz>;channels=<n>[;encoding=<encoding>]
+ * Supported encodings: s16le (default), s16be, s24le, s32le, f32le
+ * audio/l16 is accepted as s16be (RFC 2586)
+ */
+
+const Resampler = require('./resampler');
+
+// Bytes per sample and decoder for each supported encoding (decoders return -1.0 .. 1.0)
+const ENCODINGS = {
+    s16le: { bytes: 2, read: (buffer, offset) => buffer.readInt16LE(offset) / 32768 },
+    s16be: { bytes: 2, read: (buffer, offset) => buffer.readInt16BE(offset) / 32768 },
+    s24le: { bytes: 3, read: (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608 },
+    s32le: { bytes: 4, read: (buffer, offset) => buffer.readInt32LE(offset) / 2147483648 },
+    f32le: { bytes: 4, read: (buffer, offset) => buffer.readFloatLE(offset) }
+};
+
+/**
+ * Parse a :content-type header into an audio format
+ * @param {string} contentType - Header value
+ * @param {Object} defaults - Format used for parameters that are not declared
+ * @returns {{encoding: string, sampleRate: number, channels: number}} Declared format
+ * @throws {Error} If the content type or encoding is not supported
+ */
+function parseContentType(contentType, defaults) {
+    const [mimeType, ...params] = (contentType || '').split(';').map((part) => part.trim());
+    const format = {
+        encoding: 's16le',
+        sampleRate: defaults.sampleRate,
+        channels: defaults.channels
+    };
+
+    const mime = mimeType.toLowerCase();
+    if (mime === 'audio/l16') {
+        format.encoding = 's16be';
+    } else if (mime && mime !== 'audio/pcm' && mime !== 'application/octet-stream') {
+        throw new Error(`Unsupported content type "${mimeType}"`);
+    }
+
+    params.forEach((param) => {
+        const [key, value] = param.split('=').map((part) => part.trim());
+        switch ((key || '').toLowerCase()) {
+            case 'rate':
+                format.sampleRate = parseInt(value, 10);
+                break;
+            case 'channels':
+                format.channels = parseInt(value, 10);
+                break;
+            case 'encoding':
+                format.encoding = (value || '').toLowerCase();
+                break;
+        }
+    });
+
+    if (!ENCODINGS[format.encoding]) {
+        throw new Error(`Unsupported encoding "${format.encoding}"`);
+    }
+    if (!(format.sampleRate >= 8000 && format.sampleRate <= 192000)) {
+        throw new Error(`Unsupported sample rate "${format.sampleRate}"`);
+    }
+    if (!(format.channels >= 1 && format.channels <= 8)) {
+        throw new Error(`Unsupported channel count "${format.channels}"`);
+    }
+
+    return format;
+}
+
+/**
+ * Check whether two declared formats are identical
+ */
+function sameFormat(a, b) {
+    return a.encoding === b.encoding && a.sampleRate === b.sampleRate && a.channels === b.channels;
+}
+
+/**
+ * Describe a format for log messages
+ */
+function describeFormat(format) {
+    return `${format.encoding}, ${format.sampleRate} Hz, ${format.channels} ch`;
+}
+
+class FormatConverter {
+    /**
+     * @param {Object} inputFormat - Declared format ({ encoding, sampleRate, channels })
+     * @param {Object} outputFormat - Canonical format ({ sampleRate, channels }), always s16le
+     */
+    constructor(inputFormat, outputFormat) {
+        if (inputFormat.channels !== outputFormat.channels && inputFormat.channels !== 1 && outputFormat.channels !== 1) {
+            throw new Error(`Cannot convert ${inputFormat.channels} channels to ${outputFormat.channels}`);
+        }
+
+        this.inputFormat = inputFormat;
+        this.outputFormat = outputFormat;
+        this.frameBytes = ENCODINGS[inputFormat.encoding].bytes * inputFormat.channels;
+        this.isPassThrough = sameFormat(inputFormat, { ...outputFormat, encoding: 's16le' });
+        // Trailing bytes of an incomplete frame, prepended to the next chunk
+        this.remainder = Buffer.alloc(0);
+        this.resamplers = [];
+        for (let channel = 0; channel < outputFormat.channels; channel++) {
+            this.resamplers.push(new Resampler(inputFormat.sampleRate, outputFormat.sampleRate));
+        }
+    }
+
+    /**
+     * Convert a chunk of audio to the canonical format
+     * @param {Buffer} buffer - Audio in the input format
+     * @returns {Buffer} 16-bit little-endian PCM in the output format
+     */
+    convert(buffer) {
+        if (this.remainder.length > 0) {
+            buffer = Buffer.concat([this.remainder, buffer]);
+        }
+
+        const frameCount = Math.floor(buffer.length / this.frameBytes);
+        const usable = frameCount * this.frameBytes;
+        this.remainder = Buffer.from(buffer.subarray(usable));
+
+        if (this.isPassThrough) {
+            return usable === buffer.length ? buffer : buffer.subarray(0, usable);
+        }
+
+        const { read, bytes } = ENCODINGS[this.inputFormat.encoding];
+        const inChannels = this.inputFormat.channels;
+        const outChannels = this.outputFormat.channels;
+
+        // Decode and map channels: same count, mix down to mono, or duplicate mono
+        const channelData = [];
+        for (let channel = 0; channel < outChannels; channel++) {
+            channelData.push(new Float32Array(frameCount));
+        }
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const base = frame * this.frameBytes;
+            if (inChannels === outChannels) {
+                for (let channel = 0; channel < inChannels; channel++) {
+                    channelData[channel][frame] = read(buffer, base + channel * bytes);
+                }
+            } else if (outChannels === 1) {
+                let sum = 0;
+                for (let channel = 0; channel < inChannels; channel++) {
+                    sum += read(buffer, base + channel * bytes);
+                }
+                channelData[0][frame] = sum / inChannels;
+            } else {
+                const sample = read(buffer, base);
+                for (let channel = 0; channel < outChannels; channel++) {
+                    channelData[channel][frame] = sample;
+                }
+            }
+        }
+
+        const resampled = channelData.map((data, channel) => this.resamplers[channel].process(data));
+        const outFrames = Math.min(...resampled.map((data) => data.length));
+        const output = Buffer.allocUnsafe(outFrames * outChannels * 2);
+
+        for (let frame = 0; frame < outFrames; frame++) {
+            for (let channel = 0; channel < outChannels; channel++) {
+                const s = Math.max(-1, Math.min(1, resampled[channel][frame]));
+                output.writeInt16LE(Math.round(s < 0 ? s * 0x8000 : s * 0x7FFF), (frame * outChannels + channel) * 2);
+            }
+        }
+
+        return output;
+    }
+}
+
+module.exports = {
+    ENCODINGS,
+    parseContentType,
+    sameFormat,
+    describeFormat,
+    FormatConverter
+};
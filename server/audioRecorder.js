@@ -1,17 +1,76 @@
 /**
  * Audio Recorder Module
  * Handles recording of incoming audio packets to WAV files
+ *
+ * A recording can be split into numbered segments that roll over after a
+ * configured duration or size ("recording" in audio-config.json). Rollover
+ * happens on a sample boundary inside a packet, so no samples are dropped
+ * or duplicated between segments. Each recording has a JSON manifest
+ * listing its segments (see recordingManifest.js).
+ *
+ * With encryption enabled, each segment is sealed as soon as it is complete,
+ * and the manifest and transcript are written sealed from the start
+ * (see recordingEncryption.js).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { buildWavHeader, finalizeWavHeader } = require('./wavFile');
+const { writeManifest } = require('./recordingManifest');
+const { TRANSCRIPT_SUFFIX, writeTranscript } = require('./transcript');
+const { sealFile } = require('./recordingEncryption');
+
+const { getConfig } = require('./config');
 
 // Load audio config
-const audioConfigPath = path.join(__dirname, '..', 'audio-config.json');
-const audioConfig = JSON.parse(fs.readFileSync(audioConfigPath, 'utf8'));
+const config = getConfig();
+const audioConfig = config.audio;
+
+// Directory recordings are written to
+const RECORDINGS_DIR = config.recordingsDir;
+
+// Segmenting options: 0 disables a limit
+const recordingConfig = {
+    segmentMinutes: 0,
+    segmentMB: 0,
+    rf64: true,
+    ...(audioConfig.recording || {})
+};
+
+// Whether complete recording files are encrypted (read once; changing it needs a restart)
+const ENCRYPT_RECORDINGS = config.encryption.enabled;
+
+// Largest data size a plain (non-RF64) WAV file can hold
+const MAX_WAV_DATA_BYTES = 0xFFFFFFFF - 80;
+
+// Transcript results are written to the file at most this often (and when the recording stops)
+const TRANSCRIPT_FLUSH_MS = 2000;
+
+/**
+ * Encrypt a complete recording file. A file that cannot be encrypted is left
+ * as it is (and encrypted at the next startup).
+ * @returns {Promise} Resolves once the file is sealed or the attempt failed
+ */
+function sealRecordingFile(file) {
+    return sealFile(file).catch((error) => {
+        console.error(`[Encryption] Cannot encrypt ${path.basename(file)}:`, error.message);
+    });
+}
 
 class AudioRecorder {
-    constructor() {
+    /**
+     * @param {number|null} clientId - Client whose audio is recorded (used in file names)
+     * @param {Object} [format] - Format written to the WAV header ({ sampleRate, channels, bitDepth });
+     *                            defaults to audio-config.json
+     */
+    constructor(clientId = null, format = null) {
+        this.clientId = clientId;
+        this.format = format || {
+            sampleRate: audioConfig.sampleRate,
+            channels: audioConfig.channels,
+            bitDepth: audioConfig.bitDepth
+        };
+
         // Recording state
         this.isRecording = false;
         this.recordingFile = null;
@@ -19,79 +78,77 @@ class AudioRecorder {
         this.recordingStartTime = null;
         this.recordingPackets = 0;
         this.recordingBytes = 0;
-        this.audioFormat = {
-            sampleRate: 16000,
-            channels: 1,
-            bitDepth: 16
-        };
-        this.audioDataBuffer = [];
+        this.audioFormat = { ...this.format };
+
+        // Segment state for the current recording
+        this.recordingBase = null;
+        this.manifestFile = null;
+        this.manifest = null;
+        this.transcript = null;
+        this.transcriptFile = null;
+        this.transcriptTimer = null;
+        this.segmentBytes = 0;
+        this.segmentLimitBytes = Infinity;
+        this.pendingSegments = [];
+
+        // Session metadata (patient/encounter IDs etc.) stored in each recording's manifest
+        this.metadata = {};
     }
 
     /**
-     * Write WAV file header
+     * Convert array of audio samples to Buffer
      */
-    writeWavHeader(stream, sampleRate, channels, bitDepth, dataSize) {
-        const bytesPerSample = bitDepth / 8;
-        const byteRate = sampleRate * channels * bytesPerSample;
-        const blockAlign = channels * bytesPerSample;
-        const fileSize = 36 + dataSize; // 36 = header size, dataSize = audio data size
-        
-        // RIFF header
-        stream.write('RIFF');
-        this.writeUInt32LE(stream, fileSize);
-        stream.write('WAVE');
-        
-        // fmt chunk
-        stream.write('fmt ');
-        this.writeUInt32LE(stream, 16); // fmt chunk size
-        this.writeUInt16LE(stream, 1); // audio format (1 = PCM)
-        this.writeUInt16LE(stream, channels);
-        this.writeUInt32LE(stream, sampleRate);
-        this.writeUInt32LE(stream, byteRate);
-        this.writeUInt16LE(stream, blockAlign);
-        this.writeUInt16LE(stream, bitDepth);
-        
-        // data chunk
-        stream.write('data');
-        this.writeUInt32LE(stream, dataSize);
+    samplesToBuffer(samples) {
+        const buffer = Buffer.allocUnsafe(samples.length * 2);
+        for (let i = 0; i < samples.length; i++) {
+            // Clamp value to 16-bit signed integer range
+            const sample = Math.max(-32768, Math.min(32767, samples[i]));
+            buffer.writeInt16LE(sample, i * 2);
+        }
+        return buffer;
     }
 
     /**
-     * Helper function to write 32-bit little-endian integer
+     * Bytes per sample frame (all channels) in the recording format
      */
-    writeUInt32LE(stream, value) {
-        const buffer = Buffer.allocUnsafe(4);
-        buffer.writeUInt32LE(value, 0);
-        stream.write(buffer);
+    get blockAlign() {
+        return this.audioFormat.channels * this.audioFormat.bitDepth / 8;
     }
 
     /**
-     * Helper function to write 16-bit little-endian integer
+     * Maximum audio bytes per segment, aligned to whole sample frames
      */
-    writeUInt16LE(stream, value) {
-        const buffer = Buffer.allocUnsafe(2);
-        buffer.writeUInt16LE(value, 0);
-        stream.write(buffer);
+    computeSegmentLimit() {
+        const byteRate = this.audioFormat.sampleRate * this.blockAlign;
+        let limit = Infinity;
+
+        if (recordingConfig.segmentMinutes > 0) {
+            limit = Math.min(limit, recordingConfig.segmentMinutes * 60 * byteRate);
+        }
+        if (recordingConfig.segmentMB > 0) {
+            limit = Math.min(limit, recordingConfig.segmentMB * 1024 * 1024);
+        }
+        // Without RF64 a single file must stay under the 4 GB RIFF limit
+        if (!recordingConfig.rf64) {
+            limit = Math.min(limit, MAX_WAV_DATA_BYTES);
+        }
+
+        return limit === Infinity ? limit : Math.max(this.blockAlign, limit - (limit % this.blockAlign));
     }
 
     /**
-     * Convert array of audio samples to Buffer
+     * Whether recordings are split into numbered segment files
      */
-    samplesToBuffer(samples) {
-        const buffer = Buffer.allocUnsafe(samples.length * 2);
-        for (let i = 0; i < samples.length; i++) {
-            // Clamp value to 16-bit signed integer range
-            const sample = Math.max(-32768, Math.min(32767, samples[i]));
-            buffer.writeInt16LE(sample, i * 2);
-        }
-        return buffer;
+    get isSegmented() {
+        return recordingConfig.segmentMinutes > 0 || recordingConfig.segmentMB > 0 || !recordingConfig.rf64;
     }
 
     /**
      * Start recording audio to a WAV file
      * @param {boolean} serverRunning - Whether the server is currently running
+     * @param {string|null} [name] - Base file name (default recording-client<N>-<timestamp>)
      */
-    startRecording(serverRunning = true) {
+    startRecording(serverRunning = true, name = null) {
         if (this.isRecording) {
             console.log('Recording is already in progress!');
             return;
@@ -104,72 +161,196 @@ class AudioRecorder {
 
         try {
             // Create recordings directory if it doesn't exist
-            const recordingsDir = path.join(__dirname, 'recordings');
+            const recordingsDir = RECORDINGS_DIR;
             if (!fs.existsSync(recordingsDir)) {
                 fs.mkdirSync(recordingsDir, { recursive: true });
             }
 
-            // Generate filename with timestamp
+            // Generate base filename with timestamp
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            this.recordingFile = path.join(recordingsDir, `recording-${timestamp}.wav`);
+            const clientPart = this.clientId !== null ? `client${this.clientId}-` : '';
+            this.recordingBase = path.join(recordingsDir, name || `recording-${clientPart}${timestamp}`);
+            this.manifestFile = `${this.recordingBase}.json`;
+            this.transcriptFile = `${this.recordingBase}${TRANSCRIPT_SUFFIX}`;
 
             // Initialize recording state
             this.isRecording = true;
             this.recordingStartTime = Date.now();
             this.recordingPackets = 0;
             this.recordingBytes = 0;
-            this.audioDataBuffer = [];
-            this.audioFormat = {
-                sampleRate: audioConfig.sampleRate,
-                channels: audioConfig.channels,
-                bitDepth: audioConfig.bitDepth
+            this.audioFormat = { ...this.format };
+            this.segmentLimitBytes = this.computeSegmentLimit();
+            this.pendingSegments = [];
+            this.manifest = {
+                recording: path.basename(this.recordingBase),
+                clientId: this.clientId,
+                format: { ...this.audioFormat },
+                metadata: { ...this.metadata },
+                startedAt: new Date(this.recordingStartTime).toISOString(),
+                endedAt: null,
+                totalSamples: 0,
+                duration: 0,
+                segments: []
+            };
+            this.transcript = {
+                recording: this.manifest.recording,
+                clientId: this.clientId,
+                metadata: { ...this.metadata },
+                startedAt: this.manifest.startedAt,
+                endedAt: null,
+                segments: []
             };
 
-            // Create write stream
-            this.recordingStream = fs.createWriteStream(this.recordingFile, { 
-                flags: 'w'
-            });
+            this.openSegment();
+            writeTranscript(this.transcriptFile, this.transcript, ENCRYPT_RECORDINGS);
+            console.log(`\n✓ Recording started: ${path.basename(this.recordingFile)}`);
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.isRecording = false;
+            this.recordingStream = null;
+            this.recordingFile = null;
+        }
+    }
 
-            // Track if stream is ready
-            let headerWritten = false;
+    /**
+     * Set the metadata stored with recordings; updates the manifest of a recording in progress
+     * @param {Object} metadata - Metadata (replaces the previous metadata)
+     */
+    setMetadata(metadata) {
+        this.metadata = { ...metadata };
+        if (this.isRecording && this.manifest) {
+            this.manifest.metadata = { ...this.metadata };
+            writeManifest(this.manifestFile, this.manifest, ENCRYPT_RECORDINGS);
+            this.transcript.metadata = { ...this.metadata };
+            this.flushTranscript();
+        }
+    }
 
-            // Handle stream errors
-            this.recordingStream.on('error', (error) => {
-                console.error('Recording stream error:', error);
-                this.isRecording = false;
-                this.recordingStream = null;
-            });
+    /**
+     * Add a final transcript segment to the recording's transcript
+     * @param {Object} segment - { resultId, startTime, endTime, text, confidence, speaker }
+     *                           with times in seconds from the start of the recording
+     */
+    addTranscriptSegment(segment) {
+        if (!this.isRecording || !this.transcript) {
+            return;
+        }
+        this.transcript.segments.push(segment);
 
-            // Wait for stream to be ready before writing header
-            this.recordingStream.on('open', () => {
-                if (!headerWritten) {
-                    // Write placeholder header (will be updated when stopping)
-                    console.log(this.audioFormat.sampleRate)
-                    console.log(this.audioFormat.channels)
-                    console.log(this.audioFormat.bitDepth)
-                
-                    this.writeWavHeader(this.recordingStream, this.audioFormat.sampleRate, 
-                                       this.audioFormat.channels, this.audioFormat.bitDepth, 0);
-                    headerWritten = true;
-                    console.log(`\n✓ Recording started: ${path.basename(this.recordingFile)}`);
-                    //console.log('Waiting for audio packets...\n');
-                }
-            });
+        // Rewriting the whole file for every result would grow with the transcript,
+        // so results arriving close together are written once
+        if (!this.transcriptTimer) {
+            this.transcriptTimer = setTimeout(() => this.flushTranscript(), TRANSCRIPT_FLUSH_MS);
+        }
+    }
 
-            // If stream is already open (synchronous open), write header immediately
-            if (this.recordingStream.writable && !headerWritten) {
-                this.writeWavHeader(this.recordingStream, this.audioFormat.sampleRate, 
-                                   this.audioFormat.channels, this.audioFormat.bitDepth, 0);
-                headerWritten = true;
-                console.log(`\n✓ Recording started: ${path.basename(this.recordingFile)}`);
-                //console.log('Waiting for audio packets...\n');
+    /**
+     * Write the transcript of the recording in progress now
+     */
+    flushTranscript() {
+        clearTimeout(this.transcriptTimer);
+        this.transcriptTimer = null;
+        if (this.isRecording && this.transcript) {
+            try {
+                writeTranscript(this.transcriptFile, this.transcript, ENCRYPT_RECORDINGS);
+            } catch (error) {
+                console.error(`[Recording] Cannot write ${path.basename(this.transcriptFile)}:`, error.message);
             }
-        } catch (error) {
-            console.error('Error starting recording:', error);
+        }
+    }
+
+    /**
+     * Open the next segment file and write its placeholder header
+     */
+    openSegment() {
+        const index = this.manifest.segments.length + 1;
+        const file = this.isSegmented
+            ? `${this.recordingBase}-part${String(index).padStart(3, '0')}.wav`
+            : `${this.recordingBase}.wav`;
+
+        // Segments are contiguous: each starts where the previous one ended
+        const previous = this.manifest.segments[this.manifest.segments.length - 1];
+        const startSample = previous ? previous.startSample + previous.sampleCount : 0;
+        const segment = {
+            index: index,
+            file: path.basename(file),
+            startedAt: new Date().toISOString(),
+            startSample: startSample,
+            sampleCount: 0,
+            bytes: 0,
+            duration: 0
+        };
+        this.manifest.segments.push(segment);
+
+        this.recordingFile = file;
+        this.segmentBytes = 0;
+        this.recordingStream = fs.createWriteStream(file, { flags: 'w' });
+
+        // Handle stream errors
+        this.recordingStream.on('error', (error) => {
+            console.error('Recording stream error:', error);
             this.isRecording = false;
             this.recordingStream = null;
-            this.recordingFile = null;
-        }
+        });
+
+        // Write placeholder header (sizes are patched when the segment is closed).
+        // Writes are queued until the file is open.
+        this.recordingStream.write(buildWavHeader(this.audioFormat, recordingConfig.rf64));
+
+        writeManifest(this.manifestFile, this.manifest, ENCRYPT_RECORDINGS);
+    }
+
+    /**
+     * Close the current segment; its header is finalized once all data is flushed
+     * @returns {Promise} Promise that resolves when the segment file is finalized
+     */
+    closeSegment() {
+        const stream = this.recordingStream;
+        const file = this.recordingFile;
+        const segment = this.manifest.segments[this.manifest.segments.length - 1];
+
+        segment.bytes = this.segmentBytes;
+        segment.sampleCount = this.segmentBytes / this.blockAlign;
+        segment.duration = segment.sampleCount / this.audioFormat.sampleRate;
+
+        this.recordingStream = null;
+
+        return new Promise((resolve, reject) => {
+            // Wait for stream to finish writing all buffered data
+            stream.on('finish', () => {
+                try {
+                    // Patch the header sizes in place; the audio data is not rewritten
+                    finalizeWavHeader(file);
+                    resolve(ENCRYPT_RECORDINGS ? sealRecordingFile(file) : undefined);
+                } catch (error) {
+                    console.error('Error finalizing recording file:', error);
+                    reject(error);
+                }
+            });
+
+            stream.on('error', (error) => {
+                console.error('Error in recording stream during stop:', error);
+                reject(error);
+            });
+
+            // Close the stream (triggers 'finish' event after all data is written)
+            stream.end();
+        });
+    }
+
+    /**
+     * Close the current segment and continue in a new one
+     */
+    rollSegment() {
+        const previous = path.basename(this.recordingFile);
+        const closing = this.closeSegment().catch(() => {});
+        this.pendingSegments.push(closing);
+        closing.then(() => {
+            this.pendingSegments = this.pendingSegments.filter((pending) => pending !== closing);
+        });
+
+        this.openSegment();
+        console.log(`[Recording] Segment ${previous} complete, continuing in ${path.basename(this.recordingFile)}`);
     }
 
     /**
@@ -182,150 +363,135 @@ class AudioRecorder {
             return Promise.resolve();
         }
 
-        return new Promise((resolve, reject) => {
-            try {
-                const recordingFile = this.recordingFile;
-                const recordingStartTime = this.recordingStartTime;
-                const recordingPackets = this.recordingPackets;
+        const recordingStartTime = this.recordingStartTime;
+        const recordingPackets = this.recordingPackets;
+        const recordingBytes = this.recordingBytes;
+        const manifest = this.manifest;
+        const manifestFile = this.manifestFile;
+        const transcript = this.transcript;
+        const transcriptFile = this.transcriptFile;
 
-                // Mark as not recording to prevent new writes
-                this.isRecording = false;
+        // Mark as not recording to prevent new writes; the transcript is written in full below
+        this.isRecording = false;
+        clearTimeout(this.transcriptTimer);
+        this.transcriptTimer = null;
 
-                // Wait for stream to finish writing all buffered data
-                this.recordingStream.on('finish', () => {
-                try {
-                    console.log(`[Recording] Stream finished. Packets: ${recordingPackets}, Bytes: ${this.recordingBytes}`);
-                    
-                    // Read the file to update the header with correct data size
-                    const fileBuffer = fs.readFileSync(recordingFile);
-                    
-                    console.log(`[Recording] File size after read: ${fileBuffer.length} bytes`);
-                    
-                    // Calculate actual data size (file size - 44 bytes header)
-                    const dataSize = fileBuffer.length - 44;
-                    
-                    if (dataSize <= 0) {
-                        console.log('\n⚠ No audio data was recorded. File contains only header.');
-                        console.log(`Expected bytes: ${this.recordingBytes}, File size: ${fileBuffer.length}`);
-                        console.log('This might indicate that writes were not flushed to disk.\n');
-                        // Clean up
-                        this.recordingStream = null;
-                        this.recordingFile = null;
-                        resolve();
-                        return;
-                    }
-                    
-                    // Update the file with correct header
-                    const newFileBuffer = Buffer.allocUnsafe(fileBuffer.length);
-                    fileBuffer.copy(newFileBuffer, 0, 0, 44); // Copy existing header
-                    
-                    // Update file size in RIFF header (bytes 4-7)
-                    newFileBuffer.writeUInt32LE(dataSize + 36, 4);
-                    
-                    // Update data chunk size (bytes 40-43)
-                    newFileBuffer.writeUInt32LE(dataSize, 40);
-                    
-                    // Copy audio data
-                    fileBuffer.copy(newFileBuffer, 44, 44);
-                    
-                    // Write updated file
-                    fs.writeFileSync(recordingFile, newFileBuffer);
-
-                    const duration = ((Date.now() - recordingStartTime) / 1000).toFixed(2);
-                    const fileSize = (fs.statSync(recordingFile).size / 1024).toFixed(2);
-
-                    console.log(`\n✓ Recording stopped`);
-                    console.log(`File: ${recordingFile}`);
-                    console.log(`Duration: ${duration}s`);
-                    console.log(`Packets recorded: ${recordingPackets}`);
-                    console.log(`File size: ${fileSize} KB\n`);
-                    
-                    resolve();
-                } catch (error) {
-                    console.error('Error finalizing recording file:', error);
-                    reject(error);
-                } finally {
-                    // Reset recording state
-                    this.recordingStream = null;
-                    this.recordingFile = null;
-                    this.recordingStartTime = null;
-                    this.recordingPackets = 0;
-                    this.recordingBytes = 0;
-                    this.audioDataBuffer = [];
+        const closing = this.recordingStream ? this.closeSegment() : Promise.resolve();
+
+        return Promise.all([...this.pendingSegments, closing])
+            .then(() => {
+                console.log(`[Recording] Stream finished. Packets: ${recordingPackets}, Bytes: ${recordingBytes}`);
+
+                manifest.endedAt = new Date().toISOString();
+                manifest.totalSamples = recordingBytes / (manifest.format.channels * manifest.format.bitDepth / 8);
+                manifest.duration = manifest.totalSamples / manifest.format.sampleRate;
+                writeManifest(manifestFile, manifest, ENCRYPT_RECORDINGS);
+                transcript.endedAt = manifest.endedAt;
+                writeTranscript(transcriptFile, transcript, ENCRYPT_RECORDINGS);
+
+                if (recordingBytes <= 0) {
+                    console.log('\n⚠ No audio data was recorded. File contains only header.\n');
+                    return;
                 }
-                });
-
-                // Handle stream errors
-                this.recordingStream.on('error', (error) => {
-                    console.error('Error in recording stream during stop:', error);
-                    this.isRecording = false;
-                    this.recordingStream = null;
-                    this.recordingFile = null;
-                    reject(error);
-                });
 
-                // Close the stream (triggers 'finish' event after all data is written)
-                // The 'finish' event will fire after all data has been flushed to disk
-                this.recordingStream.end();
-            } catch (error) {
+                const duration = ((Date.now() - recordingStartTime) / 1000).toFixed(2);
+                const fileSize = manifest.segments.reduce((total, segment) => {
+                    const file = path.join(RECORDINGS_DIR, segment.file);
+                    return total + (fs.existsSync(file) ? fs.statSync(file).size : 0);
+                }, 0);
+
+                console.log(`\n✓ Recording stopped`);
+                if (manifest.segments.length === 1) {
+                    console.log(`File: ${path.join(RECORDINGS_DIR, manifest.segments[0].file)}`);
+                } else {
+                    console.log(`Segments: ${manifest.segments.length} (manifest: ${manifestFile})`);
+                }
+                console.log(`Duration: ${duration}s (audio: ${manifest.duration.toFixed(2)}s)`);
+                console.log(`Packets recorded: ${recordingPackets}`);
+                console.log(`File size: ${(fileSize / 1024).toFixed(2)} KB\n`);
+            })
+            .catch((error) => {
                 console.error('Error stopping recording:', error);
-                this.isRecording = false;
+                throw error;
+            })
+            .finally(() => {
+                // Reset recording state
                 this.recordingStream = null;
                 this.recordingFile = null;
-                reject(error);
-            }
-        });
+                this.recordingStartTime = null;
+                this.recordingPackets = 0;
+                this.recordingBytes = 0;
+                this.recordingBase = null;
+                this.manifest = null;
+                this.manifestFile = null;
+                this.transcript = null;
+                this.transcriptFile = null;
+                this.pendingSegments = [];
+            });
     }
 
     /**
      * Write audio packet data to recording file
-     * @param {Object} packet - Audio packet with data array and format info
+     * @param {Object} packet - Audio packet with PCM buffer (or data array) and format info
+     * @returns {boolean} false if the file has fallen behind and the caller should stop
+     *                    feeding packets until drained() resolves (the packet is still written)
      */
     writeAudioPacket(packet) {
         if (!this.isRecording) {
-            return;
+            return true;
         }
 
         if (!this.recordingStream) {
             console.error('Recording stream is null!');
-            return;
+            return true;
         }
 
         if (!this.recordingStream.writable) {
             console.error('Recording stream is not writable!');
-            return;
+            return true;
         }
 
         try {
-            // Update format from first packet if needed
-            if (this.recordingPackets === 0) {
-                this.audioFormat.sampleRate = packet.sampleRate || audioConfig.sampleRate;
-                this.audioFormat.channels = packet.channels || audioConfig.channels;
-                this.audioFormat.bitDepth = packet.bitDepth || audioConfig.bitDepth;
-                //console.log(`[Recording] First packet - Format: ${this.audioFormat.sampleRate}Hz, ${this.audioFormat.channels}ch, ${this.audioFormat.bitDepth}bit`);
+            // The WAV header is written up front, so packets must match its format
+            if ((packet.sampleRate && packet.sampleRate !== this.audioFormat.sampleRate) ||
+                (packet.channels && packet.channels !== this.audioFormat.channels) ||
+                (packet.bitDepth && packet.bitDepth !== this.audioFormat.bitDepth)) {
+                console.error(`[Recording] Dropping packet in ${packet.sampleRate}Hz/${packet.channels}ch/${packet.bitDepth}bit; ` +
+                    `file is ${this.audioFormat.sampleRate}Hz/${this.audioFormat.channels}ch/${this.audioFormat.bitDepth}bit`);
+                return true;
+            }
+
+            // Raw PCM buffers are written straight through; sample arrays are converted first
+            let audioBuffer = null;
+            if (Buffer.isBuffer(packet.buffer) && packet.buffer.length > 0) {
+                audioBuffer = packet.buffer;
+            } else if (packet.data && Array.isArray(packet.data) && packet.data.length > 0) {
+                audioBuffer = this.samplesToBuffer(packet.data);
             }
 
-            // Convert samples to buffer and write
-            if (packet.data && Array.isArray(packet.data) && packet.data.length > 0) {
-                const audioBuffer = this.samplesToBuffer(packet.data);
-                
-                // Write the buffer - returns false if the stream wants us to wait for 'drain'
-                const canContinue = this.recordingStream.write(audioBuffer);
-                
-                if (!canContinue) {
-                    // If buffer is full, wait for drain event before continuing
-                    this.recordingStream.once('drain', () => {
-                        // Buffer drained, can continue writing
-                    });
+            if (audioBuffer) {
+                // Split the packet at the segment boundary so no samples are lost between files
+                let offset = 0;
+                while (offset < audioBuffer.length) {
+                    if (this.segmentBytes >= this.segmentLimitBytes) {
+                        this.rollSegment();
+                    }
+
+                    const room = this.segmentLimitBytes - this.segmentBytes;
+                    const chunk = room >= audioBuffer.length - offset
+                        ? (offset === 0 ? audioBuffer : audioBuffer.subarray(offset))
+                        : audioBuffer.subarray(offset, offset + room);
+
+                    // The stream buffers the chunk even when it is over its limit; the caller
+                    // is told below to hold off until it drains
+                    this.recordingStream.write(chunk);
+
+                    this.segmentBytes += chunk.length;
+                    offset += chunk.length;
                 }
-                
+
                 this.recordingPackets++;
                 this.recordingBytes += audioBuffer.length;
-                
-                // Debug: log first few packets
-                /*if (this.recordingPackets <= 3) {
-                    console.log(`[Recording] Packet #${this.recordingPackets}: ${audioBuffer.length} bytes written (total: ${this.recordingBytes} bytes)`);
-                }*/
             } else {
                 // Debug: log if packet has no data
                 if (this.recordingPackets === 0) {
@@ -337,6 +503,29 @@ class AudioRecorder {
             console.error('Error writing audio packet:', error);
             console.error('Error stack:', error.stack);
         }
+
+        return !this.recordingStream || !this.recordingStream.writableNeedDrain;
+    }
+
+    /**
+     * Wait until the recording file has caught up with the data written to it
+     * @returns {Promise} Resolves once the current segment's buffer has drained (or the segment closed)
+     */
+    drained() {
+        const stream = this.recordingStream;
+        if (!stream || !stream.writableNeedDrain) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const done = () => {
+                stream.off('drain', done);
+                stream.off('close', done);
+                resolve();
+            };
+            stream.on('drain', done);
+            stream.on('close', done);
+        });
     }
 
     /**
@@ -344,13 +533,19 @@ class AudioRecorder {
      */
     getStatus() {
         return {
+            clientId: this.clientId,
             isRecording: this.isRecording,
+            startedAt: this.isRecording ? this.recordingStartTime : null,
             recordingFile: this.recordingFile,
+            manifestFile: this.manifestFile,
+            segmentCount: this.manifest ? this.manifest.segments.length : 0,
+            transcriptSegments: this.transcript ? this.transcript.segments.length : 0,
             recordingPackets: this.recordingPackets,
             recordingBytes: this.recordingBytes
         };
     }
 }
 
-module.exports = AudioRecorder;
+AudioRecorder.RECORDINGS_DIR = RECORDINGS_DIR;
 
+module.exports = AudioRecorder;
@@ -0,0 +1,61 @@
+/**
+ * Audit Log Module
+ * Append-only record of recording deletions, one JSON object per line
+ * (config.auditLog):
+ *
+ *   { "time": "...", "action": "delete", "recording": "...", "by": "retention", "user": null,
+ *     "reason": "older than 30 day(s)", "files": ["..."], "bytes": 1234,
+ *     "clientId": 1, "startedAt": "..." }
+ *
+ * "by" is "retention" for the retention sweeper and "api" for the admin API
+ * (with the API user when authentication is enabled).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class AuditLog {
+    /**
+     * @param {string} file - Path of the log file
+     */
+    constructor(file) {
+        this.file = file;
+    }
+
+    /**
+     * Append an entry, stamped with the current time
+     * @param {string} action - What happened (e.g. "delete")
+     * @param {Object} details - Fields describing it
+     */
+    record(action, details) {
+        const entry = { time: new Date().toISOString(), action: action, ...details };
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+        } catch (error) {
+            console.error(`[Audit] Cannot write to ${this.file}:`, error.message);
+        }
+    }
+
+    /**
+     * Record the deletion of a recording
+     * @param {Object} recording - Recording as listed by recordingLibrary
+     * @param {string[]} files - Names of the deleted files
+     * @param {number} bytes - Bytes freed
+     * @param {Object} context - { by, user, reason }
+     */
+    recordDeletion(recording, files, bytes, context) {
+        this.record('delete', {
+            recording: recording.name,
+            by: context.by,
+            user: context.user || null,
+            reason: context.reason || null,
+            files: files,
+            bytes: bytes,
+            clientId: recording.clientId,
+            startedAt: recording.startedAt
+        });
+    }
+}
+
+module.exports = AuditLog;
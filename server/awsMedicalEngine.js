@@ -0,0 +1,317 @@
+/**
+ * AWS Transcribe Medical Streaming Engine
+ * Streams PCM audio to Transcribe Medical over its WebSocket API using
+ * event-stream framing and reports partial and final results
+ *
+ * Set "endpoint" in the transcription config to point at a local mock
+ * (see mockTranscribeServer.js) instead of AWS
+ */
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { TranscriptionEngine } = require('./transcriptionEngine');
+const { encodeAudioEvent, decodeMessage } = require('./eventStream');
+
+const SERVICE = 'transcribe';
+const STREAM_PATH = '/medical-stream-transcription-websocket';
+const STOP_TIMEOUT_MS = 5000;
+
+/**
+ * Hex-encoded SHA-256 digest
+ */
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+}
+
+/**
+ * HMAC-SHA256 digest
+ */
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+}
+
+/**
+ * URI-encode a query component as required by SigV4
+ */
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Build a SigV4 pre-signed WebSocket URL
+ * @param {Object} params - { protocol, host, path, region, query, credentials, expires }
+ * @returns {string} Signed URL
+ */
+function presignUrl({ protocol, host, path, region, query, credentials, expires = 300 }) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`;
+
+    const params = {
+        ...query,
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${credentials.accessKeyId}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expires),
+        'X-Amz-SignedHeaders': 'host'
+    };
+    if (credentials.sessionToken) {
+        params['X-Amz-Security-Token'] = credentials.sessionToken;
+    }
+
+    const canonicalQuery = Object.keys(params)
+        .sort()
+        .map((key) => `${uriEncode(key)}=${uriEncode(params[key])}`)
+        .join('&');
+
+    const canonicalRequest = [
+        'GET',
+        path,
+        canonicalQuery,
+        `host:${host}\n`,
+        'host',
+        sha256Hex('')
+    ].join('\n');
+
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        sha256Hex(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), region), SERVICE), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+    return `${protocol}://${host}${path}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+}
+
+class AwsMedicalEngine extends TranscriptionEngine {
+    /**
+     * @param {Object} options - Transcription config
+     * @param {string} [options.region] - AWS region (default: AWS_REGION or us-east-1)
+     * @param {string} [options.endpoint] - Override endpoint, e.g. ws://localhost:5001
+     * @param {string} [options.languageCode] - Language code (default: en-US)
+     * @param {string} [options.specialty] - Medical specialty (default: PRIMARYCARE)
+     * @param {string} [options.type] - DICTATION or CONVERSATION (default: DICTATION)
+     * @param {string|null} [options.vocabularyName] - Custom medical vocabulary created in AWS
+     */
+    constructor(options = {}) {
+        super(options);
+        this.ws = null;
+        this.pendingMessages = [];
+        this.closePromise = null;
+    }
+
+    /**
+     * Resolve AWS credentials from options or the environment
+     */
+    getCredentials() {
+        const accessKeyId = this.options.accessKeyId || process.env.AWS_ACCESS_KEY_ID;
+        const secretAccessKey = this.options.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY;
+        if (!accessKeyId || !secretAccessKey) {
+            return null;
+        }
+        return {
+            accessKeyId,
+            secretAccessKey,
+            sessionToken: this.options.sessionToken || process.env.AWS_SESSION_TOKEN
+        };
+    }
+
+    /**
+     * Build the streaming URL for the given audio format
+     */
+    buildUrl(format) {
+        const region = this.options.region || process.env.AWS_REGION || 'us-east-1';
+        const query = {
+            'language-code': this.options.languageCode || 'en-US',
+            'media-encoding': 'pcm',
+            'sample-rate': String(format.sampleRate),
+            'specialty': this.options.specialty || 'PRIMARYCARE',
+            'type': this.options.type || 'DICTATION'
+        };
+        if (this.options.vocabularyName) {
+            query['vocabulary-name'] = this.options.vocabularyName;
+        }
+        const credentials = this.getCredentials();
+
+        if (this.options.endpoint) {
+            const endpoint = new URL(this.options.endpoint);
+            const protocol = endpoint.protocol.replace(':', '');
+            const path = endpoint.pathname === '/' ? STREAM_PATH : endpoint.pathname;
+            if (credentials) {
+                return presignUrl({ protocol, host: endpoint.host, path, region, query, credentials });
+            }
+            const search = new URLSearchParams(query).toString();
+            return `${protocol}://${endpoint.host}${path}?${search}`;
+        }
+
+        if (!credentials) {
+            throw new Error('AWS credentials not configured (set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY)');
+        }
+
+        return presignUrl({
+            protocol: 'wss',
+            host: `transcribestreaming.${region}.amazonaws.com:8443`,
+            path: STREAM_PATH,
+            region,
+            query,
+            credentials
+        });
+    }
+
+    /**
+     * Open the streaming connection
+     * @param {Object} format - Audio format ({ sampleRate, channels, bitDepth })
+     */
+    start(format) {
+        if (this.isActive) {
+            return;
+        }
+
+        this.isActive = true;
+        this.pendingMessages = [];
+
+        try {
+            this.ws = new WebSocket(this.buildUrl(format));
+        } catch (error) {
+            this.isActive = false;
+            this.emit('error', error);
+            return;
+        }
+
+        this.closePromise = new Promise((resolve) => {
+            this.ws.on('close', (code, reason) => {
+                if (code !== 1000 && code !== 1005) {
+                    console.log(`[Transcribe] Stream closed: ${code} ${reason.toString()}`);
+                }
+                this.isActive = false;
+                this.ws = null;
+                this.emit('close');
+                resolve();
+            });
+        });
+
+        this.ws.on('open', () => {
+            this.pendingMessages.forEach((message) => this.ws.send(message));
+            this.pendingMessages = [];
+        });
+
+        this.ws.on('message', (data) => this.handleMessage(data));
+
+        this.ws.on('unexpected-response', (request, response) => {
+            this.emit('error', new Error(`Transcribe endpoint rejected connection: HTTP ${response.statusCode}`));
+        });
+
+        this.ws.on('error', (error) => {
+            this.emit('error', error);
+        });
+    }
+
+    /**
+     * Send a chunk of PCM audio, queueing it until the stream is open
+     * @param {Buffer} pcm - Raw 16-bit PCM audio
+     */
+    sendAudio(pcm) {
+        if (!this.isActive || !this.ws || pcm.length === 0) {
+            return;
+        }
+
+        const message = encodeAudioEvent(pcm);
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(message);
+        } else {
+            this.pendingMessages.push(message);
+        }
+    }
+
+    /**
+     * Signal end of audio and wait for final results
+     * @returns {Promise} Promise that resolves when the stream has closed
+     */
+    stop() {
+        if (!this.ws) {
+            this.isActive = false;
+            return Promise.resolve();
+        }
+
+        const ws = this.ws;
+        if (ws.readyState === WebSocket.OPEN) {
+            // An empty AudioEvent tells the service no more audio is coming
+            ws.send(encodeAudioEvent(Buffer.alloc(0)));
+        } else {
+            ws.terminate();
+        }
+
+        const timeout = new Promise((resolve) => {
+            setTimeout(() => {
+                if (this.ws === ws) {
+                    ws.terminate();
+                }
+                resolve();
+            }, STOP_TIMEOUT_MS).unref();
+        });
+
+        return Promise.race([this.closePromise, timeout]);
+    }
+
+    /**
+     * Handle an event-stream message from the service
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = decodeMessage(Buffer.isBuffer(data) ? data : Buffer.from(data));
+        } catch (error) {
+            this.emit('error', error);
+            return;
+        }
+
+        const messageType = message.headers[':message-type'];
+        let body = {};
+        try {
+            body = message.payload.length ? JSON.parse(message.payload.toString('utf8')) : {};
+        } catch (error) {
+            this.emit('error', new Error('Invalid JSON payload from transcription service'));
+            return;
+        }
+
+        if (messageType === 'exception' || messageType === 'error') {
+            const type = message.headers[':exception-type'] || message.headers[':error-code'] || 'Exception';
+            this.emit('error', new Error(`${type}: ${body.Message || message.headers[':error-message'] || 'unknown error'}`));
+            return;
+        }
+
+        if (message.headers[':event-type'] !== 'TranscriptEvent' || !body.Transcript) {
+            return;
+        }
+
+        (body.Transcript.Results || []).forEach((result) => {
+            const alternative = (result.Alternatives || [])[0];
+            if (!alternative) {
+                return;
+            }
+            // Word confidence is only reported for pronunciations; speakers need speaker labelling enabled
+            const items = alternative.Items || [];
+            const confidences = items
+                .filter((item) => typeof item.Confidence === 'number')
+                .map((item) => item.Confidence);
+            const speakerItem = items.find((item) => item.Speaker !== undefined);
+
+            this.emit(result.IsPartial ? 'partial' : 'final', {
+                resultId: result.ResultId,
+                text: alternative.Transcript || '',
+                startTime: result.StartTime,
+                endTime: result.EndTime,
+                confidence: confidences.length > 0
+                    ? confidences.reduce((total, value) => total + value, 0) / confidences.length
+                    : null,
+                speaker: speakerItem ? String(speakerItem.Speaker) : null
+            });
+        });
+    }
+}
+
+module.exports = AwsMedicalEngine;
@@ -0,0 +1,762 @@
+/**
+ * Client Session Module
+ * Holds everything owned by a client's stream: its recorder, transcription
+ * engine and packet statistics. A session outlives its WebSocket connection
+ * for a while when the connection drops, so the client can reconnect, resume
+ * it and replay the audio packets the server missed.
+ */
+
+const crypto = require('crypto');
+const AudioRecorder = require('./audioRecorder');
+const { createEngine } = require('./transcriptionEngine');
+const messages = require('./serverMessages');
+const VoiceActivityDetector = require('./voiceActivityDetector');
+const transcriptProcessor = require('./transcriptProcessor');
+const { getConfig } = require('./config');
+const { parseContentType, sameFormat, describeFormat, FormatConverter } = require('./audioFormat');
+
+// Load audio config
+const config = getConfig();
+const audioConfig = config.audio;
+
+// Format all audio is converted to before recording and transcription
+const CANONICAL_FORMAT = {
+    sampleRate: audioConfig.sampleRate,
+    channels: audioConfig.channels,
+    bitDepth: 16
+};
+
+// What to do when a client's declared format changes mid-stream:
+//   'reopen' - restart conversion and the transcription stream in the new format
+//   'reject' - drop packets in the new format and report an error to the client
+const FORMAT_CHANGE_POLICY = audioConfig.formatChangePolicy || 'reopen';
+
+// Reconnect policy for transcription streams that close unexpectedly
+const RETRY_POLICY = config.retry;
+
+// Voice activity detection; trimSilence drops silence between utterances from recordings
+const VAD_CONFIG = audioConfig.vad || { enabled: false };
+
+// Sequenced packets are acknowledged in batches so the client can release its replay buffer
+const ACK_INTERVAL_PACKETS = 10;
+
+// A pause between packets at least this long counts as a gap in the stream
+const STREAM_GAP_MS = 1000;
+
+// Limits on session metadata set by clients
+const METADATA_KEY = /^[\w.-]{1,64}$/;
+const MAX_METADATA_KEYS = 20;
+const MAX_METADATA_VALUE_LENGTH = 256;
+
+// PHI rules applied to transcript results (built-in and custom), and the types they find
+const PHI_POLICY = config.phi;
+const PHI_RULES = transcriptProcessor.compileRules(PHI_POLICY.rules);
+const PHI_TYPES = transcriptProcessor.ruleTypes(PHI_RULES);
+
+/**
+ * Check metadata sent by a client
+ * @param {*} metadata - Metadata from a setMetadata message
+ * @returns {Object} Metadata with string values
+ * @throws {Error} If the metadata is not an object of short string or number values
+ */
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('metadata must be an object');
+    }
+
+    const entries = Object.entries(metadata);
+    if (entries.length > MAX_METADATA_KEYS) {
+        throw new Error(`metadata may have at most ${MAX_METADATA_KEYS} fields`);
+    }
+
+    const result = {};
+    entries.forEach(([key, value]) => {
+        if (!METADATA_KEY.test(key)) {
+            throw new Error(`Invalid metadata field name "${key}"`);
+        }
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw new Error(`metadata.${key} must be a string or number`);
+        }
+        if (String(value).length > MAX_METADATA_VALUE_LENGTH) {
+            throw new Error(`metadata.${key} is longer than ${MAX_METADATA_VALUE_LENGTH} characters`);
+        }
+        result[key] = String(value);
+    });
+    return result;
+}
+
+class ClientSession {
+    /**
+     * @param {number} clientId - Server assigned client ID
+     * @param {WebSocket} ws - Client socket
+     * @param {string} clientIp - Remote address of the client
+     * @param {string|null} [user] - Authenticated user (null when authentication is disabled)
+     * @param {VocabularyStore|null} [vocabularies] - Custom vocabularies the client may choose from
+     */
+    constructor(clientId, ws, clientIp, user = null, vocabularies = null) {
+        this.clientId = clientId;
+        this.ws = ws;
+        this.clientIp = clientIp;
+        this.user = user;
+        this.vocabularies = vocabularies;
+        this.connectedAt = Date.now();
+
+        // Resuming: the ID a reconnecting client presents, and the state of its connection
+        this.sessionId = crypto.randomUUID();
+        this.detachedAt = null;
+        this.resumeTimer = null;
+        this.resumeCount = 0;
+
+        // Highest audio sequence number received; replayed packets at or below it are dropped
+        this.lastSequence = null;
+        this.duplicatePackets = 0;
+        this.missingPackets = 0;
+
+        // Statistics for this client
+        this.packetCount = 0;
+        this.totalBytes = 0;
+        this.firstPacketTime = null;
+        this.lastPacketTime = null;
+        this.recorderPauses = 0;
+        this.recordedBytes = 0;
+        this.decodeErrors = 0;
+        this.nonJsonMessages = 0;
+
+        // Packet arrival: smoothed deviation from the audio's own pacing, and pauses in the stream
+        this.jitterMs = 0;
+        this.streamGaps = 0;
+        this.longestGapMs = 0;
+
+        // Declared input format and converter to the canonical format, set by the first packet
+        this.inputFormat = null;
+        this.converter = null;
+        this.rejectedFormat = null;
+        this.rejectedContentType = null;
+
+        // Each client records to its own file
+        this.recorder = new AudioRecorder(clientId, CANONICAL_FORMAT);
+
+        // Transcript post-processing: PHI mode and types, and the custom vocabulary
+        // (the client may change them; see setTranscriptOptions())
+        this.phi = { mode: PHI_POLICY.mode, types: PHI_POLICY.types.slice() };
+        this.vocabulary = config.vocabulary.default || null;
+        this.engineVocabulary = null;
+
+        // Transcription engine for this client, started on the first audio packet
+        this.engine = this.createTranscriptionEngine();
+        this.transcriptionStarted = false;
+        this.transcriptionRetries = 0;
+        this.retryTimer = null;
+        this.isClosed = false;
+
+        // Seconds of audio streamed so far, where each transcription stream started (by engine;
+        // a stopped stream can still deliver results), and the stretches of the stream the
+        // current recording holds ({ startTime, endTime, recordingTime }), to place transcript
+        // results within the recording
+        this.streamedSeconds = 0;
+        this.engineStarts = new WeakMap();
+        this.recordedSpans = [];
+        // Set while a stopping recording waits for its last transcript results; no more audio is written to it
+        this.recordingStopping = false;
+
+        // Metadata set by the client (patient/encounter IDs etc.), stored with its recordings
+        this.metadata = {};
+
+        // Voice activity detector and the utterances it has completed
+        this.vad = VAD_CONFIG.enabled ? this.createVoiceActivityDetector() : null;
+        this.utterances = [];
+    }
+
+    /**
+     * Create a voice activity detector that reports speech start/end to this client
+     */
+    createVoiceActivityDetector() {
+        const vad = new VoiceActivityDetector(CANONICAL_FORMAT, VAD_CONFIG);
+
+        vad.on('speechStart', (event) => {
+            messages.send(this.ws, messages.speechStart(event));
+        });
+
+        vad.on('speechEnd', (event) => {
+            this.utterances.push({ id: event.utteranceId, startTime: event.startTime, endTime: event.endTime });
+            console.log(`[Client ${this.clientId}] Utterance ${event.utteranceId}: ${event.startTime.toFixed(2)}s - ${event.endTime.toFixed(2)}s`);
+            messages.send(this.ws, messages.speechEnd(event));
+        });
+
+        return vad;
+    }
+
+    /**
+     * Create a transcription engine that reports results to this client
+     */
+    createTranscriptionEngine() {
+        // The engine's own custom vocabulary is fixed for the stream it opens
+        const vocabulary = this.vocabulary && this.vocabularies ? this.vocabularies.get(this.vocabulary) : null;
+        this.engineVocabulary = vocabulary ? vocabulary.engineVocabulary || null : null;
+        const engine = createEngine({ ...audioConfig.transcription, vocabularyName: this.engineVocabulary });
+
+        // Results are processed before anything else sees them, so PHI the session
+        // redacts is never sent, logged or stored
+        engine.on('partial', (result) => {
+            this.transcriptionRetries = 0;
+            messages.send(this.ws, messages.partialTranscript(this.processResult(result, false)));
+        });
+
+        engine.on('final', (result) => {
+            this.transcriptionRetries = 0;
+            const processed = this.processResult(result, true);
+            // The server log is neither encrypted nor covered by the PHI settings,
+            // so the text only goes into it once PHI has been redacted
+            console.log(`[Client ${this.clientId}] Transcript: ${this.phi.mode === 'redact'
+                ? processed.text
+                : `${processed.text.length} characters (text is only logged when PHI is redacted)`}`);
+            messages.send(this.ws, messages.finalTranscript(processed));
+            this.recordTranscript(processed, engine);
+        });
+
+        engine.on('error', (error) => {
+            console.error(`[Client ${this.clientId}] Transcription error:`, error.message);
+            messages.send(this.ws, messages.error('transcription', error.message));
+        });
+
+        engine.on('close', () => this.handleEngineClose(engine));
+
+        return engine;
+    }
+
+    /**
+     * Apply the session's vocabulary and PHI settings to a transcript result
+     * @param {Object} result - Result from the transcription engine
+     * @param {boolean} isFinal - Whether the result is final (only final results are corrected)
+     * @returns {Object} Processed result with its PHI spans
+     */
+    processResult(result, isFinal) {
+        return transcriptProcessor.processResult(result, {
+            mode: this.phi.mode,
+            types: this.phi.types,
+            rules: PHI_RULES,
+            vocabulary: this.vocabulary && this.vocabularies ? this.vocabularies.getCompiled(this.vocabulary) : null,
+            isFinal: isFinal
+        });
+    }
+
+    /**
+     * Add a final result to the transcript of the recording in progress
+     * @param {Object} result - Final result from the transcription engine
+     * @param {TranscriptionEngine} engine - Engine whose stream produced the result
+     */
+    recordTranscript(result, engine) {
+        if (!this.recorder.isRecording || !result.text) {
+            return;
+        }
+
+        // Engine times count from the start of its stream; place them in the recording,
+        // which skips the silence VAD trimmed
+        const streamStart = this.engineStarts.get(engine) || 0;
+        const lastSpan = this.recordedSpans[this.recordedSpans.length - 1];
+        if (!lastSpan || streamStart + result.startTime >= lastSpan.endTime) {
+            return; // spoken after the recorded audio (while the recording was stopping)
+        }
+        const startTime = this.toRecordingTime(streamStart + result.startTime);
+        const endTime = this.toRecordingTime(streamStart + result.endTime);
+        if (endTime === null || endTime <= 0) {
+            return; // spoken before the recording started
+        }
+
+        this.recorder.addTranscriptSegment({
+            resultId: result.resultId,
+            startTime: startTime === null ? 0 : startTime,
+            endTime: endTime,
+            text: result.text,
+            confidence: result.confidence !== undefined ? result.confidence : null,
+            speaker: result.speaker !== undefined ? result.speaker : null,
+            phi: result.phi || []
+        });
+    }
+
+    /**
+     * Note which stretches of the stream went into the recording
+     * @param {Object[]} spans - [{ startTime, endTime }] in seconds of stream audio, in order
+     */
+    trackRecordedAudio(spans) {
+        spans.forEach((span) => {
+            const last = this.recordedSpans[this.recordedSpans.length - 1];
+            if (last && Math.abs(span.startTime - last.endTime) < 1e-6) {
+                last.endTime = span.endTime;
+                return;
+            }
+            this.recordedSpans.push({
+                startTime: span.startTime,
+                endTime: span.endTime,
+                recordingTime: last ? last.recordingTime + last.endTime - last.startTime : 0
+            });
+        });
+    }
+
+    /**
+     * Position of a point of the stream in the current recording. A point in
+     * trimmed silence is placed where the silence was cut out.
+     * @param {number} streamTime - Seconds of stream audio
+     * @returns {number|null} Seconds into the recording (to the millisecond), or null if the point is before it
+     */
+    toRecordingTime(streamTime) {
+        let position = null;
+        for (const span of this.recordedSpans) {
+            if (streamTime < span.startTime) {
+                break;
+            }
+            position = span.recordingTime + Math.min(streamTime, span.endTime) - span.startTime;
+        }
+        return position === null ? null : Math.round(position * 1000) / 1000;
+    }
+
+    /**
+     * Reconnect a transcription stream that closed while the session still needs it.
+     * The new stream is started by the next audio packet.
+     * @param {TranscriptionEngine} engine - Engine whose stream closed
+     */
+    handleEngineClose(engine) {
+        // Streams stopped on purpose (format change, session closed) are not reconnected
+        if (engine !== this.engine || this.isClosed || this.retryTimer) {
+            return;
+        }
+
+        if (this.transcriptionRetries >= RETRY_POLICY.maxRetries) {
+            const message = `Transcription stream closed; gave up after ${this.transcriptionRetries} reconnect attempt(s)`;
+            console.log(`[Client ${this.clientId}] ${message}`);
+            messages.send(this.ws, messages.error('transcription', message));
+            return;
+        }
+
+        this.transcriptionRetries++;
+        const delay = Math.min(RETRY_POLICY.baseDelayMs * Math.pow(2, this.transcriptionRetries - 1), RETRY_POLICY.maxDelayMs);
+        console.log(`[Client ${this.clientId}] Transcription stream closed, reconnecting (${this.transcriptionRetries}/${RETRY_POLICY.maxRetries}) in ${delay}ms`);
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            if (this.isClosed) {
+                return;
+            }
+            this.engine = this.createTranscriptionEngine();
+            this.transcriptionStarted = false;
+        }, delay);
+    }
+
+    /**
+     * Accept the declared format of an incoming packet
+     * @param {Object} format - Declared format
+     * @returns {boolean} Whether packets in this format should be processed
+     */
+    applyInputFormat(format) {
+        if (this.inputFormat && sameFormat(this.inputFormat, format)) {
+            return true;
+        }
+
+        if (!this.inputFormat) {
+            this.converter = new FormatConverter(format, CANONICAL_FORMAT);
+            this.inputFormat = format;
+            console.log(`[Client ${this.clientId}] Audio format: ${describeFormat(format)}` +
+                (this.converter.isPassThrough ? '' : ` (converting to ${describeFormat({ ...CANONICAL_FORMAT, encoding: 's16le' })})`));
+            return true;
+        }
+
+        if (FORMAT_CHANGE_POLICY === 'reject') {
+            // Report each rejected format once rather than for every packet
+            if (!this.rejectedFormat || !sameFormat(this.rejectedFormat, format)) {
+                this.rejectedFormat = format;
+                const message = `Audio format changed to ${describeFormat(format)}; session is locked to ${describeFormat(this.inputFormat)}`;
+                console.log(`[Client ${this.clientId}] ${message}`);
+                messages.send(this.ws, messages.error('server', message));
+            }
+            return false;
+        }
+
+        // Reopen: convert from the new format and start a fresh transcription stream.
+        // Recordings are already in the canonical format, so the file continues unchanged.
+        console.log(`[Client ${this.clientId}] Audio format changed: ${describeFormat(this.inputFormat)} -> ${describeFormat(format)}`);
+        this.converter = new FormatConverter(format, CANONICAL_FORMAT);
+        this.inputFormat = format;
+        this.endTranscriptionStream();
+        return true;
+    }
+
+    /**
+     * End the current transcription stream, which makes the engine send the final
+     * results it still holds; the next packet starts a new stream
+     * @returns {Promise} Promise that resolves when the stream has closed
+     */
+    endTranscriptionStream() {
+        if (!this.transcriptionStarted) {
+            return Promise.resolve();
+        }
+        const engine = this.engine;
+        this.engine = this.createTranscriptionEngine();
+        this.transcriptionStarted = false;
+        return engine.stop();
+    }
+
+    /**
+     * Whether the client's connection dropped and the session is waiting to be resumed
+     */
+    get isDetached() {
+        return this.detachedAt !== null;
+    }
+
+    /**
+     * Keep the session after its connection dropped, until the client resumes it
+     * @param {number} timeoutMs - How long to wait for the client
+     * @param {Function} onExpired - Called if the client has not resumed in time
+     */
+    detach(timeoutMs, onExpired) {
+        this.detachedAt = Date.now();
+        this.resumeTimer = setTimeout(() => {
+            this.resumeTimer = null;
+            onExpired();
+        }, timeoutMs);
+    }
+
+    /**
+     * Continue the session on a new connection
+     * @param {WebSocket} ws - The client's new socket
+     * @param {string} clientIp - Remote address of the new connection
+     */
+    attach(ws, clientIp) {
+        if (this.resumeTimer) {
+            clearTimeout(this.resumeTimer);
+            this.resumeTimer = null;
+        }
+        this.ws = ws;
+        this.clientIp = clientIp;
+        this.detachedAt = null;
+        this.resumeCount++;
+    }
+
+    /**
+     * Track the sequence number of an audio packet
+     * @param {number} sequence - Sequence number from the packet
+     * @returns {boolean} Whether the packet is new (false for a replayed duplicate)
+     */
+    acceptSequence(sequence) {
+        if (this.lastSequence !== null && sequence <= this.lastSequence) {
+            this.duplicatePackets++;
+            return false;
+        }
+
+        if (this.lastSequence !== null && sequence > this.lastSequence + 1) {
+            const missing = sequence - this.lastSequence - 1;
+            this.missingPackets += missing;
+            console.log(`[Client ${this.clientId}] Missing ${missing} audio packet(s) after #${this.lastSequence}`);
+        }
+
+        this.lastSequence = sequence;
+        if (sequence % ACK_INTERVAL_PACKETS === 0) {
+            messages.send(this.ws, messages.ack(sequence));
+        }
+        return true;
+    }
+
+    /**
+     * Handle a chunk of audio from an AudioEvent (JSON or binary framing)
+     * @param {string} contentType - Value of the :content-type header
+     * @param {Buffer} audioBuffer - PCM audio in the declared format
+     * @param {number|null} [sequence] - Packet sequence number, if the client numbers its packets
+     * @returns {number} Number of audio bytes received (0 if the packet was dropped)
+     */
+    handleAudio(contentType, audioBuffer, sequence = null) {
+        if (sequence !== null && !this.acceptSequence(sequence)) {
+            return 0;
+        }
+        if (audioBuffer.length === 0) {
+            return 0;
+        }
+
+        let accepted;
+        try {
+            accepted = this.applyInputFormat(parseContentType(contentType, CANONICAL_FORMAT));
+        } catch (error) {
+            // Report each unsupported content type once rather than for every packet
+            if (this.rejectedContentType !== contentType) {
+                this.rejectedContentType = contentType;
+                console.log(`[Client ${this.clientId}] Rejected audio: ${error.message}`);
+                messages.send(this.ws, messages.error('server', error.message));
+            }
+            return 0;
+        }
+        if (!accepted) {
+            return 0;
+        }
+
+        const canonical = this.converter.convert(audioBuffer);
+
+        // Tag speech/silence; when trimming, only speech (with pre-roll and hangover) is recorded
+        const speechAudio = this.vad ? this.vad.process(canonical) : null;
+        const trimming = Boolean(speechAudio && VAD_CONFIG.trimSilence);
+        const recorded = trimming ? Buffer.concat(speechAudio) : canonical;
+        const canonicalSeconds = canonical.length / 2 / CANONICAL_FORMAT.channels / CANONICAL_FORMAT.sampleRate;
+        const sampleCount = recorded.length / 2 / CANONICAL_FORMAT.channels;
+
+        // Create packet in format expected by audioRecorder
+        const audioPacket = {
+            buffer: recorded,
+            sampleRate: CANONICAL_FORMAT.sampleRate,
+            channels: CANONICAL_FORMAT.channels,
+            bitDepth: CANONICAL_FORMAT.bitDepth,
+            timestamp: Date.now(),
+            dataLength: sampleCount,
+            duration: (sampleCount / CANONICAL_FORMAT.sampleRate) * 1000 // milliseconds
+        };
+
+        // Update statistics
+        const now = Date.now();
+        this.packetCount++;
+        this.totalBytes += audioBuffer.length;
+        if (!this.firstPacketTime) {
+            this.firstPacketTime = now;
+        }
+        if (this.lastPacketTime) {
+            this.trackArrival(now - this.lastPacketTime, canonicalSeconds * 1000);
+        }
+        this.lastPacketTime = now;
+        const recording = this.recorder.isRecording && !this.recordingStopping;
+        if (recording) {
+            this.recordedBytes += recorded.length;
+            this.trackRecordedAudio(trimming
+                ? this.vad.keptSpans
+                : [{ startTime: this.streamedSeconds, endTime: this.streamedSeconds + canonicalSeconds }]);
+        }
+
+        // Write to recording file if recording is active; stop reading from the client
+        // while the file catches up, so the backlog stays in the socket rather than in memory
+        if (recording && !this.recorder.writeAudioPacket(audioPacket)) {
+            this.pauseUntilRecorderDrains();
+        }
+
+        // Forward audio to the transcription engine
+        if (!this.transcriptionStarted) {
+            this.transcriptionStarted = true;
+            this.engineStarts.set(this.engine, this.streamedSeconds);
+            this.engine.start(CANONICAL_FORMAT);
+        }
+        this.engine.sendAudio(canonical);
+        this.streamedSeconds += canonicalSeconds;
+
+        return audioBuffer.length;
+    }
+
+    /**
+     * Update jitter and gap statistics with the time since the previous packet
+     * @param {number} intervalMs - Time since the previous packet arrived
+     * @param {number} packetDurationMs - Duration of the audio in this packet
+     */
+    trackArrival(intervalMs, packetDurationMs) {
+        // Interarrival jitter as in RFC 3550: a running average of the deviation
+        this.jitterMs += (Math.abs(intervalMs - packetDurationMs) - this.jitterMs) / 16;
+
+        if (intervalMs >= STREAM_GAP_MS) {
+            this.streamGaps++;
+            this.longestGapMs = Math.max(this.longestGapMs, intervalMs);
+        }
+    }
+
+    /**
+     * Stop reading the client's socket until the recording file has drained
+     */
+    pauseUntilRecorderDrains() {
+        const ws = this.ws;
+        if (ws.isPaused) {
+            return;
+        }
+
+        ws.pause();
+        this.recorderPauses++;
+        this.recorder.drained().then(() => ws.resume());
+    }
+
+    /**
+     * Start recording this client's audio
+     * @param {boolean} serverRunning - Whether the server is currently running
+     * @param {string|null} [name] - Recording name (default recording-client<N>-<timestamp>)
+     */
+    startRecording(serverRunning = true, name = null) {
+        this.recordedSpans = [];
+        this.recorder.startRecording(serverRunning, name);
+        this.sendRecordingState();
+    }
+
+    /**
+     * Stop recording this client's audio. The engine only sends the final results for the
+     * last audio recorded when its stream ends, so the stream is ended and the recording
+     * keeps taking results until it has closed.
+     * @returns {Promise} Promise that resolves when the recording is finalized
+     */
+    async stopRecording() {
+        if (this.recorder.isRecording && !this.recordingStopping) {
+            this.recordingStopping = true;
+            try {
+                await this.endTranscriptionStream();
+            } finally {
+                this.recordingStopping = false;
+            }
+        }
+        await this.recorder.stopRecording();
+        this.sendRecordingState();
+    }
+
+    /**
+     * Replace the session metadata; it is stored with this client's recordings
+     * @param {Object} metadata - Field names and string values
+     * @throws {Error} If the metadata is invalid
+     */
+    setMetadata(metadata) {
+        this.metadata = validateMetadata(metadata);
+        this.recorder.setMetadata(this.metadata);
+        console.log(`[Client ${this.clientId}] Metadata: ${JSON.stringify(this.metadata)}`);
+        this.sendRecordingState();
+    }
+
+    /**
+     * Change how transcript results are processed. Fields left out are unchanged.
+     * A new custom vocabulary for the engine takes effect with a fresh transcription stream.
+     * @param {Object} options - { phi: { mode, types }, vocabulary } where vocabulary is a
+     *   vocabulary name, or null for none
+     * @throws {Error} If the options are invalid or name an unknown vocabulary
+     */
+    setTranscriptOptions(options) {
+        if (!options || typeof options !== 'object') {
+            throw new Error('transcript options must be an object');
+        }
+
+        let phi = this.phi;
+        if (options.phi !== undefined) {
+            if (!options.phi || typeof options.phi !== 'object') {
+                throw new Error('phi must be an object');
+            }
+            const mode = options.phi.mode !== undefined ? options.phi.mode : this.phi.mode;
+            const types = options.phi.types !== undefined ? options.phi.types : this.phi.types;
+            if (!transcriptProcessor.PHI_MODES.includes(mode)) {
+                throw new Error(`phi.mode must be one of ${transcriptProcessor.PHI_MODES.join(', ')}`);
+            }
+            if (!Array.isArray(types) || !types.every((type) => PHI_TYPES.includes(type))) {
+                throw new Error(`phi.types must be a list of PHI types (${PHI_TYPES.join(', ')})`);
+            }
+            phi = transcriptProcessor.applyPhiPolicy({ mode, types: [...new Set(types)] }, PHI_POLICY);
+        }
+
+        let vocabulary = this.vocabulary;
+        if (options.vocabulary !== undefined) {
+            vocabulary = options.vocabulary || null;
+            if (vocabulary !== null && (!this.vocabularies || !this.vocabularies.get(vocabulary))) {
+                throw new Error(`Unknown vocabulary "${vocabulary}"`);
+            }
+        }
+
+        this.phi = phi;
+        this.vocabulary = vocabulary;
+        console.log(`[Client ${this.clientId}] Transcript options: PHI ${phi.mode} (${phi.types.join(', ') || 'no types'}), vocabulary ${vocabulary || 'none'}`);
+
+        const selected = vocabulary && this.vocabularies ? this.vocabularies.get(vocabulary) : null;
+        const engineVocabulary = selected ? selected.engineVocabulary || null : null;
+        if (engineVocabulary !== this.engineVocabulary) {
+            if (this.transcriptionStarted) {
+                this.engine.stop();
+            }
+            this.engine = this.createTranscriptionEngine();
+            this.transcriptionStarted = false;
+        }
+
+        this.sendTranscriptOptions();
+    }
+
+    /**
+     * Tell the client how its transcript results are processed and what it can choose from
+     */
+    sendTranscriptOptions() {
+        messages.send(this.ws, messages.transcriptOptions(this.getTranscriptOptions(), {
+            phiTypes: PHI_TYPES,
+            vocabularies: this.vocabularies ? this.vocabularies.names() : []
+        }));
+    }
+
+    /**
+     * Current transcript options
+     * @returns {Object} { phi: { mode, types, required }, vocabulary }
+     */
+    getTranscriptOptions() {
+        return {
+            phi: { mode: this.phi.mode, types: this.phi.types, required: PHI_POLICY.required },
+            vocabulary: this.vocabulary
+        };
+    }
+
+    /**
+     * Tell the client whether it is being recorded
+     */
+    sendRecordingState() {
+        messages.send(this.ws, messages.recordingState(this.recorder.getStatus(), this.metadata));
+    }
+
+    /**
+     * Get session status information
+     */
+    getStatus() {
+        const streamDuration = this.lastPacketTime && this.firstPacketTime
+            ? (this.lastPacketTime - this.firstPacketTime) / 1000
+            : 0;
+
+        return {
+            clientId: this.clientId,
+            clientIp: this.clientIp,
+            user: this.user,
+            connectedAt: this.connectedAt,
+            connected: !this.isDetached,
+            detachedAt: this.detachedAt,
+            resumeCount: this.resumeCount,
+            lastSequence: this.lastSequence,
+            duplicatePackets: this.duplicatePackets,
+            missingPackets: this.missingPackets,
+            recorderPauses: this.recorderPauses,
+            recordedBytes: this.recordedBytes,
+            decodeErrors: this.decodeErrors,
+            nonJsonMessages: this.nonJsonMessages,
+            lastPacketTime: this.lastPacketTime,
+            jitterMs: this.jitterMs,
+            streamGaps: this.streamGaps,
+            longestGapMs: this.longestGapMs,
+            packetCount: this.packetCount,
+            totalBytes: this.totalBytes,
+            streamDuration: streamDuration,
+            inputFormat: this.inputFormat,
+            isSpeech: this.vad ? this.vad.isSpeech : null,
+            utteranceCount: this.utterances.length,
+            metadata: this.metadata,
+            transcriptOptions: this.getTranscriptOptions(),
+            recording: this.recorder.getStatus()
+        };
+    }
+
+    /**
+     * Release everything owned by the session
+     * @returns {Promise} Promise that resolves when recording and transcription have stopped
+     */
+    async close() {
+        this.isClosed = true;
+        if (this.resumeTimer) {
+            clearTimeout(this.resumeTimer);
+            this.resumeTimer = null;
+        }
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        if (this.vad) {
+            this.vad.flush();
+        }
+        // Let the engine deliver its last final results while the recording can still take them
+        await this.engine.stop();
+        if (this.recorder.isRecording) {
+            await this.recorder.stopRecording();
+        }
+    }
+}
+
+module.exports = ClientSession;
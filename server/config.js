@@ -0,0 +1,426 @@
+/**
+ * Server Configuration
+ * Settings are layered; each layer overrides the ones before it:
+ *   1. Built-in defaults, with the audio section taken from audio-config.json
+ *   2. A JSON config file: server-config.json in the project root, or the file
+ *      given by --config / AUDIO_SERVER_CONFIG
+ *   3. Environment variables (AUDIO_SERVER_<FLAG>, e.g. AUDIO_SERVER_PORT)
+ *   4. Command line flags (--port 5050 or --port=5050)
+ *
+ * Relative paths are resolved against the config file's directory when they
+ * come from the file, and against the working directory otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PHI_MODES, BUILT_IN_TYPES, compileRules, ruleTypes } = require('./transcriptProcessor');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(PROJECT_ROOT, 'server-config.json');
+const ENV_PREFIX = 'AUDIO_SERVER_';
+
+// Settings that can be set from the environment and the command line:
+// [config path, flag, type]. The environment variable is the flag in
+// upper case with an AUDIO_SERVER_ prefix (--recordings-dir -> AUDIO_SERVER_RECORDINGS_DIR).
+const OPTIONS = [
+    ['host', 'host', 'string'],
+    ['port', 'port', 'number'],
+    ['recordingsDir', 'recordings-dir', 'path'],
+    ['retry.maxRetries', 'max-retries', 'number'],
+    ['retry.baseDelayMs', 'retry-delay', 'number'],
+    ['retry.maxDelayMs', 'retry-max-delay', 'number'],
+    ['audio.sampleRate', 'sample-rate', 'number'],
+    ['audio.channels', 'channels', 'number'],
+    ['audio.formatChangePolicy', 'format-change-policy', 'string'],
+    ['audio.transcription.engine', 'engine', 'string'],
+    ['audio.transcription.endpoint', 'transcribe-endpoint', 'string'],
+    ['audio.transcription.region', 'region', 'string'],
+    ['auth.enabled', 'auth', 'boolean'],
+    ['auth.usersFile', 'users-file', 'path'],
+    ['api.allowedOrigin', 'api-origin', 'string'],
+    ['resume.timeoutMs', 'resume-timeout', 'number'],
+    ['heartbeat.intervalMs', 'heartbeat-interval', 'number'],
+    ['heartbeat.timeoutMs', 'heartbeat-timeout', 'number'],
+    ['console.enabled', 'console', 'boolean'],
+    ['console.historyFile', 'history-file', 'path'],
+    ['encryption.enabled', 'encrypt', 'boolean'],
+    ['encryption.keyFile', 'key-file', 'path'],
+    ['retention.maxAgeDays', 'max-age-days', 'number'],
+    ['retention.maxTotalMB', 'max-total-mb', 'number'],
+    ['retention.sweepIntervalMinutes', 'sweep-interval', 'number'],
+    ['auditLog', 'audit-log', 'path'],
+    ['phi.mode', 'phi-mode', 'string'],
+    ['phi.required', 'phi-required', 'boolean'],
+    ['vocabulary.file', 'vocabulary-file', 'path'],
+    ['vocabulary.default', 'vocabulary', 'string']
+];
+
+/**
+ * Built-in defaults
+ */
+function defaultConfig() {
+    const audioConfig = JSON.parse(fs.readFileSync(path.join(PROJECT_ROOT, 'audio-config.json'), 'utf8'));
+    return {
+        host: 'localhost',
+        port: 5000,
+        recordingsDir: path.join(__dirname, 'recordings'),
+        // Reconnecting a transcription stream that dropped unexpectedly
+        retry: {
+            maxRetries: 4,
+            baseDelayMs: 1000,
+            maxDelayMs: 10000
+        },
+        audio: audioConfig,
+        // Clients must authenticate against the user store before streaming audio
+        auth: {
+            enabled: true,
+            usersFile: path.join(__dirname, 'users.json'),
+            timeoutMs: 5000
+        },
+        // Origin of the web app allowed to call the admin API ('*' for any page;
+        // only sensible with authentication on). Requests from other pages are refused.
+        api: {
+            allowedOrigin: 'http://localhost:4200'
+        },
+        // How long the session of a client whose connection dropped is kept
+        // (recording and transcription included) for it to reconnect; 0 disables resuming
+        resume: {
+            timeoutMs: 60000
+        },
+        // Connections are pinged every intervalMs and dropped when no pong has
+        // arrived for timeoutMs (a dropped client can still resume); 0 disables pings
+        heartbeat: {
+            intervalMs: 15000,
+            timeoutMs: 45000
+        },
+        // Interactive console on stdin; disable to run under a process manager
+        // (the server then runs until it receives SIGINT or SIGTERM)
+        console: {
+            enabled: true,
+            historyFile: path.join(__dirname, '.console_history')
+        },
+        // Complete recordings, manifests and transcripts are encrypted with
+        // AES-256-GCM using the key in keyFile (see recordingEncryption.js)
+        encryption: {
+            enabled: false,
+            keyFile: path.join(__dirname, 'recordings.key')
+        },
+        // Every sweepIntervalMinutes, recordings older than maxAgeDays are deleted,
+        // then the oldest ones while all recordings take more than maxTotalMB;
+        // 0 disables a limit
+        retention: {
+            maxAgeDays: 0,
+            maxTotalMB: 0,
+            sweepIntervalMinutes: 60
+        },
+        // Recording deletions (by the retention policy or the admin API), one JSON object per line
+        auditLog: path.join(__dirname, 'audit.log'),
+        // PHI in transcript results: 'tag' reports where it is, 'redact' replaces it
+        // with [TYPE] placeholders. Sessions start with this mode and these types and
+        // clients may change them; when required, clients can only make them stricter.
+        // rules adds types: [{ type, pattern, flags }] with pattern a regular expression.
+        phi: {
+            mode: 'tag',
+            types: BUILT_IN_TYPES.slice(),
+            required: false,
+            rules: []
+        },
+        // Custom vocabularies (see vocabularyStore.js); sessions start with the default one ('' for none)
+        vocabulary: {
+            file: path.join(__dirname, 'vocabularies.json'),
+            default: ''
+        }
+    };
+}
+
+/**
+ * Deep-merge plain objects; arrays and other values are replaced
+ */
+function merge(target, source) {
+    Object.keys(source).forEach((key) => {
+        const value = source[key];
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            merge(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+/**
+ * Get the value at a dotted path, or undefined
+ */
+function getPath(source, dottedPath) {
+    return dottedPath.split('.').reduce((object, key) => (object && typeof object === 'object' ? object[key] : undefined), source);
+}
+
+/**
+ * Set a value at a dotted path, creating objects on the way
+ */
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        if (!object[key] || typeof object[key] !== 'object') {
+            object[key] = {};
+        }
+        return object[key];
+    }, target);
+    parent[last] = value;
+}
+
+/**
+ * Convert a string from the environment or command line to an option's type
+ */
+function parseValue(raw, type, source) {
+    if (type === 'number') {
+        const value = Number(raw);
+        if (raw === '' || !Number.isFinite(value)) {
+            throw new Error(`${source} must be a number (got "${raw}")`);
+        }
+        return value;
+    }
+    if (type === 'boolean') {
+        if (!['true', 'false', '1', '0'].includes(String(raw).toLowerCase())) {
+            throw new Error(`${source} must be true or false (got "${raw}")`);
+        }
+        return ['true', '1'].includes(String(raw).toLowerCase());
+    }
+    if (type === 'path') {
+        return path.resolve(raw);
+    }
+    return raw;
+}
+
+/**
+ * Split command line arguments into flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Map of flag name to value
+ */
+function parseArgs(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const equals = arg.indexOf('=');
+        if (equals !== -1) {
+            flags[arg.slice(2, equals)] = arg.slice(equals + 1);
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            flags[arg.slice(2)] = argv[++i];
+        } else {
+            throw new Error(`Missing value for ${arg}`);
+        }
+    }
+    return flags;
+}
+
+/**
+ * Check values that the server cannot start without
+ */
+function validate(config) {
+    if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+        throw new Error(`port must be an integer between 0 and 65535 (got ${config.port})`);
+    }
+    if (!config.host) {
+        throw new Error('host must not be empty');
+    }
+    ['maxRetries', 'baseDelayMs', 'maxDelayMs'].forEach((key) => {
+        if (!(config.retry[key] >= 0)) {
+            throw new Error(`retry.${key} must be zero or more (got ${config.retry[key]})`);
+        }
+    });
+    if (!(config.audio.sampleRate >= 8000 && config.audio.sampleRate <= 192000)) {
+        throw new Error(`audio.sampleRate must be between 8000 and 192000 (got ${config.audio.sampleRate})`);
+    }
+    if (!Number.isInteger(config.audio.channels) || config.audio.channels < 1 || config.audio.channels > 8) {
+        throw new Error(`audio.channels must be an integer between 1 and 8 (got ${config.audio.channels})`);
+    }
+    if (!(config.resume.timeoutMs >= 0)) {
+        throw new Error(`resume.timeoutMs must be zero or more (got ${config.resume.timeoutMs})`);
+    }
+    ['intervalMs', 'timeoutMs'].forEach((key) => {
+        if (!(config.heartbeat[key] >= 0)) {
+            throw new Error(`heartbeat.${key} must be zero or more (got ${config.heartbeat[key]})`);
+        }
+    });
+    if (typeof config.console.enabled !== 'boolean') {
+        throw new Error(`console.enabled must be true or false (got ${config.console.enabled})`);
+    }
+    if (typeof config.encryption.enabled !== 'boolean') {
+        throw new Error(`encryption.enabled must be true or false (got ${config.encryption.enabled})`);
+    }
+    ['maxAgeDays', 'maxTotalMB', 'sweepIntervalMinutes'].forEach((key) => {
+        if (!(config.retention[key] >= 0)) {
+            throw new Error(`retention.${key} must be zero or more (got ${config.retention[key]})`);
+        }
+    });
+    if (!PHI_MODES.includes(config.phi.mode)) {
+        throw new Error(`phi.mode must be one of ${PHI_MODES.join(', ')} (got "${config.phi.mode}")`);
+    }
+    if (typeof config.phi.required !== 'boolean') {
+        throw new Error(`phi.required must be true or false (got ${config.phi.required})`);
+    }
+    if (!Array.isArray(config.phi.rules)) {
+        throw new Error('phi.rules must be an array');
+    }
+    const phiTypes = ruleTypes(compileRules(config.phi.rules));
+    if (!Array.isArray(config.phi.types) || !config.phi.types.every((type) => phiTypes.includes(type))) {
+        throw new Error(`phi.types must be a list of PHI types (${phiTypes.join(', ')})`);
+    }
+    if (typeof config.auth.enabled !== 'boolean') {
+        throw new Error(`auth.enabled must be true or false (got ${config.auth.enabled})`);
+    }
+    if (config.api.allowedOrigin !== '*' && !/^https?:\/\/[^/\s]+$/.test(config.api.allowedOrigin || '')) {
+        throw new Error(`api.allowedOrigin must be an origin such as http://localhost:4200, or "*" (got "${config.api.allowedOrigin}")`);
+    }
+    if (!['reopen', 'reject'].includes(config.audio.formatChangePolicy || 'reopen')) {
+        throw new Error(`audio.formatChangePolicy must be "reopen" or "reject" (got "${config.audio.formatChangePolicy}")`);
+    }
+}
+
+/**
+ * Build the configuration from all layers
+ * @param {string[]} argv - Command line arguments (without node and the script)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Configuration; `sources` lists the layers that were applied
+ * @throws {Error} If a layer contains an invalid value or an unknown flag
+ */
+function loadConfig(argv = [], env = {}) {
+    const flags = parseArgs(argv);
+    const config = defaultConfig();
+    const sources = ['defaults'];
+
+    // Config file
+    const explicitFile = flags.config || env[`${ENV_PREFIX}CONFIG`];
+    const configFile = explicitFile ? path.resolve(explicitFile) : DEFAULT_CONFIG_FILE;
+    if (explicitFile || fs.existsSync(configFile)) {
+        let fileConfig;
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Cannot read config file ${configFile}: ${error.message}`);
+        }
+        OPTIONS.filter(([, , type]) => type === 'path').forEach(([configPath]) => {
+            const value = getPath(fileConfig, configPath);
+            if (typeof value === 'string') {
+                setPath(fileConfig, configPath, path.resolve(path.dirname(configFile), value));
+            }
+        });
+        merge(config, fileConfig);
+        sources.push(configFile);
+    }
+    delete flags.config;
+
+    // Environment variables
+    OPTIONS.forEach(([configPath, flag, type]) => {
+        const name = ENV_PREFIX + flag.toUpperCase().replace(/-/g, '_');
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(config, configPath, parseValue(env[name], type, name));
+            if (!sources.includes('environment')) {
+                sources.push('environment');
+            }
+        }
+    });
+
+    // Command line flags
+    Object.keys(flags).forEach((flag) => {
+        const option = OPTIONS.find(([, name]) => name === flag);
+        if (!option) {
+            throw new Error(`Unknown option --${flag}`);
+        }
+        setPath(config, option[0], parseValue(flags[flag], option[2], `--${flag}`));
+        if (!sources.includes('command line')) {
+            sources.push('command line');
+        }
+    });
+
+    validate(config);
+    config.sources = sources;
+    return config;
+}
+
+/**
+ * Describe the command line options (for --help)
+ */
+function describeOptions() {
+    return OPTIONS.map(([configPath, flag]) =>
+        `  --${flag.padEnd(22)} ${ENV_PREFIX}${flag.toUpperCase().replace(/-/g, '_').padEnd(34)} (${configPath})`);
+}
+
+/**
+ * Find a settable option by its config path or flag
+ */
+function findOption(name) {
+    return OPTIONS.find(([configPath, flag]) => configPath === name || flag === name) || null;
+}
+
+/**
+ * Read a setting
+ * @param {Object} config - Configuration
+ * @param {string} name - Config path (any, e.g. audio.vad) or flag of a setting
+ * @returns {*} Value, or undefined if there is no such setting
+ */
+function getOption(config, name) {
+    const option = findOption(name);
+    return getPath(config, option ? option[0] : name);
+}
+
+/**
+ * Change one setting of a loaded configuration. Only the settings that have a
+ * flag can be changed; the configuration is left unchanged if the value is invalid.
+ * @param {Object} config - Configuration
+ * @param {string} name - Config path or flag of the setting
+ * @param {string} raw - New value as text
+ * @returns {string} Config path of the changed setting
+ * @throws {Error} If the setting is unknown or the value is invalid
+ */
+function setOption(config, name, raw) {
+    const option = findOption(name);
+    if (!option) {
+        throw new Error(`Unknown setting "${name}"`);
+    }
+
+    const [configPath, , type] = option;
+    const value = parseValue(raw, type, configPath);
+    const candidate = JSON.parse(JSON.stringify(config));
+    setPath(candidate, configPath, value);
+    validate(candidate);
+
+    setPath(config, configPath, value);
+    return configPath;
+}
+
+/**
+ * Config paths of the settings that can be changed
+ */
+function listOptions() {
+    return OPTIONS.map(([configPath]) => configPath);
+}
+
+// Configuration of this process, loaded once from its arguments and environment
+let currentConfig = null;
+
+/**
+ * Get the configuration of this process
+ * @returns {Object} Configuration
+ */
+function getConfig() {
+    if (!currentConfig) {
+        currentConfig = loadConfig(process.argv.slice(2), process.env);
+    }
+    return currentConfig;
+}
+
+module.exports = {
+    loadConfig,
+    getConfig,
+    describeOptions,
+    getOption,
+    setOption,
+    listOptions
+};
@@ -0,0 +1,207 @@
+/**
+ * AWS Event Stream Codec
+ * Encodes and decodes the binary event-stream framing used by
+ * AWS Transcribe (Medical) streaming
+ *
+ * Message layout:
+ *   [total length: uint32][headers length: uint32][prelude CRC: uint32]
+ *   [headers][payload][message CRC: uint32]
+ */
+
+const PRELUDE_LENGTH = 12;
+const CRC_LENGTH = 4;
+
+// Header value type used for all string headers
+const HEADER_TYPE_STRING = 7;
+
+// CRC32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate CRC32 checksum of a buffer
+ * @param {Buffer} buffer - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode string headers into event-stream header bytes
+ * @param {Object} headers - Map of header name to string value
+ * @returns {Buffer} Encoded headers
+ */
+function encodeHeaders(headers) {
+    const parts = [];
+    for (const [name, value] of Object.entries(headers)) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const valueBuffer = Buffer.from(String(value), 'utf8');
+        const header = Buffer.allocUnsafe(1 + nameBuffer.length + 1 + 2 + valueBuffer.length);
+        let offset = 0;
+        header.writeUInt8(nameBuffer.length, offset);
+        offset += 1;
+        nameBuffer.copy(header, offset);
+        offset += nameBuffer.length;
+        header.writeUInt8(HEADER_TYPE_STRING, offset);
+        offset += 1;
+        header.writeUInt16BE(valueBuffer.length, offset);
+        offset += 2;
+        valueBuffer.copy(header, offset);
+        parts.push(header);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Decode event-stream header bytes
+ * Only string-like headers are returned as strings; other types are
+ * returned as raw buffers or numbers
+ * @param {Buffer} buffer - Encoded headers
+ * @returns {Object} Map of header name to value
+ */
+function decodeHeaders(buffer) {
+    const headers = {};
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const nameLength = buffer.readUInt8(offset);
+        offset += 1;
+        const name = buffer.toString('utf8', offset, offset + nameLength);
+        offset += nameLength;
+        const type = buffer.readUInt8(offset);
+        offset += 1;
+
+        switch (type) {
+            case 0: // true
+                headers[name] = true;
+                break;
+            case 1: // false
+                headers[name] = false;
+                break;
+            case 2: // byte
+                headers[name] = buffer.readInt8(offset);
+                offset += 1;
+                break;
+            case 3: // short
+                headers[name] = buffer.readInt16BE(offset);
+                offset += 2;
+                break;
+            case 4: // integer
+                headers[name] = buffer.readInt32BE(offset);
+                offset += 4;
+                break;
+            case 5: // long
+                headers[name] = Number(buffer.readBigInt64BE(offset));
+                offset += 8;
+                break;
+            case 6: // byte array
+            case 7: { // string
+                const length = buffer.readUInt16BE(offset);
+                offset += 2;
+                const value = buffer.subarray(offset, offset + length);
+                headers[name] = type === 7 ? value.toString('utf8') : Buffer.from(value);
+                offset += length;
+                break;
+            }
+            case 8: // timestamp
+                headers[name] = new Date(Number(buffer.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case 9: // uuid
+                headers[name] = buffer.toString('hex', offset, offset + 16);
+                offset += 16;
+                break;
+            default:
+                throw new Error(`Unknown event-stream header type: ${type}`);
+        }
+    }
+
+    return headers;
+}
+
+/**
+ * Encode a single event-stream message
+ * @param {Object} headers - Map of header name to string value
+ * @param {Buffer} payload - Message payload
+ * @returns {Buffer} Encoded message
+ */
+function encodeMessage(headers, payload = Buffer.alloc(0)) {
+    const headerBytes = encodeHeaders(headers);
+    const totalLength = PRELUDE_LENGTH + headerBytes.length + payload.length + CRC_LENGTH;
+    const message = Buffer.allocUnsafe(totalLength);
+
+    message.writeUInt32BE(totalLength, 0);
+    message.writeUInt32BE(headerBytes.length, 4);
+    message.writeUInt32BE(crc32(message.subarray(0, 8)), 8);
+    headerBytes.copy(message, PRELUDE_LENGTH);
+    payload.copy(message, PRELUDE_LENGTH + headerBytes.length);
+    message.writeUInt32BE(crc32(message.subarray(0, totalLength - CRC_LENGTH)), totalLength - CRC_LENGTH);
+
+    return message;
+}
+
+/**
+ * Decode a single event-stream message
+ * @param {Buffer} buffer - Encoded message
+ * @returns {{headers: Object, payload: Buffer}} Decoded message
+ */
+function decodeMessage(buffer) {
+    if (buffer.length < PRELUDE_LENGTH + CRC_LENGTH) {
+        throw new Error(`Event-stream message too short: ${buffer.length} bytes`);
+    }
+
+    const totalLength = buffer.readUInt32BE(0);
+    const headersLength = buffer.readUInt32BE(4);
+    const preludeCrc = buffer.readUInt32BE(8);
+
+    if (totalLength !== buffer.length) {
+        throw new Error(`Event-stream length mismatch: header says ${totalLength}, got ${buffer.length}`);
+    }
+    if (crc32(buffer.subarray(0, 8)) !== preludeCrc) {
+        throw new Error('Event-stream prelude checksum mismatch');
+    }
+    if (crc32(buffer.subarray(0, totalLength - CRC_LENGTH)) !== buffer.readUInt32BE(totalLength - CRC_LENGTH)) {
+        throw new Error('Event-stream message checksum mismatch');
+    }
+
+    const headersEnd = PRELUDE_LENGTH + headersLength;
+    return {
+        headers: decodeHeaders(buffer.subarray(PRELUDE_LENGTH, headersEnd)),
+        payload: buffer.subarray(headersEnd, totalLength - CRC_LENGTH)
+    };
+}
+
+/**
+ * Build an AudioEvent message carrying raw PCM audio
+ * An empty payload signals end of stream
+ * @param {Buffer} pcm - Raw PCM audio
+ * @returns {Buffer} Encoded message
+ */
+function encodeAudioEvent(pcm) {
+    return encodeMessage({
+        ':content-type': 'application/octet-stream',
+        ':event-type': 'AudioEvent',
+        ':message-type': 'event'
+    }, pcm);
+}
+
+module.exports = {
+    crc32,
+    encodeMessage,
+    decodeMessage,
+    encodeAudioEvent
+};
@@ -0,0 +1,69 @@
+/**
+ * Metrics Module
+ * Renders metrics in the Prometheus text exposition format (served at GET /metrics).
+ * Metrics are collected from the server's state when scraped rather than kept
+ * in a registry, the same way the "status" command reads its figures.
+ *
+ * A metric family is { name, type, help, samples: [{ labels, value }] }, where
+ * type is 'counter', 'gauge' or 'summary' and labels is an optional object.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value (backslash, double quote and line feed)
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value; booleans become 0/1 and missing values NaN
+ */
+function formatValue(value) {
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        return 'NaN';
+    }
+    if (!Number.isFinite(value)) {
+        return value > 0 ? '+Inf' : '-Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Format one sample line
+ * @param {string} name - Metric name (may carry a _sum/_count suffix)
+ * @param {Object} [labels] - Label names and values; null/undefined values are left out
+ * @param {number|boolean} value - Sample value
+ */
+function formatSample(name, labels, value) {
+    const pairs = Object.entries(labels || {})
+        .filter(([, labelValue]) => labelValue !== null && labelValue !== undefined)
+        .map(([label, labelValue]) => `${label}="${escapeLabelValue(labelValue)}"`);
+    return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+}
+
+/**
+ * Render metric families as Prometheus text
+ * @param {Object[]} families - Metric families (see the module comment)
+ * @returns {string} Exposition text
+ */
+function formatMetrics(families) {
+    const lines = [];
+    families.forEach((family) => {
+        lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        family.samples.forEach((sample) => {
+            lines.push(formatSample(sample.name || family.name, sample.labels, sample.value));
+        });
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    formatMetrics
+};
@@ -0,0 +1,124 @@
+/**
+ * Mock Transcribe Medical Endpoint
+ * Speaks the Transcribe Medical streaming protocol for local testing:
+ * accepts event-stream AudioEvents and answers with synthetic partial and
+ * final TranscriptEvents based on the amount of audio received
+ *
+ * Usage: node server/mockTranscribeServer.js [port]
+ * Then set "endpoint": "ws://localhost:5001" in the transcription config
+ */
+
+const WebSocket = require('ws');
+const crypto = require('crypto');
+const { encodeMessage, decodeMessage } = require('./eventStream');
+
+const PORT = parseInt(process.argv[2], 10) || 5001;
+const HOST = 'localhost';
+
+// Emit a partial result every PARTIAL_SECONDS and finalize every SEGMENT_SECONDS of audio
+const PARTIAL_SECONDS = 0.5;
+const SEGMENT_SECONDS = 3;
+
+/**
+ * Encode a TranscriptEvent with a single result
+ */
+function transcriptEvent(result) {
+    const payload = Buffer.from(JSON.stringify({ Transcript: { Results: [result] } }), 'utf8');
+    return encodeMessage({
+        ':content-type': 'application/json',
+        ':event-type': 'TranscriptEvent',
+        ':message-type': 'event'
+    }, payload);
+}
+
+/**
+ * Encode an exception message
+ */
+function exceptionEvent(type, message) {
+    return encodeMessage({
+        ':content-type': 'application/json',
+        ':exception-type': type,
+        ':message-type': 'exception'
+    }, Buffer.from(JSON.stringify({ Message: message }), 'utf8'));
+}
+
+const wss = new WebSocket.Server({ port: PORT, host: HOST });
+
+wss.on('connection', (ws, req) => {
+    const query = new URL(req.url, `http://${req.headers.host}`).searchParams;
+    const sampleRate = parseInt(query.get('sample-rate'), 10) || 16000;
+    const bytesPerSecond = sampleRate * 2;
+
+    let segmentIndex = 0;
+    let segmentStart = 0;
+    let receivedSeconds = 0;
+    let lastPartialAt = 0;
+    let resultId = crypto.randomUUID();
+
+    console.log(`[Mock] Stream opened: ${req.url}`);
+
+    const sendResult = (isPartial) => {
+        const duration = receivedSeconds - segmentStart;
+        ws.send(transcriptEvent({
+            ResultId: resultId,
+            StartTime: segmentStart,
+            EndTime: receivedSeconds,
+            IsPartial: isPartial,
+            Alternatives: [{
+                Transcript: `Mock segment ${segmentIndex + 1} with ${duration.toFixed(1)} seconds of audio`,
+                Items: [{
+                    Type: 'pronunciation',
+                    Content: 'Mock',
+                    StartTime: segmentStart,
+                    EndTime: receivedSeconds,
+                    Confidence: 0.9
+                }]
+            }]
+        }));
+    };
+
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = decodeMessage(Buffer.from(data));
+        } catch (error) {
+            ws.send(exceptionEvent('BadRequestException', error.message));
+            ws.close(1008, 'Malformed event-stream message');
+            return;
+        }
+
+        if (message.headers[':event-type'] !== 'AudioEvent') {
+            return;
+        }
+
+        // Empty AudioEvent means end of stream
+        if (message.payload.length === 0) {
+            if (receivedSeconds > segmentStart) {
+                sendResult(false);
+            }
+            ws.close(1000, 'Stream complete');
+            return;
+        }
+
+        receivedSeconds += message.payload.length / bytesPerSecond;
+
+        if (receivedSeconds - segmentStart >= SEGMENT_SECONDS) {
+            sendResult(false);
+            segmentIndex++;
+            segmentStart = receivedSeconds;
+            lastPartialAt = receivedSeconds;
+            resultId = crypto.randomUUID();
+        } else if (receivedSeconds - lastPartialAt >= PARTIAL_SECONDS) {
+            sendResult(true);
+            lastPartialAt = receivedSeconds;
+        }
+    });
+
+    ws.on('close', () => {
+        console.log(`[Mock] Stream closed after ${receivedSeconds.toFixed(2)}s of audio`);
+    });
+});
+
+wss.on('listening', () => {
+    console.log(`✓ Mock Transcribe Medical endpoint listening on ws://${HOST}:${PORT}`);
+});
@@ -0,0 +1,507 @@
+/**
+ * Recording Encryption Module
+ * Seals recording files (WAV segments, manifests and transcripts) with
+ * AES-256-GCM once they are complete, and opens them again when they are
+ * listed, downloaded or played back. Sealed files keep their names; they are
+ * recognised by their header.
+ *
+ * Sealed file layout (integers big-endian):
+ *
+ *   magic "AREC" (4) | version (1) | reserved (3) | chunk size (4) | plaintext size (8)
+ *   | key ID (8) | nonce prefix (8)
+ *   then one or more chunks: ciphertext of up to <chunk size> bytes + GCM tag (16)
+ *
+ * Each chunk is encrypted with the nonce <nonce prefix><chunk index> and the
+ * header as additional data, so chunks cannot be reordered, truncated or
+ * moved between files, and a byte range can be decrypted without reading the
+ * whole file (audio players seek with Range requests).
+ *
+ * The key is 32 random bytes stored as 64 hex digits in encryption.keyFile.
+ *
+ * Command line:
+ *   node server/recordingEncryption.js keygen [file]           - Create a key file (default encryption.keyFile)
+ *   node server/recordingEncryption.js decrypt <file> <output> - Write the plaintext of a sealed file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const MAGIC = 'AREC';
+const VERSION = 1;
+const HEADER_SIZE = 36;
+const CHUNK_SIZE = 64 * 1024;
+const TAG_SIZE = 16;
+const KEY_SIZE = 32;
+// Suffix of the file a recording file is sealed into before it replaces the original
+const SEALING_SUFFIX = '.sealing';
+
+// Key recordings are sealed and opened with (see useKeyFile)
+let activeKey = null;
+
+/**
+ * Short identifier of a key, stored in sealed files so a wrong key is reported as such
+ */
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest().subarray(0, 8);
+}
+
+/**
+ * Read a key file
+ * @param {string} file - Key file (64 hex digits)
+ * @returns {Buffer} Key
+ * @throws {Error} If the file is missing or does not hold a 256-bit key
+ */
+function loadKey(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+        throw new Error(`Cannot read encryption key file ${file}: ${error.message} ` +
+            '(create one with: node server/recordingEncryption.js keygen)');
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(text)) {
+        throw new Error(`Encryption key file ${file} must contain a 256-bit key as 64 hex digits`);
+    }
+    if (process.platform !== 'win32' && (fs.statSync(file).mode & 0o077) !== 0) {
+        console.warn(`⚠ Encryption key file ${file} can be read by other users; restrict it with chmod 600`);
+    }
+    return Buffer.from(text, 'hex');
+}
+
+/**
+ * Create a key file readable by the owner only
+ * @param {string} file - Key file to create
+ * @throws {Error} If the file already exists (recordings sealed with it would be lost)
+ */
+function generateKey(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${crypto.randomBytes(KEY_SIZE).toString('hex')}\n`, { mode: 0o600, flag: 'wx' });
+}
+
+/**
+ * Load the key used for recordings from the configuration
+ * @param {Object} options - encryption section of the configuration: { enabled, keyFile }
+ * @returns {boolean} Whether a key was loaded. Without encryption enabled, the key file
+ *                    is still loaded if it exists so earlier sealed recordings stay readable.
+ * @throws {Error} If encryption is enabled and the key file is missing or invalid
+ */
+function useKeyFile(options) {
+    activeKey = options.enabled || fs.existsSync(options.keyFile) ? loadKey(options.keyFile) : null;
+    return activeKey !== null;
+}
+
+/**
+ * The loaded key
+ * @throws {Error} If no key is loaded
+ */
+function requireKey(file) {
+    if (!activeKey) {
+        throw new Error(`${path.basename(file)} is encrypted and no encryption key is loaded (see encryption.keyFile)`);
+    }
+    return activeKey;
+}
+
+/**
+ * Number of chunks a plaintext of this size is sealed in (an empty file still has one)
+ */
+function chunkCount(size, chunkSize) {
+    return Math.max(1, Math.ceil(size / chunkSize));
+}
+
+function chunkNonce(header, index) {
+    const nonce = Buffer.alloc(12);
+    header.copy(nonce, 0, 28, 36);
+    nonce.writeUInt32BE(index, 8);
+    return nonce;
+}
+
+/**
+ * Build the header of a file to seal
+ * @param {number} size - Plaintext size
+ * @param {Buffer} key - Key the file is sealed with
+ */
+function createHeader(size, key) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write(MAGIC, 0, 'ascii');
+    header[4] = VERSION;
+    header.writeUInt32BE(CHUNK_SIZE, 8);
+    header.writeBigUInt64BE(BigInt(size), 12);
+    keyId(key).copy(header, 20);
+    crypto.randomBytes(8).copy(header, 28);
+    return header;
+}
+
+/**
+ * Encrypt one chunk
+ * @returns {Buffer} Ciphertext followed by the tag
+ */
+function sealChunk(key, header, index, plaintext) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(header, index));
+    cipher.setAAD(header);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Parse a sealed file header
+ * @param {Buffer} header - First HEADER_SIZE bytes of the file
+ * @returns {Object|null} { chunkSize, size, keyId } or null if the file is not sealed
+ */
+function parseHeader(header) {
+    if (header.length < HEADER_SIZE || header.toString('ascii', 0, 4) !== MAGIC) {
+        return null;
+    }
+    if (header[4] !== VERSION) {
+        throw new Error(`Unsupported encrypted file version ${header[4]}`);
+    }
+    return {
+        chunkSize: header.readUInt32BE(8),
+        size: Number(header.readBigUInt64BE(12)),
+        keyId: header.subarray(20, 28)
+    };
+}
+
+/**
+ * Decrypt one chunk
+ * @param {Buffer} header - File header (additional data)
+ * @param {number} index - Chunk index
+ * @param {Buffer} sealed - Ciphertext followed by the tag
+ */
+function openChunk(key, header, index, sealed, file) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(header, index));
+    decipher.setAAD(header);
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_SIZE));
+    try {
+        return Buffer.concat([decipher.update(sealed.subarray(0, sealed.length - TAG_SIZE)), decipher.final()]);
+    } catch (error) {
+        throw new Error(`${path.basename(file)} is damaged or was modified (chunk ${index} failed authentication)`);
+    }
+}
+
+/**
+ * Read and check the header of a file
+ * @param {number} fd - Open file descriptor
+ * @returns {{header: Buffer, info: Object, key: Buffer}|null} null if the file is not sealed
+ */
+function readSealedHeader(fd, file) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    const bytesRead = fs.readSync(fd, header, 0, HEADER_SIZE, 0);
+    const info = parseHeader(header.subarray(0, bytesRead));
+    if (!info) {
+        return null;
+    }
+    const key = requireKey(file);
+    if (!keyId(key).equals(info.keyId)) {
+        throw new Error(`${path.basename(file)} was encrypted with a different key`);
+    }
+    return { header, info, key };
+}
+
+/**
+ * Whether a file is sealed
+ * @param {string} file - Path of the file
+ */
+function isSealed(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const magic = Buffer.alloc(4);
+        return fs.readSync(fd, magic, 0, 4, 0) === 4 && magic.toString('ascii') === MAGIC;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Open a recording file for random-access reads of its plaintext
+ * @param {string} file - Path of a plain or sealed file
+ * @returns {{sealed: boolean, size: number, read: Function, close: Function}} size is the plaintext
+ *          size; read(buffer, position) fills buffer from the plaintext at position (zeros past the end)
+ * @throws {Error} If the file is sealed and cannot be opened with the loaded key
+ */
+function openReader(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const sealed = readSealedHeader(fd, file);
+        if (!sealed) {
+            return {
+                sealed: false,
+                size: fs.fstatSync(fd).size,
+                read: (buffer, position) => {
+                    buffer.fill(0);
+                    fs.readSync(fd, buffer, 0, buffer.length, position);
+                },
+                close: () => fs.closeSync(fd)
+            };
+        }
+
+        const { header, info, key } = sealed;
+        const sealedChunkSize = info.chunkSize + TAG_SIZE;
+        // The last chunk read, so header parsing does not decrypt the same chunk repeatedly
+        let cached = { index: -1, data: null };
+        const chunk = (index) => {
+            if (cached.index !== index) {
+                const sealedChunk = Buffer.alloc(Math.min(info.chunkSize, info.size - index * info.chunkSize) + TAG_SIZE);
+                fs.readSync(fd, sealedChunk, 0, sealedChunk.length, HEADER_SIZE + index * sealedChunkSize);
+                cached = { index, data: openChunk(key, header, index, sealedChunk, file) };
+            }
+            return cached.data;
+        };
+
+        return {
+            sealed: true,
+            size: info.size,
+            read: (buffer, position) => {
+                buffer.fill(0);
+                let copied = 0;
+                while (copied < buffer.length && position + copied < info.size) {
+                    const offset = position + copied;
+                    const data = chunk(Math.floor(offset / info.chunkSize));
+                    copied += data.copy(buffer, copied, offset % info.chunkSize);
+                }
+            },
+            close: () => fs.closeSync(fd)
+        };
+    } catch (error) {
+        fs.closeSync(fd);
+        throw error;
+    }
+}
+
+/**
+ * Read the whole plaintext of a (small) recording file, such as a manifest or transcript
+ * @param {string} file - Path of a plain or sealed file
+ * @returns {Buffer} Plaintext
+ */
+function readPlaintext(file) {
+    const reader = openReader(file);
+    try {
+        if (!reader.sealed) {
+            return fs.readFileSync(file);
+        }
+        const plaintext = Buffer.alloc(reader.size);
+        reader.read(plaintext, 0);
+        return plaintext;
+    } finally {
+        reader.close();
+    }
+}
+
+/**
+ * Stream the plaintext of a recording file
+ * @param {string} file - Path of a plain or sealed file
+ * @param {Object} [range] - { start, end } byte range of the plaintext (end inclusive, as for fs.createReadStream)
+ * @returns {Readable} Plaintext stream
+ */
+function createPlaintextStream(file, range = {}) {
+    async function* plaintextChunks() {
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            const header = Buffer.alloc(HEADER_SIZE);
+            await handle.read(header, 0, HEADER_SIZE, 0);
+            const info = parseHeader(header);
+            const key = requireKey(file);
+            if (!keyId(key).equals(info.keyId)) {
+                throw new Error(`${path.basename(file)} was encrypted with a different key`);
+            }
+
+            const start = range.start || 0;
+            const end = Math.min(range.end === undefined ? Infinity : range.end, info.size - 1);
+            for (let index = Math.floor(start / info.chunkSize); index * info.chunkSize <= end; index++) {
+                const chunkStart = index * info.chunkSize;
+                const sealedChunk = Buffer.alloc(Math.min(info.chunkSize, info.size - chunkStart) + TAG_SIZE);
+                await handle.read(sealedChunk, 0, sealedChunk.length, HEADER_SIZE + index * (info.chunkSize + TAG_SIZE));
+                const data = openChunk(key, header, index, sealedChunk, file);
+                yield data.subarray(Math.max(0, start - chunkStart), Math.min(data.length, end - chunkStart + 1));
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    return isSealed(file)
+        ? Readable.from(plaintextChunks(), { objectMode: false })
+        : fs.createReadStream(file, range);
+}
+
+/**
+ * Seal a complete recording file in place: the sealed copy is written next to
+ * it and then replaces it. Files that are already sealed are left alone.
+ * @param {string} file - Path of the file
+ * @returns {Promise<boolean>} Whether the file was sealed
+ * @throws {Error} If no key is loaded or the file cannot be read or written
+ */
+async function sealFile(file) {
+    if (!activeKey) {
+        throw new Error(`Cannot encrypt ${path.basename(file)}: no encryption key is loaded`);
+    }
+    if (isSealed(file)) {
+        return false;
+    }
+
+    const key = activeKey;
+    const { size } = await fs.promises.stat(file);
+    const header = createHeader(size, key);
+
+    const tempFile = `${file}${SEALING_SUFFIX}`;
+    const input = await fs.promises.open(file, 'r');
+    let output = null;
+    try {
+        output = await fs.promises.open(tempFile, 'w', 0o600);
+        await output.write(header);
+
+        const plaintext = Buffer.alloc(CHUNK_SIZE);
+        for (let index = 0; index < chunkCount(size, CHUNK_SIZE); index++) {
+            const length = Math.min(CHUNK_SIZE, size - index * CHUNK_SIZE);
+            const { bytesRead } = await input.read(plaintext, 0, length, index * CHUNK_SIZE);
+            if (bytesRead !== length) {
+                throw new Error(`${path.basename(file)} changed while it was being encrypted`);
+            }
+            await output.write(sealChunk(key, header, index, plaintext.subarray(0, length)));
+        }
+
+        // The plaintext is only replaced once the sealed copy is safely on disk
+        await output.sync();
+        await output.close();
+        output = null;
+        await fs.promises.rename(tempFile, file);
+        return true;
+    } catch (error) {
+        if (output) {
+            await output.close().catch(() => {});
+        }
+        await fs.promises.rm(tempFile, { force: true });
+        throw error;
+    } finally {
+        await input.close();
+    }
+}
+
+/**
+ * Seal data held in memory, for small files the server writes as a whole
+ * (read them back with readPlaintext()) or records stored in other files
+ * (read them back with openBuffer())
+ * @param {Buffer} plaintext - Data to seal
+ * @returns {Buffer} Contents of the sealed file
+ * @throws {Error} If no key is loaded
+ */
+function sealBuffer(plaintext) {
+    if (!activeKey) {
+        throw new Error('Cannot encrypt: no encryption key is loaded');
+    }
+    const header = createHeader(plaintext.length, activeKey);
+    const chunks = [header];
+    for (let index = 0; index < chunkCount(plaintext.length, CHUNK_SIZE); index++) {
+        chunks.push(sealChunk(activeKey, header, index, plaintext.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE)));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Decrypt data sealed with sealBuffer()
+ * @param {Buffer} sealed - Sealed data
+ * @param {string} source - File the data was read from, for error messages
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the data is not sealed, was sealed with another key or was modified
+ */
+function openBuffer(sealed, source) {
+    const header = sealed.subarray(0, HEADER_SIZE);
+    const info = parseHeader(header);
+    if (!info) {
+        throw new Error(`${path.basename(source)} contains data that is not encrypted`);
+    }
+    const key = requireKey(source);
+    if (!keyId(key).equals(info.keyId)) {
+        throw new Error(`${path.basename(source)} was encrypted with a different key`);
+    }
+
+    const chunks = [];
+    for (let index = 0; index < chunkCount(info.size, info.chunkSize); index++) {
+        const start = HEADER_SIZE + index * (info.chunkSize + TAG_SIZE);
+        const length = Math.min(info.chunkSize, info.size - index * info.chunkSize) + TAG_SIZE;
+        chunks.push(openChunk(key, header, index, sealed.subarray(start, start + length), source));
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Seal every plain file in the recordings directory (recordings made before
+ * encryption was enabled, or left unsealed by a crash) and remove sealed
+ * copies that were never finished. Call once no recording is in progress.
+ * @param {string} dir - Recordings directory
+ * @returns {Promise<number>} Number of files sealed
+ */
+async function sealRecordings(dir) {
+    if (!fs.existsSync(dir)) {
+        return 0;
+    }
+
+    let sealedCount = 0;
+    for (const name of fs.readdirSync(dir)) {
+        const file = path.join(dir, name);
+        if (name.endsWith(SEALING_SUFFIX)) {
+            fs.rmSync(file, { force: true });
+            continue;
+        }
+        if (!/\.(wav|json)$/i.test(name)) {
+            continue;
+        }
+        try {
+            if (fs.statSync(file).isFile() && await sealFile(file)) {
+                sealedCount++;
+            }
+        } catch (error) {
+            console.error(`[Encryption] Cannot encrypt ${name}:`, error.message);
+        }
+    }
+    return sealedCount;
+}
+
+// Command line key management
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+    const { pipeline } = require('stream/promises');
+    const [command, file, output] = process.argv.slice(2);
+
+    const run = async () => {
+        const config = loadConfig([], process.env);
+
+        switch (command) {
+            case 'keygen': {
+                const keyFile = file ? path.resolve(file) : config.encryption.keyFile;
+                generateKey(keyFile);
+                console.log(`✓ Encryption key written to ${keyFile}`);
+                console.log('Keep a backup of it: recordings encrypted with it cannot be read without it.');
+                break;
+            }
+            case 'decrypt':
+                if (!file || !output) {
+                    throw new Error('Usage: node server/recordingEncryption.js decrypt <file> <output>');
+                }
+                useKeyFile({ ...config.encryption, enabled: true });
+                await pipeline(createPlaintextStream(file), fs.createWriteStream(output, { mode: 0o600 }));
+                console.log(`✓ Decrypted ${file} to ${output}`);
+                break;
+            default:
+                console.log('Usage: node server/recordingEncryption.js keygen [file] | decrypt <file> <output>');
+                process.exitCode = 1;
+        }
+    };
+
+    run().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    useKeyFile,
+    isSealed,
+    openReader,
+    readPlaintext,
+    createPlaintextStream,
+    sealFile,
+    sealBuffer,
+    openBuffer,
+    sealRecordings
+};
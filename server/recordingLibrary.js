@@ -0,0 +1,215 @@
+/**
+ * Recording Library Module
+ * Lists the recordings in the recordings directory, grouping segment files
+ * by their manifest. WAV files without a manifest (recorded before
+ * manifests existed, or copied in) are listed as single-file recordings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readWavInfo } = require('./wavFile');
+const { readManifest, isManifestFile } = require('./recordingManifest');
+const { TRANSCRIPT_SUFFIX } = require('./transcript');
+
+// Recording names and file names are plain file names, never paths
+const SAFE_NAME = /^[\w][\w.-]*$/;
+
+/**
+ * Extract the client ID from a recording name (recording-client<N>-<timestamp>)
+ */
+function clientIdFromName(name) {
+    const match = /^recording-client(\d+)-/.exec(name);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Describe one audio file of a recording
+ */
+function describeFile(dir, file) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+        return { file, size: 0, duration: 0, missing: true };
+    }
+
+    let info = null;
+    try {
+        info = readWavInfo(filePath);
+    } catch (error) {
+        // Unreadable files are listed with no duration
+    }
+
+    return {
+        file: file,
+        size: fs.statSync(filePath).size,
+        duration: info ? info.duration : 0,
+        encrypted: info ? info.sealed : false
+    };
+}
+
+/**
+ * List all recordings, newest first
+ * @param {string} dir - Recordings directory
+ * @returns {Object[]} { name, clientId, startedAt, endedAt, duration, size, format, metadata, active,
+ *                       encrypted, manifest, transcript, segments[] }; size is the size on disk
+ */
+function listRecordings(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const names = fs.readdirSync(dir);
+    const claimed = new Set();
+    const recordings = [];
+    const transcriptOf = (name) => (names.includes(`${name}${TRANSCRIPT_SUFFIX}`) ? `${name}${TRANSCRIPT_SUFFIX}` : null);
+
+    names.filter(isManifestFile).forEach((manifestName) => {
+        const manifest = readManifest(path.join(dir, manifestName));
+        if (!manifest || !Array.isArray(manifest.segments)) {
+            return;
+        }
+
+        const segments = manifest.segments.map((segment) => {
+            claimed.add(segment.file);
+            return describeFile(dir, segment.file);
+        });
+        const active = !manifest.endedAt;
+
+        const name = path.basename(manifestName, '.json');
+        recordings.push({
+            name: name,
+            clientId: manifest.clientId !== undefined ? manifest.clientId : null,
+            startedAt: manifest.startedAt,
+            endedAt: manifest.endedAt,
+            // Durations in an unfinished manifest are not updated until the recording stops
+            duration: active
+                ? segments.reduce((total, segment) => total + segment.duration, 0)
+                : manifest.duration,
+            size: segments.reduce((total, segment) => total + segment.size, 0),
+            format: manifest.format || null,
+            metadata: manifest.metadata || {},
+            active: active,
+            encrypted: segments.length > 0 && segments.every((segment) => segment.encrypted),
+            manifest: manifestName,
+            transcript: transcriptOf(name),
+            segments: segments
+        });
+    });
+
+    names.filter((name) => name.toLowerCase().endsWith('.wav') && !claimed.has(name)).forEach((file) => {
+        const segment = describeFile(dir, file);
+        const modified = fs.statSync(path.join(dir, file)).mtimeMs;
+        const name = path.basename(file, path.extname(file));
+        let format = null;
+        try {
+            const info = readWavInfo(path.join(dir, file));
+            format = info ? info.format : null;
+        } catch (error) {
+            // Leave the format unknown
+        }
+
+        recordings.push({
+            name: name,
+            clientId: clientIdFromName(name),
+            startedAt: new Date(modified - segment.duration * 1000).toISOString(),
+            endedAt: new Date(modified).toISOString(),
+            duration: segment.duration,
+            size: segment.size,
+            format: format,
+            metadata: {},
+            active: false,
+            encrypted: segment.encrypted,
+            manifest: null,
+            transcript: transcriptOf(name),
+            segments: [segment]
+        });
+    });
+
+    return recordings.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+}
+
+/**
+ * Whether a recording name is taken, by a recording or by a file a new recording
+ * of that name would write (such as the first segment of a segmented recording)
+ * @param {string} dir - Recordings directory
+ * @param {string} name - Recording name
+ */
+function isNameInUse(dir, name) {
+    return Boolean(findRecording(dir, name)) ||
+        ['.wav', '.json'].some((extension) => fs.existsSync(path.join(dir, `${name}${extension}`)));
+}
+
+/**
+ * Find a recording by name
+ * @param {string} dir - Recordings directory
+ * @param {string} name - Recording name (file name without extension)
+ * @returns {Object|null} Recording as returned by listRecordings, or null if not found
+ */
+function findRecording(dir, name) {
+    if (!SAFE_NAME.test(name || '')) {
+        return null;
+    }
+    return listRecordings(dir).find((recording) => recording.name === name) || null;
+}
+
+/**
+ * Names of all files of a recording: segments, manifest and transcript
+ * @param {Object} recording - Recording from findRecording
+ */
+function recordingFiles(recording) {
+    return recording.segments.map((segment) => segment.file)
+        .concat([recording.manifest, recording.transcript].filter(Boolean));
+}
+
+/**
+ * Bytes a recording's files take on disk (segments, manifest and transcript)
+ * @param {string} dir - Recordings directory
+ * @param {Object} recording - Recording from listRecordings
+ */
+function diskUsage(dir, recording) {
+    return recordingFiles(recording).reduce((total, file) => {
+        const filePath = path.join(dir, file);
+        return total + (fs.existsSync(filePath) ? fs.statSync(filePath).size : 0);
+    }, 0);
+}
+
+/**
+ * Resolve a file belonging to a recording (a segment, its manifest or transcript)
+ * @param {string} dir - Recordings directory
+ * @param {Object} recording - Recording from findRecording
+ * @param {string} file - File name
+ * @returns {string|null} Absolute path, or null if the file is not part of the recording
+ */
+function resolveRecordingFile(dir, recording, file) {
+    if (!SAFE_NAME.test(file || '') || !recordingFiles(recording).includes(file)) {
+        return null;
+    }
+    const filePath = path.join(dir, file);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Delete a recording's segment files, manifest and transcript
+ * @param {string} dir - Recordings directory
+ * @param {Object} recording - Recording from findRecording
+ * @returns {string[]} Names of the deleted files
+ */
+function deleteRecording(dir, recording) {
+    return recordingFiles(recording).filter((file) => {
+        const filePath = path.join(dir, file);
+        if (!fs.existsSync(filePath)) {
+            return false;
+        }
+        fs.unlinkSync(filePath);
+        return true;
+    });
+}
+
+module.exports = {
+    listRecordings,
+    findRecording,
+    isNameInUse,
+    recordingFiles,
+    diskUsage,
+    resolveRecordingFile,
+    deleteRecording
+};
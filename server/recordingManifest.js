@@ -0,0 +1,135 @@
+/**
+ * Recording Manifest Module
+ * Each recording has a JSON manifest next to its WAV segments listing the
+ * segments in order with their sample positions, so a recording split
+ * across several files can be reassembled without gaps
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readWavInfo } = require('./wavFile');
+const { TRANSCRIPT_SUFFIX, readTranscript, writeTranscript } = require('./transcript');
+const { readPlaintext, sealBuffer } = require('./recordingEncryption');
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Write a manifest atomically (write to a temporary file, then rename)
+ * @param {string} file - Manifest path
+ * @param {Object} manifest - Manifest contents
+ * @param {boolean} [encrypt] - Write it sealed (see recordingEncryption.js)
+ */
+function writeManifest(file, manifest, encrypt = false) {
+    const contents = Buffer.from(JSON.stringify(manifest, null, 2), 'utf8');
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, encrypt ? sealBuffer(contents) : contents);
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Read a manifest (decrypting it if it is sealed)
+ * @param {string} file - Manifest path
+ * @returns {Object|null} Manifest contents, or null if missing or unreadable
+ */
+function readManifest(file) {
+    try {
+        return JSON.parse(readPlaintext(file).toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a file in the recordings directory is a recording manifest
+ * (transcripts are JSON files too)
+ * @param {string} name - File name
+ */
+function isManifestFile(name) {
+    return name.endsWith('.json') && !name.endsWith(TRANSCRIPT_SUFFIX);
+}
+
+/**
+ * Rebuild the segment list of manifests whose recording never finished
+ * (the server stopped mid-recording). Call after the WAV files were repaired.
+ * @param {string} dir - Recordings directory
+ * @param {boolean} [encrypt] - Write the rebuilt manifests and transcripts sealed
+ * @returns {number} Number of manifests recovered
+ */
+function recoverManifests(dir, encrypt = false) {
+    if (!fs.existsSync(dir)) {
+        return 0;
+    }
+
+    let recovered = 0;
+
+    fs.readdirSync(dir)
+        .filter(isManifestFile)
+        .forEach((name) => {
+            const file = path.join(dir, name);
+            const manifest = readManifest(file);
+            if (!manifest || !Array.isArray(manifest.segments) || manifest.endedAt) {
+                return;
+            }
+
+            // Segment files follow the manifest's base name; pick up any the manifest missed
+            const base = path.basename(name, '.json');
+            const segmentName = new RegExp(`^${escapeRegExp(base)}(-part\\d{3})?\\.wav$`);
+            const segmentFiles = fs.readdirSync(dir)
+                .filter((candidate) => segmentName.test(candidate))
+                .sort();
+
+            let startSample = 0;
+            let lastModified = new Date(manifest.startedAt).getTime();
+            manifest.segments = segmentFiles.map((segmentFile, index) => {
+                const segmentPath = path.join(dir, segmentFile);
+                const info = readWavInfo(segmentPath);
+                const frameBytes = info ? info.format.channels * info.format.bitDepth / 8 : 1;
+                const sampleCount = info ? info.dataSize / frameBytes : 0;
+                const existing = manifest.segments.find((segment) => segment.file === segmentFile) || {};
+                lastModified = Math.max(lastModified, fs.statSync(segmentPath).mtimeMs);
+
+                const segment = {
+                    index: index + 1,
+                    file: segmentFile,
+                    startedAt: existing.startedAt || null,
+                    startSample: startSample,
+                    sampleCount: sampleCount,
+                    bytes: info ? info.dataSize : 0,
+                    duration: info ? info.duration : 0
+                };
+                startSample += sampleCount;
+                return segment;
+            });
+
+            manifest.endedAt = new Date(lastModified).toISOString();
+            manifest.totalSamples = startSample;
+            manifest.duration = manifest.format ? startSample / manifest.format.sampleRate : null;
+            manifest.recovered = true;
+            writeManifest(file, manifest, encrypt);
+
+            // Close the recording's transcript as well
+            const transcriptFile = path.join(dir, `${base}${TRANSCRIPT_SUFFIX}`);
+            const transcript = readTranscript(transcriptFile);
+            if (transcript && !transcript.endedAt) {
+                transcript.endedAt = manifest.endedAt;
+                writeTranscript(transcriptFile, transcript, encrypt);
+            }
+
+            recovered++;
+            console.log(`[Recovery] Rebuilt manifest ${name} (${manifest.segments.length} segment(s))`);
+        });
+
+    return recovered;
+}
+
+module.exports = {
+    writeManifest,
+    readManifest,
+    isManifestFile,
+    recoverManifests
+};
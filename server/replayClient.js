@@ -0,0 +1,508 @@
+/**
+ * Replay Client
+ * Streams a WAV or raw PCM file into the server the way the browser's
+ * AudioService does (same AudioEvent headers, sequence numbers and framing),
+ * for reproducible end-to-end runs and regression fixtures without a microphone.
+ *
+ * Every message the server sends back is printed to stdout as a JSON line;
+ * progress goes to stderr.
+ *
+ * Usage: node server/replayClient.js <file> [options]
+ *   --url <url>              Server (default ws://<host>:<port> from the server configuration)
+ *   --token <user:key>       Credentials when authentication is enabled (or AUDIO_SERVER_TOKEN)
+ *   --framing <binary|json>  Packet framing (default: audio-config.json "framing")
+ *   --frame-ms <ms>          Audio per packet (default: audio-config.json "frameDurationMs")
+ *   --speed <factor>         Pace relative to real time; 0 sends as fast as the socket allows (default 1)
+ *   --rate <hz>, --channels <n>, --encoding <encoding>
+ *                            Format of raw PCM files (default 16000, 1, s16le)
+ *   --record                 Record the session (startRecording/stopRecording control messages)
+ *   --metadata <k=v,...>     Session metadata, e.g. patientId=P-1,encounterId=E-2
+ *   --phi <mode>             PHI handling for the session's transcript: off, tag or redact
+ *   --phi-types <A,B,...>    PHI types to find, e.g. NAME,DATE,MRN
+ *   --vocabulary <name>      Custom vocabulary for the session's transcript
+ *   --loss <fraction>        Leave out this fraction of packets, as if the client lost them (default 0)
+ *   --drop-every <seconds>   Drop the connection after each this many seconds of audio and resume the session
+ *   --seed <n>               Seed for --loss, so runs repeat exactly (default 1)
+ *   --linger <ms>            Wait this long after the last packet for final results (default 3000)
+ *   --quiet                  Do not print ack and pong messages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { encodeMessage } = require('./eventStream');
+const { parseContentType, ENCODINGS } = require('./audioFormat');
+const { readWavInfo } = require('./wavFile');
+
+const PROTOCOL_BINARY = 'audio-eventstream';
+const PROTOCOL_JSON = 'audio-json';
+// Close code the server uses for connections that fail authentication
+const CLOSE_AUTH_FAILED = 4401;
+const RECONNECT_DELAY_MS = 500;
+// When sending as fast as possible, wait for the socket below this much queued data
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+const BOOLEAN_FLAGS = ['record', 'quiet', 'help'];
+
+/**
+ * Parse "--flag value", "--flag=value" and boolean flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{file: string|null, flags: Object}} Input file and flags
+ */
+function parseArgs(argv) {
+    const flags = {};
+    let file = null;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            if (file !== null) {
+                throw new Error(`Unexpected argument "${arg}"`);
+            }
+            file = arg;
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = arg.slice(2, equals === -1 ? undefined : equals);
+        if (equals !== -1) {
+            flags[name] = arg.slice(equals + 1);
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else if (i + 1 < argv.length) {
+            flags[name] = argv[++i];
+        } else {
+            throw new Error(`Missing value for ${arg}`);
+        }
+    }
+    return { file, flags };
+}
+
+/**
+ * Parse "key=value,key=value" session metadata
+ */
+function parseMetadata(value) {
+    const metadata = {};
+    String(value).split(',').filter(Boolean).forEach((pair) => {
+        const equals = pair.indexOf('=');
+        if (equals <= 0) {
+            throw new Error(`Invalid metadata "${pair}" (expected key=value)`);
+        }
+        metadata[pair.slice(0, equals).trim()] = pair.slice(equals + 1).trim();
+    });
+    return metadata;
+}
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so simulated loss repeats from run to run
+ * @param {number} seed - Seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Describe the audio in a WAV or raw PCM file
+ * @param {string} file - Path of the file
+ * @param {Object} rawFormat - { sampleRate, channels, encoding } of raw PCM files
+ * @returns {{format: Object, dataOffset: number, dataSize: number}} Format and position of the samples
+ * @throws {Error} If the WAV file cannot be read or its sample format is not supported
+ */
+function openAudioSource(file, rawFormat) {
+    if (path.extname(file).toLowerCase() !== '.wav') {
+        return { format: rawFormat, dataOffset: 0, dataSize: fs.statSync(file).size };
+    }
+
+    const info = readWavInfo(file);
+    if (!info) {
+        throw new Error(`${file} is not a WAV file`);
+    }
+
+    let encoding;
+    if (info.floatingPoint && info.format.bitDepth === 32) {
+        encoding = 'f32le';
+    } else if (!info.floatingPoint && [16, 24, 32].includes(info.format.bitDepth)) {
+        encoding = `s${info.format.bitDepth}le`;
+    } else {
+        throw new Error(`Unsupported WAV sample format: ${info.format.bitDepth}-bit${info.floatingPoint ? ' float' : ''}`);
+    }
+
+    return {
+        format: { sampleRate: info.format.sampleRate, channels: info.format.channels, encoding: encoding },
+        dataOffset: info.dataOffset,
+        dataSize: info.dataSize
+    };
+}
+
+/**
+ * :content-type header value for a format, as AudioService declares it
+ */
+function contentTypeOf(format) {
+    const encoding = format.encoding === 's16le' ? '' : `;encoding=${format.encoding}`;
+    return `audio/pcm;rate=${format.sampleRate};channels=${format.channels}${encoding}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class ReplayClient {
+    /**
+     * @param {string} file - WAV or raw PCM file to stream
+     * @param {Object} options - { url, token, framing, frameMs, speed, rawFormat, record, metadata,
+     *                             transcriptOptions, loss, dropEverySeconds, seed, lingerMs, quiet }
+     */
+    constructor(file, options) {
+        this.file = file;
+        this.options = options;
+
+        this.source = openAudioSource(file, options.rawFormat);
+        this.contentType = contentTypeOf(this.source.format);
+        parseContentType(this.contentType, this.source.format); // throws if the server would reject it
+        const frameBytes = ENCODINGS[this.source.format.encoding].bytes * this.source.format.channels;
+        this.packetBytes = Math.max(1, Math.round(this.source.format.sampleRate * options.frameMs / 1000)) * frameBytes;
+        this.packetSeconds = this.packetBytes / frameBytes / this.source.format.sampleRate;
+
+        this.ws = null;
+        this.sessionId = null;
+        this.closingOnPurpose = false;
+        this.failure = null;
+        // Packets sent (or waiting to be sent) that the server has not acknowledged
+        this.pending = [];
+        this.controlRequestId = 0;
+        this.controlWaiters = new Map();
+        this.random = seededRandom(options.seed);
+
+        this.startedAt = Date.now();
+        this.packetsSent = 0;
+        this.packetsLost = 0;
+        this.packetsReplayed = 0;
+        this.drops = 0;
+    }
+
+    /**
+     * Stream the whole file, then close the session
+     * @returns {Promise} Resolves when done; rejects if the connection fails
+     */
+    async run() {
+        const seconds = this.source.dataSize / this.packetBytes * this.packetSeconds;
+        this.log(`Streaming ${path.basename(this.file)} (${seconds.toFixed(1)}s, ${this.contentType}) to ${this.options.url}`);
+
+        await this.connect();
+        if (this.options.metadata) {
+            await this.sendControl('setMetadata', { metadata: this.options.metadata });
+        }
+        if (this.options.transcriptOptions) {
+            await this.sendControl('setTranscriptOptions', this.options.transcriptOptions);
+        }
+        if (this.options.record) {
+            await this.sendControl('startRecording');
+        }
+
+        await this.stream();
+
+        if (this.options.lingerMs > 0) {
+            this.log(`All audio sent; waiting ${this.options.lingerMs}ms for final results`);
+            await sleep(this.options.lingerMs);
+        }
+        if (this.options.record) {
+            await this.sendControl('stopRecording');
+        }
+        await this.close();
+
+        this.log(`Done: ${this.packetsSent} packet(s) sent, ${this.packetsLost} lost, ` +
+            `${this.packetsReplayed} replayed after ${this.drops} drop(s) in ${((Date.now() - this.startedAt) / 1000).toFixed(1)}s`);
+    }
+
+    /**
+     * Send the file's packets at the configured pace
+     */
+    async stream() {
+        const fd = fs.openSync(this.file, 'r');
+        try {
+            const packetCount = Math.ceil(this.source.dataSize / this.packetBytes);
+            const paceStart = Date.now();
+            let nextDropAt = this.options.dropEverySeconds || Infinity;
+
+            for (let index = 0; index < packetCount; index++) {
+                this.throwIfFailed();
+
+                if (this.options.speed > 0) {
+                    const due = paceStart + index * this.packetSeconds * 1000 / this.options.speed;
+                    await sleep(Math.max(0, due - Date.now()));
+                } else {
+                    while (this.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+                        await sleep(5);
+                    }
+                }
+
+                const offset = index * this.packetBytes;
+                const length = Math.min(this.packetBytes, this.source.dataSize - offset);
+                const pcm = Buffer.alloc(length);
+                fs.readSync(fd, pcm, 0, length, this.source.dataOffset + offset);
+
+                const packet = { sequence: index + 1, pcm: pcm };
+                if (this.options.loss > 0 && this.random() < this.options.loss) {
+                    this.packetsLost++;
+                } else {
+                    this.pending.push(packet);
+                    this.sendPacket(packet);
+                }
+
+                if ((index + 1) * this.packetSeconds >= nextDropAt) {
+                    nextDropAt += this.options.dropEverySeconds;
+                    await this.dropAndResume();
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Open a connection (resuming the session if there is one) and wait for the welcome
+     */
+    connect() {
+        const protocols = this.options.framing === 'binary' ? [PROTOCOL_BINARY, PROTOCOL_JSON] : [PROTOCOL_JSON];
+        const url = new URL(this.options.url);
+        if (this.sessionId) {
+            url.searchParams.set('session', this.sessionId);
+        }
+        const headers = this.options.token ? { Authorization: `Bearer ${this.options.token}` } : {};
+
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url.toString(), protocols, { headers });
+            this.ws = ws;
+            let welcomed = false;
+
+            ws.on('message', (data) => {
+                const message = this.handleMessage(data);
+                if (message && message.type === 'welcome' && !welcomed) {
+                    welcomed = true;
+                    resolve();
+                }
+            });
+
+            ws.on('error', (error) => {
+                if (!welcomed) {
+                    reject(error);
+                }
+            });
+
+            ws.on('close', (code, reason) => {
+                if (ws !== this.ws || this.closingOnPurpose) {
+                    return;
+                }
+                const error = new Error(code === CLOSE_AUTH_FAILED
+                    ? `Authentication failed: ${reason.toString() || 'invalid credentials'}`
+                    : `Connection closed by the server (code ${code}${reason.length ? `, ${reason}` : ''})`);
+                this.failure = error;
+                if (!welcomed) {
+                    reject(error);
+                }
+                this.controlWaiters.forEach((waiter) => waiter.reject(error));
+                this.controlWaiters.clear();
+            });
+        });
+    }
+
+    /**
+     * Print a server message and act on welcome, ack and controlResult messages
+     * @returns {Object|null} The parsed message
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            this.log(`Received a message that is not JSON (${data.length} bytes)`);
+            return null;
+        }
+
+        if (!this.options.quiet || (message.type !== 'ack' && message.type !== 'pong')) {
+            console.log(JSON.stringify(message));
+        }
+
+        switch (message.type) {
+            case 'welcome':
+                this.sessionId = message.sessionId;
+                if (message.resumed) {
+                    this.replayPending(message.lastSequence);
+                }
+                break;
+            case 'ack':
+                this.pending = this.pending.filter((packet) => packet.sequence > message.sequence);
+                break;
+            case 'controlResult': {
+                const waiter = this.controlWaiters.get(message.requestId);
+                if (waiter) {
+                    this.controlWaiters.delete(message.requestId);
+                    if (message.ok) {
+                        waiter.resolve(message);
+                    } else {
+                        waiter.reject(new Error(`${message.action} failed: ${message.error}`));
+                    }
+                }
+                break;
+            }
+        }
+        return message;
+    }
+
+    /**
+     * Send an audio packet with the same headers as AudioService
+     */
+    sendPacket(packet) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return; // kept in pending and sent when the session resumes
+        }
+
+        const headers = {
+            ':message-type': 'event',
+            ':event-type': 'AudioEvent',
+            ':content-type': this.contentType,
+            'sequence-number': String(packet.sequence)
+        };
+        if (this.ws.protocol === PROTOCOL_BINARY) {
+            this.ws.send(encodeMessage(headers, packet.pcm));
+        } else {
+            this.ws.send(JSON.stringify({ headers, payload: packet.pcm.toString('base64') }));
+        }
+        this.packetsSent++;
+    }
+
+    /**
+     * Send the packets the server did not receive before the connection dropped
+     * @param {number|null} lastSequence - Last packet the server has
+     */
+    replayPending(lastSequence) {
+        const missed = this.pending.filter((packet) => lastSequence === null || packet.sequence > lastSequence);
+        if (missed.length > 0) {
+            this.log(`Resumed session; replaying ${missed.length} packet(s) from #${missed[0].sequence}`);
+        }
+        this.packetsReplayed += missed.length;
+        missed.forEach((packet) => this.sendPacket(packet));
+    }
+
+    /**
+     * Drop the connection without closing it properly and resume the session on a new one
+     */
+    async dropAndResume() {
+        this.drops++;
+        this.log(`Dropping the connection (drop ${this.drops})`);
+        const ws = this.ws;
+        this.ws = null;
+        ws.terminate();
+        await sleep(RECONNECT_DELAY_MS);
+        await this.connect();
+    }
+
+    /**
+     * Send a control message and wait for the server's result
+     * @param {string} type - startRecording, stopRecording or setMetadata
+     * @param {Object} [fields] - Additional message fields
+     */
+    sendControl(type, fields = {}) {
+        this.throwIfFailed();
+        const requestId = ++this.controlRequestId;
+        return new Promise((resolve, reject) => {
+            this.controlWaiters.set(requestId, { resolve, reject });
+            this.ws.send(JSON.stringify({ type, requestId, ...fields }));
+        });
+    }
+
+    /**
+     * End the session with a normal close
+     */
+    close() {
+        this.closingOnPurpose = true;
+        return new Promise((resolve) => {
+            this.ws.once('close', resolve);
+            this.ws.close(1000, 'Replay finished');
+        });
+    }
+
+    throwIfFailed() {
+        if (this.failure) {
+            throw this.failure;
+        }
+    }
+
+    log(message) {
+        console.error(`[Replay] ${message}`);
+    }
+}
+
+// Command line
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+
+    const run = async () => {
+        const { file, flags } = parseArgs(process.argv.slice(2));
+        if (!file || flags.help) {
+            console.error('Usage: node server/replayClient.js <file.wav|file.pcm> [--url ws://host:port] [--token user:key]\n' +
+                '  [--framing binary|json] [--frame-ms 100] [--speed 1] [--rate 16000 --channels 1 --encoding s16le]\n' +
+                '  [--record] [--metadata key=value,...] [--phi off|tag|redact] [--phi-types NAME,DATE] [--vocabulary name]\n' +
+                '  [--loss 0.05] [--drop-every 10] [--seed 1] [--linger 3000] [--quiet]');
+            process.exitCode = 1;
+            return;
+        }
+
+        const config = loadConfig([], process.env);
+        const number = (name, fallback) => {
+            const value = flags[name] === undefined ? fallback : Number(flags[name]);
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`--${name} must be a number of zero or more`);
+            }
+            return value;
+        };
+
+        // Transcript options the session is switched to before streaming (fields left out stay as they are)
+        const transcriptOptions = {};
+        if (flags.phi !== undefined || flags['phi-types'] !== undefined) {
+            transcriptOptions.phi = {};
+            if (flags.phi !== undefined) {
+                transcriptOptions.phi.mode = flags.phi;
+            }
+            if (flags['phi-types'] !== undefined) {
+                transcriptOptions.phi.types = flags['phi-types'].split(',').map((type) => type.trim()).filter(Boolean);
+            }
+        }
+        if (flags.vocabulary !== undefined) {
+            transcriptOptions.vocabulary = flags.vocabulary;
+        }
+
+        const client = new ReplayClient(file, {
+            url: flags.url || `ws://${config.host}:${config.port}`,
+            token: flags.token || process.env.AUDIO_SERVER_TOKEN || null,
+            framing: flags.framing || config.audio.framing,
+            frameMs: number('frame-ms', config.audio.frameDurationMs) || config.audio.frameDurationMs,
+            speed: number('speed', 1),
+            rawFormat: {
+                sampleRate: number('rate', 16000),
+                channels: number('channels', 1),
+                encoding: flags.encoding || 's16le'
+            },
+            record: flags.record === true,
+            metadata: flags.metadata ? parseMetadata(flags.metadata) : null,
+            transcriptOptions: Object.keys(transcriptOptions).length > 0 ? transcriptOptions : null,
+            loss: Math.min(number('loss', 0), 1),
+            dropEverySeconds: number('drop-every', 0),
+            seed: number('seed', 1),
+            lingerMs: number('linger', 3000),
+            quiet: flags.quiet === true
+        });
+        await client.run();
+    };
+
+    run().catch((error) => {
+        console.error(`[Replay] ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = ReplayClient;
@@ -0,0 +1,114 @@
+/**
+ * Resampler Module
+ * Streaming sample-rate converter for a single channel of Float32 audio.
+ * Same algorithm as src/app/resampler.ts: windowed-sinc low-pass filter
+ * when downsampling, then linear interpolation at fractional positions.
+ * State is kept between calls so consecutive chunks join seamlessly.
+ */
+
+const NUM_TAPS = 63;
+
+/**
+ * Blackman-windowed sinc low-pass filter
+ * @param {number} cutoff - Cutoff frequency as a fraction of the input sample rate (0 - 0.5)
+ * @param {number} numTaps - Filter length (odd)
+ * @returns {Float32Array} Filter taps
+ */
+function designLowPass(cutoff, numTaps) {
+    const taps = new Float32Array(numTaps);
+    const middle = (numTaps - 1) / 2;
+    let sum = 0;
+
+    for (let n = 0; n < numTaps; n++) {
+        const x = n - middle;
+        const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+        const window = 0.42
+            - 0.5 * Math.cos((2 * Math.PI * n) / (numTaps - 1))
+            + 0.08 * Math.cos((4 * Math.PI * n) / (numTaps - 1));
+        taps[n] = sinc * window;
+        sum += taps[n];
+    }
+
+    // Normalize for unity gain at DC
+    for (let n = 0; n < numTaps; n++) {
+        taps[n] /= sum;
+    }
+    return taps;
+}
+
+class Resampler {
+    /**
+     * @param {number} inputRate - Input sample rate (Hz)
+     * @param {number} outputRate - Output sample rate (Hz)
+     */
+    constructor(inputRate, outputRate) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        // Input samples consumed per output sample
+        this.step = inputRate / outputRate;
+        this.taps = inputRate > outputRate ? designLowPass(0.45 / this.step, NUM_TAPS) : null;
+        // Last (taps - 1) input samples, needed to filter the start of the next chunk
+        this.history = new Float32Array(this.taps ? this.taps.length - 1 : 0);
+        // Read position for the next output sample, relative to the last sample of the previous chunk
+        this.position = 1;
+        this.lastSample = 0;
+    }
+
+    /**
+     * Resample a chunk of audio
+     * @param {Float32Array} input - Samples at the input rate
+     * @returns {Float32Array} Samples at the output rate
+     */
+    process(input) {
+        if (this.inputRate === this.outputRate) {
+            return input;
+        }
+
+        const filtered = this.taps ? this.filter(input) : input;
+        const output = new Float32Array(Math.ceil((filtered.length + 1) / this.step) + 1);
+        let count = 0;
+        let t = this.position;
+
+        // Index 0 is the last sample of the previous chunk, index i is filtered[i - 1]
+        while (t < filtered.length) {
+            const i = Math.floor(t);
+            const frac = t - i;
+            const a = i === 0 ? this.lastSample : filtered[i - 1];
+            const b = filtered[i];
+            output[count++] = a + (b - a) * frac;
+            t += this.step;
+        }
+
+        if (filtered.length > 0) {
+            this.position = t - filtered.length;
+            this.lastSample = filtered[filtered.length - 1];
+        }
+
+        return output.subarray(0, count);
+    }
+
+    /**
+     * Apply the low-pass filter, carrying history across chunks
+     */
+    filter(input) {
+        const taps = this.taps;
+        const historyLength = this.history.length;
+        const padded = new Float32Array(historyLength + input.length);
+        padded.set(this.history, 0);
+        padded.set(input, historyLength);
+
+        const output = new Float32Array(input.length);
+        for (let n = 0; n < input.length; n++) {
+            let sum = 0;
+            for (let k = 0; k < taps.length; k++) {
+                sum += taps[k] * padded[n + historyLength - k];
+            }
+            output[n] = sum;
+        }
+
+        this.history = padded.slice(padded.length - historyLength);
+        return output;
+    }
+}
+
+module.exports = Resampler;
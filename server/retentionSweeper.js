@@ -0,0 +1,115 @@
+/**
+ * Retention Sweeper
+ * Enforces the retention policy (config.retention) on the recordings
+ * directory: recordings started more than maxAgeDays ago are deleted, then
+ * the oldest recordings while all of them together take more than
+ * maxTotalMB on disk. Recordings in progress are never deleted, though they
+ * count towards the total. Every deletion is written to the audit log.
+ */
+
+const library = require('./recordingLibrary');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionSweeper {
+    /**
+     * @param {string} dir - Recordings directory
+     * @param {Function} getPolicy - Returns { maxAgeDays, maxTotalMB } (0 disables a limit);
+     *                               read at every sweep so changes apply to the next one
+     * @param {AuditLog} auditLog - Log deletions are recorded in
+     */
+    constructor(dir, getPolicy, auditLog) {
+        this.dir = dir;
+        this.getPolicy = getPolicy;
+        this.auditLog = auditLog;
+        this.timer = null;
+    }
+
+    /**
+     * Sweep now and then every intervalMinutes
+     * @param {number} intervalMinutes - Minutes between sweeps; 0 only sweeps now
+     */
+    start(intervalMinutes) {
+        this.stop();
+        this.sweep();
+        if (intervalMinutes > 0) {
+            this.timer = setInterval(() => this.sweep(), intervalMinutes * 60 * 1000);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Delete the recordings the policy does not allow to keep
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object[]} Deleted recordings: { name, reason, bytes }
+     */
+    sweep(now = Date.now()) {
+        const { maxAgeDays, maxTotalMB } = this.getPolicy();
+        if (!(maxAgeDays > 0) && !(maxTotalMB > 0)) {
+            return [];
+        }
+
+        let recordings;
+        try {
+            recordings = library.listRecordings(this.dir).map((recording) => ({
+                recording: recording,
+                bytes: library.diskUsage(this.dir, recording)
+            }));
+        } catch (error) {
+            console.error('[Retention] Cannot list recordings:', error.message);
+            return [];
+        }
+
+        const deleted = [];
+        const remove = (entry, reason) => {
+            const { recording, bytes } = entry;
+            try {
+                const files = library.deleteRecording(this.dir, recording);
+                this.auditLog.recordDeletion(recording, files, bytes, { by: 'retention', reason: reason });
+                console.log(`[Retention] Deleted ${recording.name} (${reason}, ${(bytes / 1024 / 1024).toFixed(2)} MB)`);
+                deleted.push({ name: recording.name, reason: reason, bytes: bytes });
+                return true;
+            } catch (error) {
+                console.error(`[Retention] Cannot delete ${recording.name}:`, error.message);
+                return false;
+            }
+        };
+
+        // Oldest first
+        let remaining = recordings
+            .filter((entry) => entry.recording.startedAt)
+            .sort((a, b) => a.recording.startedAt.localeCompare(b.recording.startedAt));
+
+        if (maxAgeDays > 0) {
+            const cutoff = now - maxAgeDays * DAY_MS;
+            remaining = remaining.filter((entry) => entry.recording.active ||
+                Date.parse(entry.recording.startedAt) >= cutoff ||
+                !remove(entry, `older than ${maxAgeDays} day(s)`));
+        }
+
+        if (maxTotalMB > 0) {
+            const limit = maxTotalMB * 1024 * 1024;
+            // Recordings without a start time are counted but never chosen for deletion
+            const undated = recordings.filter((entry) => !entry.recording.startedAt);
+            let total = remaining.concat(undated).reduce((sum, entry) => sum + entry.bytes, 0);
+            for (const entry of remaining) {
+                if (total <= limit) {
+                    break;
+                }
+                if (!entry.recording.active && remove(entry, `total size over ${maxTotalMB} MB`)) {
+                    total -= entry.bytes;
+                }
+            }
+        }
+
+        return deleted;
+    }
+}
+
+module.exports = RetentionSweeper;
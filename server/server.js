@@ -1,33 +1,112 @@
 /**
  * WebSocket Server for Audio Streaming
- * Listens on port 5000 and receives audio packets from clients
- * Supports interactive console commands: stop, restart, status, help
+ * Listens on the configured host and port (default localhost:5000, see config.js)
+ * and receives audio packets from clients
+ * Supports interactive console commands (clients, kick, record, recordings,
+ * config, ... - type "help"; see serverConsole.js) and an admin HTTP API on
+ * the same port (see adminApi.js)
  */
 
+const { getConfig, describeOptions, getOption, setOption, listOptions } = require('./config');
+
+// Load the configuration before the modules that read it
+if (process.argv.includes('--help')) {
+    console.log('Usage: node server/server.js [--config <file>] [options]\n');
+    console.log('Options (flag, environment variable, config file setting):');
+    describeOptions().forEach((line) => console.log(line));
+    process.exit(0);
+}
+
+let config;
+try {
+    config = getConfig();
+} catch (error) {
+    console.error(`Configuration error: ${error.message}`);
+    process.exit(1);
+}
+
+const http = require('http');
 const WebSocket = require('ws');
-const readline = require('readline');
 const path = require('path');
-const fs = require('fs');
+const ClientSession = require('./clientSession');
+const { registerEngine } = require('./transcriptionEngine');
+const AwsMedicalEngine = require('./awsMedicalEngine');
+const messages = require('./serverMessages');
+const { decodeMessage } = require('./eventStream');
 const AudioRecorder = require('./audioRecorder');
-
-// Load audio config
-const audioConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'audio-config.json'), 'utf8'));
-
-// Configuration
-const PORT = 5000;
-const HOST = 'localhost';
+const { repairRecordings } = require('./wavFile');
+const { recoverManifests } = require('./recordingManifest');
+const { AdminApi, ApiError } = require('./adminApi');
+const library = require('./recordingLibrary');
+const transcript = require('./transcript');
+const { UserStore, tokenFromRequest } = require('./userStore');
+const { formatMetrics } = require('./metrics');
+const { ServerConsole, printTable } = require('./serverConsole');
+const { useKeyFile, sealRecordings } = require('./recordingEncryption');
+const AuditLog = require('./auditLog');
+const RetentionSweeper = require('./retentionSweeper');
+const VocabularyStore = require('./vocabularyStore');
+const { SessionCatalog, parseQuery } = require('./sessionCatalog');
 
 // Server state
 let wss = null;
 let server = null;
+let serverAddress = null;
+let heartbeatTimer = null;
+let catalogTimer = null;
 let isRunning = false;
+let isShuttingDown = false;
 let clientCount = 0;
 let totalPacketsReceived = 0;
 let totalBytesReceived = 0;
+let totalDecodeErrors = 0;
+let totalNonJsonMessages = 0;
+
+// Totals of sessions that have ended, so server-wide counters survive their sessions
+const endedSessions = {
+    count: 0,
+    durationSeconds: 0,
+    recordedBytes: 0
+};
 let startTime = null;
 
-// Audio recorder instance
-const audioRecorder = new AudioRecorder();
+// WebSocket subprotocols used to negotiate audio framing, in order of preference.
+// Clients that offer no protocol get the JSON framing.
+const PROTOCOL_BINARY = 'audio-eventstream';
+const PROTOCOL_JSON = 'audio-json';
+
+// AudioEvent header carrying the client's packet sequence number, used to drop replayed duplicates
+const SEQUENCE_HEADER = 'sequence-number';
+
+// Client sessions, keyed by client ID; includes sessions waiting to be resumed
+const sessions = new Map();
+
+// Users allowed to connect, and the close code sent to connections that fail authentication
+const userStore = new UserStore(config.auth.usersFile);
+const CLOSE_AUTH_FAILED = 4401;
+// Close code for clients disconnected from the console or API; they should not reconnect
+const CLOSE_KICKED = 4410;
+
+// Names accepted for recordings started with a name
+const RECORDING_NAME = /^[\w][\w.-]{0,99}$/;
+// Names of segment files; a recording with such a name could overwrite another recording's segment
+const SEGMENT_SUFFIX = /-part\d{3}$/;
+
+// How often the catalogue entries of sessions that are streaming are written
+const CATALOG_CHECKPOINT_MS = 30000;
+
+// Recording deletions are audited; the retention policy is read from the config at every sweep
+const auditLog = new AuditLog(config.auditLog);
+const retentionSweeper = new RetentionSweeper(AudioRecorder.RECORDINGS_DIR, () => config.retention, auditLog);
+
+// Custom vocabularies clients can choose for their transcripts
+const vocabularyStore = new VocabularyStore(config.vocabulary.file);
+
+// Index of every session and the recordings it made, encrypted like the recordings
+const sessionCatalog = new SessionCatalog(AudioRecorder.RECORDINGS_DIR, () => config.encryption.enabled);
+
+// Available transcription engines (selected by "transcription.engine" in the audio config)
+registerEngine('aws-medical', (options) => new AwsMedicalEngine(options));
 
 
 /**
@@ -40,169 +119,378 @@ function startServer() {
     }
 
     try {
+        // HTTP server for the admin API; WebSocket upgrades are handled on the same port
+        server = http.createServer((req, res) => adminApi.handleRequest(req, res));
+
         // Create WebSocket server
         wss = new WebSocket.Server({ 
-            port: PORT,
-            host: HOST
+            server: server,
+            handleProtocols: (protocols) => {
+                if (protocols.has(PROTOCOL_BINARY)) {
+                    return PROTOCOL_BINARY;
+                }
+                if (protocols.has(PROTOCOL_JSON)) {
+                    return PROTOCOL_JSON;
+                }
+                return false;
+            }
         });
 
-        // Track server instance
-        server = wss._server;
-
-        // Handle new client connections
+        // Handle new connections; clients get a session once they have authenticated
         wss.on('connection', (ws, req) => {
-            const clientId = ++clientCount;
-            const clientIp = req.socket.remoteAddress;
-            
-            console.log(`[Client ${clientId}] Connected from ${clientIp}`);
-            
-            // Track statistics for this client
-            let packetCount = 0;
-            let totalBytes = 0;
-            let firstPacketTime = null;
-            let lastPacketTime = null;
-
-            // Handle incoming messages
-            ws.on('message', (data) => {
-                try {
-                    // Check if message is JSON (text) or binary
-                    let packet;
-                    
-                    //if (data instanceof Buffer) {
-                        // Binary data received
-                    //    console.log(`[Client ${clientId}] Received binary data: ${data.length} bytes`);
-                        // For now, just log it - you can process binary audio data here
-                    //    return;
-                    //}
-                    
-                    // Try to parse as JSON
-                    try {
-                        packet = JSON.parse(data.toString('utf8'));
-                        
-                    } catch (parseError) {
-                        // Not valid JSON - might be binary data
-                        console.log(`[Client ${clientId}] Received non-JSON message: ${data.length} bytes`);
-                        return;
-                    }
-
-                    // Handle AudioEvent packets (from audio.service.ts)
-                    if (packet.headers && packet.headers[':event-type'] === 'AudioEvent') {
-                        // Extract audio format from content-type header
-                      
-                        const contentType = packet.headers[':content-type'] || '';
-                        const sampleRateMatch = contentType.match(/rate=(\d+)/);
-                        const channelsMatch = contentType.match(/channels=(\d+)/);
-                        
-                        const sampleRate = sampleRateMatch ? parseInt(sampleRateMatch[1]) : audioConfig.sampleRate;
-                        const channels = channelsMatch ? parseInt(channelsMatch[1]) : audioConfig.channels;
-                        const bitDepth = audioConfig.bitDepth;
-                        
-                        // Decode base64 payload to get PCM audio data
-                        if (!packet.payload) {
-                            console.log(`[Client ${clientId}] AudioEvent received but no payload`);
-                            return;
-                        }
-                        
-                        const audioBuffer = Buffer.from(packet.payload, 'base64');
-                        
-                        // Convert Buffer to array of 16-bit signed integers (PCM samples)
-                        const samples = [];
-                        for (let i = 0; i < audioBuffer.length; i += 2) {
-                            if (i + 1 < audioBuffer.length) {
-                                samples.push(audioBuffer.readInt16LE(i));
-                            }
-                        }
-                        
-                        // Create packet in format expected by audioRecorder
-                        const audioPacket = {
-                            data: samples,
-                            sampleRate: sampleRate,
-                            channels: channels,
-                            bitDepth: bitDepth,
-                            timestamp: Date.now(),
-                            dataLength: samples.length,
-                            duration: (samples.length / sampleRate) * 1000 // milliseconds
-                        };
-                        
-                        // Update statistics
-                        packetCount++;
-                        totalPacketsReceived++;
-                        const packetSize = audioBuffer.length;
-                        totalBytes += packetSize;
-                        totalBytesReceived += packetSize;
-                        
-                        if (!firstPacketTime) {
-                            firstPacketTime = Date.now();
-                        }
-                        lastPacketTime = Date.now();
-                        //console.log(packetCount);
-                        // Write to recording file if recording is active
-                        audioRecorder.writeAudioPacket(audioPacket);
-                        
-                        // Log packet info (optional, for debugging)
-                        /*if (packetCount <= 3) {
-                            console.log(`[Client ${clientId}] AudioEvent packet #${packetCount}:`, {
-                                samples: samples.length,
-                                sampleRate: sampleRate,
-                                channels: channels,
-                                size: `${(packetSize / 1024).toFixed(2)} KB`,
-                                duration: `${audioPacket.duration.toFixed(2)}ms`,
-                                recording: audioRecorder.isRecording ? '●' : '-'
-                            });
-                        }*/
-                        
-                        return;
-                    }
-
-                } catch (error) {
-                    console.error(`[Client ${clientId}] Error processing message:`, error);
-                }
+            ws.lastPongAt = Date.now();
+            ws.on('pong', () => {
+                ws.lastPongAt = Date.now();
             });
-
-            // Handle client disconnection
-            ws.on('close', (code, reason) => {
-                const duration = lastPacketTime && firstPacketTime 
-                    ? ((lastPacketTime - firstPacketTime) / 1000).toFixed(2) 
-                    : 0;
-                
-                console.log(`[Client ${clientId}] Disconnected:`, {
-                    code,
-                    reason: reason.toString(),
-                    totalPackets: packetCount,
-                    totalData: `${(totalBytes / 1024 / 1024).toFixed(2)} MB`,
-                    duration: `${duration}s`
-                });
-                audioRecorder.stopRecording();
-            });
-
-            // Handle errors
+            // Until the client has a session, socket errors (such as malformed frames)
+            // only end its connection; acceptClient() then logs them per client
+            let accepted = false;
             ws.on('error', (error) => {
-                console.error(`[Client ${clientId}] WebSocket error:`, error);
+                if (!accepted) {
+                    console.error(`[Auth] WebSocket error from ${req.socket.remoteAddress}: ${error.message}`);
+                }
+            });
+            authenticateConnection(ws, req, (user) => {
+                accepted = true;
+                acceptClient(ws, req, user);
             });
-
-            // Send welcome message to client
-            ws.send(JSON.stringify({
-                type: 'welcome',
-                message: 'Connected to audio streaming server',
-                clientId: clientId
-            }));
         });
 
+        if (config.heartbeat.intervalMs > 0) {
+            heartbeatTimer = setInterval(checkHeartbeats, config.heartbeat.intervalMs);
+        }
+        catalogTimer = setInterval(() => sessionCatalog.checkpoint(sessions.values()), CATALOG_CHECKPOINT_MS);
+
         // Handle server errors
         wss.on('error', (error) => {
             console.error('WebSocket server error:', error);
         });
+        server.on('error', (error) => {
+            console.error('HTTP server error:', error);
+        });
+
+        // Host and port are read on each start so "config set" changes apply on restart
+        const { host, port } = config;
+        serverAddress = `${host}:${port}`;
+        server.listen(port, host, () => {
+            console.log(`\n✓ WebSocket server started and listening on ws://${serverAddress}`);
+            console.log(`✓ Admin API available at http://${serverAddress}/api`);
+            console.log(config.console.enabled ? 'Type "help" for available commands\n' : '');
+        });
 
         isRunning = true;
         startTime = Date.now();
-        console.log(`\n✓ WebSocket server started and listening on ws://${HOST}:${PORT}`);
-        console.log('Type "help" for available commands\n');
     } catch (error) {
         console.error('Error starting server:', error);
         isRunning = false;
     }
 }
 
+/**
+ * Ping every connection and drop those that stopped answering. Dropped
+ * clients' sessions are kept for them to resume, as for any lost connection.
+ */
+function checkHeartbeats() {
+    const now = Date.now();
+    wss.clients.forEach((ws) => {
+        // Pongs are not read while a connection is paused for backpressure
+        if (ws.isPaused) {
+            return;
+        }
+
+        if (now - ws.lastPongAt > config.heartbeat.timeoutMs) {
+            const session = Array.from(sessions.values()).find((candidate) => candidate.ws === ws);
+            console.log(`${session ? `[Client ${session.clientId}]` : '[Heartbeat]'} No response for ${((now - ws.lastPongAt) / 1000).toFixed(0)}s; dropping connection`);
+            ws.terminate();
+            return;
+        }
+        ws.ping();
+    });
+}
+
+/**
+ * Authenticate a new connection, from its upgrade request ("Authorization: Bearer <user>:<key>"
+ * header) or else from its first message ({ type: 'auth', user, key }).
+ * Connections that fail are closed with CLOSE_AUTH_FAILED.
+ * @param {WebSocket} ws - Client socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {Function} onAuthenticated - Called with the user name (null when authentication is disabled)
+ */
+function authenticateConnection(ws, req, onAuthenticated) {
+    if (!config.auth.enabled) {
+        onAuthenticated(null);
+        return;
+    }
+
+    const clientIp = req.socket.remoteAddress;
+    const reject = (reason) => {
+        console.log(`[Auth] Rejected connection from ${clientIp}: ${reason}`);
+        ws.close(CLOSE_AUTH_FAILED, reason);
+    };
+
+    const token = tokenFromRequest(req);
+    if (token) {
+        const user = userStore.verifyToken(token);
+        if (user) {
+            onAuthenticated(user);
+        } else {
+            reject('Invalid credentials');
+        }
+        return;
+    }
+
+    // Browsers cannot set headers on a WebSocket, so they authenticate with their first message
+    const timer = setTimeout(() => reject('Authentication timed out'), config.auth.timeoutMs);
+    ws.once('close', () => clearTimeout(timer));
+    ws.once('message', (data, isBinary) => {
+        clearTimeout(timer);
+
+        let message = null;
+        if (!isBinary) {
+            try {
+                message = JSON.parse(data.toString('utf8'));
+            } catch (parseError) {
+                // Handled below
+            }
+        }
+
+        if (!message || message.type !== 'auth') {
+            reject('Authentication required');
+        } else if (!userStore.verify(message.user, message.key)) {
+            reject('Invalid credentials');
+        } else {
+            onAuthenticated(message.user);
+        }
+    });
+}
+
+/**
+ * Set up a session for an authenticated connection, or resume the session
+ * named by the "session" query parameter of its upgrade request
+ * @param {WebSocket} ws - Client socket
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {string|null} user - Authenticated user (null when authentication is disabled)
+ */
+function acceptClient(ws, req, user) {
+    const clientIp = req.socket.remoteAddress;
+    const resumeId = new URL(req.url, 'http://localhost').searchParams.get('session');
+    const framing = ws.protocol === PROTOCOL_BINARY ? 'binary' : 'JSON';
+
+    let session = resumeId ? findResumableSession(resumeId, user) : null;
+    const resumed = session !== null;
+    if (resumed) {
+        const previous = session.ws;
+        session.attach(ws, clientIp);
+        // A connection the client gave up on may not have noticed yet that it is dead
+        if (previous !== ws && previous.readyState !== WebSocket.CLOSED) {
+            previous.terminate();
+        }
+        console.log(`[Client ${session.clientId}] Resumed from ${clientIp} (${framing} framing), last packet #${session.lastSequence !== null ? session.lastSequence : 'none'}`);
+    } else {
+        const clientId = ++clientCount;
+        if (resumeId) {
+            console.log(`[Client ${clientId}] Session to resume not found; starting a new one`);
+        }
+        console.log(`[Client ${clientId}] Connected from ${clientIp}${user ? ` as ${user}` : ''} (${framing} framing)`);
+        session = new ClientSession(clientId, ws, clientIp, user, vocabularyStore);
+        sessions.set(clientId, session);
+        sessionCatalog.sessionStarted(session);
+    }
+
+    const clientId = session.clientId;
+
+    // Handle incoming messages
+    ws.on('message', (data, isBinary) => {
+        try {
+            // Check if message is JSON (text) or binary
+            let packet;
+            
+            if (isBinary) {
+                // Binary frames carry event-stream encoded AudioEvents with raw PCM payloads
+                let message;
+                try {
+                    message = decodeMessage(data);
+                } catch (decodeError) {
+                    session.decodeErrors++;
+                    totalDecodeErrors++;
+                    console.log(`[Client ${clientId}] Received invalid binary frame (${data.length} bytes): ${decodeError.message}`);
+                    return;
+                }
+
+                if (message.headers[':event-type'] === 'AudioEvent') {
+                    countPacket(session, session.handleAudio(message.headers[':content-type'], message.payload, sequenceOf(message.headers)));
+                }
+                return;
+            }
+            
+            // Try to parse as JSON
+            try {
+                packet = JSON.parse(data.toString('utf8'));
+                
+            } catch (parseError) {
+                // Not valid JSON - might be binary data
+                session.nonJsonMessages++;
+                totalNonJsonMessages++;
+                console.log(`[Client ${clientId}] Received non-JSON message: ${data.length} bytes`);
+                return;
+            }
+
+            // Liveness check from the client
+            if (packet.type === 'ping') {
+                messages.send(ws, messages.pong(packet.id));
+                return;
+            }
+
+            // Recording control from the client
+            if (CONTROL_HANDLERS[packet.type]) {
+                handleControlMessage(session, packet);
+                return;
+            }
+
+            // Handle AudioEvent packets (from audio.service.ts)
+            if (packet.headers && packet.headers[':event-type'] === 'AudioEvent') {
+                // Decode base64 payload to get PCM audio data
+                if (!packet.payload) {
+                    console.log(`[Client ${clientId}] AudioEvent received but no payload`);
+                    return;
+                }
+                countPacket(session, session.handleAudio(packet.headers[':content-type'], Buffer.from(packet.payload, 'base64'), sequenceOf(packet.headers)));
+                return;
+            }
+
+        } catch (error) {
+            console.error(`[Client ${clientId}] Error processing message:`, error);
+        }
+    });
+
+    // Handle client disconnection
+    ws.on('close', (code, reason) => {
+        // The session has moved to a newer connection, or was ended by the server
+        if (session.ws !== ws || sessions.get(clientId) !== session) {
+            return;
+        }
+
+        const status = session.getStatus();
+        
+        console.log(`[Client ${clientId}] Disconnected:`, {
+            code,
+            reason: reason.toString(),
+            totalPackets: status.packetCount,
+            totalData: `${(status.totalBytes / 1024 / 1024).toFixed(2)} MB`,
+            duration: `${status.streamDuration.toFixed(2)}s`
+        });
+
+        // Deliberate closes end the session; dropped connections may come back and resume it
+        if (code === 1000 || code === 1001 || !isRunning || config.resume.timeoutMs === 0) {
+            endSession(session, 'disconnected');
+            return;
+        }
+
+        console.log(`[Client ${clientId}] Keeping session for ${config.resume.timeoutMs / 1000}s to resume`);
+        session.detach(config.resume.timeoutMs, () => {
+            console.log(`[Client ${clientId}] Session was not resumed; closing it`);
+            endSession(session, 'not resumed');
+        });
+    });
+
+    // Handle errors
+    ws.on('error', (error) => {
+        console.error(`[Client ${clientId}] WebSocket error:`, error);
+    });
+
+    // Send welcome message and current recording state to client
+    messages.send(ws, messages.welcome(clientId, session.user, {
+        sessionId: session.sessionId,
+        resumed: resumed,
+        lastSequence: session.lastSequence
+    }));
+    session.sendRecordingState();
+    session.sendTranscriptOptions();
+}
+
+/**
+ * Find a session a reconnecting client may resume
+ * @param {string} sessionId - Session ID from the client's welcome message
+ * @param {string|null} user - User the new connection authenticated as
+ * @returns {ClientSession|null} Session, or null if there is none for this ID and user
+ */
+function findResumableSession(sessionId, user) {
+    for (const session of sessions.values()) {
+        if (session.sessionId === sessionId && !session.isClosed) {
+            return session.user === user ? session : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the sequence number of an AudioEvent ("sequence-number" header)
+ * @param {Object} headers - Event headers
+ * @returns {number|null} Sequence number, or null if the client does not number its packets
+ */
+function sequenceOf(headers) {
+    const sequence = parseInt(headers[SEQUENCE_HEADER], 10);
+    return Number.isInteger(sequence) && sequence >= 0 ? sequence : null;
+}
+
+// Control messages a client may send about its own session
+const CONTROL_HANDLERS = {
+    startRecording: (session) => startRecording(session.clientId),
+    stopRecording: (session) => stopRecording(session.clientId),
+    setMetadata: (session, packet) => {
+        session.setMetadata(packet.metadata);
+        sessionCatalog.sessionUpdated(session);
+    },
+    setTranscriptOptions: (session, packet) => session.setTranscriptOptions(packet)
+};
+
+/**
+ * Carry out a control message from a client and report the outcome to it
+ * @param {ClientSession} session - Client session the message came from
+ * @param {Object} packet - Control message ({ type, requestId, ...fields })
+ */
+async function handleControlMessage(session, packet) {
+    let errorMessage = null;
+    try {
+        await CONTROL_HANDLERS[packet.type](session, packet);
+    } catch (error) {
+        errorMessage = error.message.replace(/^\[Client \d+\] /, '');
+        console.log(`[Client ${session.clientId}] ${packet.type} rejected: ${errorMessage}`);
+    }
+    messages.send(session.ws, messages.controlResult(packet, errorMessage));
+}
+
+/**
+ * Close a session and forget it
+ * @param {ClientSession} session - Client session
+ * @param {string} reason - Why the session ended, for the session catalogue
+ * @returns {Promise} Resolves when the session's recording and transcription have stopped
+ */
+function endSession(session, reason) {
+    sessions.delete(session.clientId);
+    sessionCatalog.sessionEnded(session, reason);
+    endedSessions.count++;
+    endedSessions.durationSeconds += (Date.now() - session.connectedAt) / 1000;
+    endedSessions.recordedBytes += session.recordedBytes;
+    return session.close();
+}
+
+/**
+ * Add a received audio packet to the server totals
+ * @param {ClientSession} session - Session the packet came from
+ * @param {number} packetSize - Audio bytes in the packet (0 if it was dropped)
+ */
+function countPacket(session, packetSize) {
+    if (packetSize > 0) {
+        totalPacketsReceived++;
+        totalBytesReceived += packetSize;
+        // Catalogue the session's audio format as soon as it is known; checkpoints follow
+        if (session.packetCount === 1) {
+            sessionCatalog.sessionUpdated(session);
+        }
+    }
+}
+
 /**
  * Stop the WebSocket server
  */
@@ -212,14 +500,23 @@ async function stopServer() {
         return;
     }
 
-    // Stop recording if in progress
-    if (audioRecorder.isRecording) {
-        console.log('Stopping active recording...');
-        await audioRecorder.stopRecording();
-    }
+    // Stop any recordings in progress
+    await stopAllRecordings();
 
     return new Promise((resolve) => {
         console.log('\nStopping WebSocket server...');
+
+        if (heartbeatTimer) {
+            clearInterval(heartbeatTimer);
+            heartbeatTimer = null;
+        }
+        clearInterval(catalogTimer);
+        catalogTimer = null;
+
+        // Sessions waiting for their client to reconnect will not be resumed
+        Array.from(sessions.values())
+            .filter((session) => session.isDetached)
+            .forEach((session) => endSession(session, 'server stopped'));
         
         // Close all client connections
         wss.clients.forEach((client) => {
@@ -228,13 +525,15 @@ async function stopServer() {
             }
         });
 
-        // Close the server
+        // Close the WebSocket server, then the HTTP server it is attached to
         wss.close(() => {
-            isRunning = false;
-            wss = null;
-            server = null;
-            console.log('✓ WebSocket server stopped\n');
-            resolve();
+            server.close(() => {
+                isRunning = false;
+                wss = null;
+                server = null;
+                console.log('✓ WebSocket server stopped\n');
+                resolve();
+            });
         });
     });
 }
@@ -254,128 +553,1087 @@ async function restartServer() {
     }
 }
 
+/**
+ * Describe a connected client for the console and the admin API
+ * @param {ClientSession} session - Client session
+ * @returns {Object} Session status with file names instead of paths
+ */
+function describeClient(session) {
+    const status = session.getStatus();
+    const recording = status.recording;
+    return {
+        ...status,
+        connectedAt: new Date(status.connectedAt).toISOString(),
+        recording: {
+            ...recording,
+            recordingFile: recording.recordingFile ? path.basename(recording.recordingFile) : null,
+            manifestFile: recording.manifestFile ? path.basename(recording.manifestFile) : null
+        }
+    };
+}
+
+/**
+ * Collect server status and statistics
+ * @returns {Object} Status shown by the "status" command and GET /api/status
+ */
+function getServerStatus() {
+    return {
+        running: isRunning,
+        address: `ws://${serverAddress}`,
+        uptime: isRunning && startTime ? (Date.now() - startTime) / 1000 : 0,
+        connectedClients: wss ? wss.clients.size : 0,
+        totalClients: clientCount,
+        totalPackets: totalPacketsReceived,
+        totalBytes: totalBytesReceived,
+        clients: listClients()
+    };
+}
+
+/**
+ * Collect server and per-client metrics for GET /metrics
+ * @returns {Object[]} Metric families (see metrics.js)
+ */
+function collectMetrics() {
+    const now = Date.now();
+    const clients = Array.from(sessions.values()).map((session) => session.getStatus());
+    const sum = (key) => clients.reduce((total, client) => total + client[key], 0);
+    const family = (name, type, help, samples) => ({ name, type, help, samples });
+    const server = (value) => [{ value }];
+    const perClient = (value) => clients.map((client) => ({
+        labels: { client: client.clientId, user: client.user },
+        value: value(client)
+    }));
+
+    return [
+        family('audio_server_running', 'gauge', 'Whether the WebSocket server is running', server(isRunning)),
+        family('audio_server_uptime_seconds', 'gauge', 'Time since the server was started',
+            server(isRunning && startTime ? (now - startTime) / 1000 : 0)),
+        family('audio_server_connected_clients', 'gauge', 'Open WebSocket connections', server(wss ? wss.clients.size : 0)),
+        family('audio_server_sessions', 'gauge', 'Client sessions, including those waiting to be resumed', server(clients.length)),
+        family('audio_server_clients_total', 'counter', 'Client sessions started', server(clientCount)),
+        family('audio_server_packets_received_total', 'counter', 'Audio packets received', server(totalPacketsReceived)),
+        family('audio_server_bytes_received_total', 'counter', 'Audio bytes received', server(totalBytesReceived)),
+        family('audio_server_decode_errors_total', 'counter', 'Binary frames that could not be decoded', server(totalDecodeErrors)),
+        family('audio_server_non_json_messages_total', 'counter', 'Text messages that were not valid JSON', server(totalNonJsonMessages)),
+        family('audio_server_active_recordings', 'gauge', 'Recordings in progress',
+            server(clients.filter((client) => client.recording.isRecording).length)),
+        family('audio_server_recording_bytes_written_total', 'counter', 'Audio bytes written to recordings',
+            server(endedSessions.recordedBytes + sum('recordedBytes'))),
+        family('audio_server_connection_duration_seconds', 'summary', 'Duration of ended client sessions', [
+            { name: 'audio_server_connection_duration_seconds_sum', value: endedSessions.durationSeconds },
+            { name: 'audio_server_connection_duration_seconds_count', value: endedSessions.count }
+        ]),
+
+        family('audio_client_connected', 'gauge', 'Whether the client is connected (0 while its session waits to be resumed)',
+            perClient((client) => client.connected)),
+        family('audio_client_connection_duration_seconds', 'gauge', 'Time since the client session started',
+            perClient((client) => (now - client.connectedAt) / 1000)),
+        family('audio_client_packets_received_total', 'counter', 'Audio packets received from the client',
+            perClient((client) => client.packetCount)),
+        family('audio_client_bytes_received_total', 'counter', 'Audio bytes received from the client',
+            perClient((client) => client.totalBytes)),
+        family('audio_client_decode_errors_total', 'counter', 'Binary frames from the client that could not be decoded',
+            perClient((client) => client.decodeErrors)),
+        family('audio_client_non_json_messages_total', 'counter', 'Text messages from the client that were not valid JSON',
+            perClient((client) => client.nonJsonMessages)),
+        family('audio_client_duplicate_packets_total', 'counter', 'Replayed packets dropped as duplicates',
+            perClient((client) => client.duplicatePackets)),
+        family('audio_client_missing_packets_total', 'counter', 'Packets missing from the sequence',
+            perClient((client) => client.missingPackets)),
+        family('audio_client_seconds_since_last_packet', 'gauge', 'Time since the last audio packet (NaN before the first)',
+            perClient((client) => (client.lastPacketTime ? (now - client.lastPacketTime) / 1000 : NaN))),
+        family('audio_client_packet_jitter_seconds', 'gauge', 'Smoothed packet interarrival jitter',
+            perClient((client) => client.jitterMs / 1000)),
+        family('audio_client_stream_gaps_total', 'counter', 'Pauses of a second or more between audio packets',
+            perClient((client) => client.streamGaps)),
+        family('audio_client_longest_gap_seconds', 'gauge', 'Longest pause between audio packets',
+            perClient((client) => client.longestGapMs / 1000)),
+        family('audio_client_recording', 'gauge', 'Whether the client is being recorded',
+            perClient((client) => client.recording.isRecording)),
+        family('audio_client_recording_bytes_written_total', 'counter', 'Audio bytes from the client written to recordings',
+            perClient((client) => client.recordedBytes))
+    ];
+}
+
 /**
  * Show server status
  */
 function showStatus() {
-    if (!isRunning) {
+    const status = getServerStatus();
+    if (!status.running) {
         console.log('\nServer Status: STOPPED\n');
         return;
     }
 
-    const uptime = startTime ? ((Date.now() - startTime) / 1000).toFixed(2) : 0;
-    const connectedClients = wss ? wss.clients.size : 0;
-
     console.log('\n=== Server Status ===');
     console.log(`Status: RUNNING`);
-    console.log(`Address: ws://${HOST}:${PORT}`);
-    console.log(`Uptime: ${uptime}s`);
-    console.log(`Connected Clients: ${connectedClients}`);
-    console.log(`Total Clients (all time): ${clientCount}`);
-    console.log(`Total Packets Received: ${totalPacketsReceived}`);
-    console.log(`Total Data Received: ${(totalBytesReceived / 1024 / 1024).toFixed(2)} MB`);
-    const recordingStatus = audioRecorder.getStatus();
-    console.log(`Recording: ${recordingStatus.isRecording ? `ACTIVE (${recordingStatus.recordingPackets} packets, ${(recordingStatus.recordingBytes / 1024).toFixed(2)} KB)` : 'INACTIVE'}`);
-    if (recordingStatus.isRecording && recordingStatus.recordingFile) {
-        console.log(`Recording File: ${path.basename(recordingStatus.recordingFile)}`);
-    }
+    console.log(`Address: ${status.address}`);
+    console.log(`Uptime: ${status.uptime.toFixed(2)}s`);
+    console.log(`Connected Clients: ${status.connectedClients}`);
+    console.log(`Total Clients (all time): ${status.totalClients}`);
+    console.log(`Total Packets Received: ${status.totalPackets}`);
+    console.log(`Total Data Received: ${(status.totalBytes / 1024 / 1024).toFixed(2)} MB`);
+
+    status.clients.forEach((client) => {
+        const recordingStatus = client.recording;
+        console.log(`\n[Client ${client.clientId}] ${client.clientIp}${client.connected ? '' : ' (disconnected, waiting to resume)'}`);
+        console.log(`  Packets: ${client.packetCount}, Data: ${(client.totalBytes / 1024 / 1024).toFixed(2)} MB, Streamed: ${client.streamDuration.toFixed(2)}s`);
+        if (client.resumeCount > 0 || client.duplicatePackets > 0 || client.missingPackets > 0) {
+            console.log(`  Resumed: ${client.resumeCount} time(s), Replayed duplicates: ${client.duplicatePackets}, Missing packets: ${client.missingPackets}`);
+        }
+        if (client.recorderPauses > 0) {
+            console.log(`  Paused for recording backpressure: ${client.recorderPauses} time(s)`);
+        }
+        if (client.isSpeech !== null) {
+            console.log(`  Voice: ${client.isSpeech ? 'SPEECH' : 'SILENCE'}, Utterances: ${client.utteranceCount}`);
+        }
+        console.log(`  Recording: ${recordingStatus.isRecording ? `ACTIVE (${recordingStatus.recordingPackets} packets, ${(recordingStatus.recordingBytes / 1024).toFixed(2)} KB)` : 'INACTIVE'}`);
+        if (recordingStatus.isRecording && recordingStatus.recordingFile) {
+            console.log(`  Recording File: ${recordingStatus.recordingFile}`);
+        }
+    });
     console.log('====================\n');
 }
 
 /**
- * Show help message
+ * List connected clients
+ * @returns {Object[]} Client descriptions
  */
-function showHelp() {
-    console.log('\n=== Available Commands ===');
-    console.log('start         - Start the WebSocket server');
-    console.log('stop          - Stop the WebSocket server');
-    console.log('restart       - Restart the WebSocket server');
-    console.log('status        - Show server status and statistics');
-    console.log('startrecording - Start recording incoming audio to WAV file');
-    console.log('stoprecording  - Stop recording and save WAV file');
-    console.log('help          - Show this help message');
-    console.log('exit/quit     - Exit the application');
-    console.log('==========================\n');
+function listClients() {
+    return Array.from(sessions.values()).map(describeClient);
 }
 
 /**
- * Setup interactive console interface
+ * Find a connected client's session
+ * @param {number|string} clientIdArg - Client ID
+ * @returns {ClientSession} Session
+ * @throws {ApiError} 404 if no client with this ID is connected
  */
-function setupConsoleInterface() {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        prompt: 'server> '
-    });
+function findSession(clientIdArg) {
+    const session = sessions.get(parseInt(clientIdArg, 10));
+    if (!session) {
+        throw new ApiError(404, `No connected client with ID "${clientIdArg}"`);
+    }
+    return session;
+}
 
-    rl.prompt();
-
-    rl.on('line', async (input) => {
-        const command = input.trim().toLowerCase();
-
-        switch (command) {
-            case 'start':
-                startServer();
-                break;
-            case 'stop':
-                await stopServer();
-                break;
-            case 'restart':
-                await restartServer();
-                break;
-            case 'status':
-                showStatus();
-                break;
-            case 'startrecording':
-                audioRecorder.startRecording(isRunning);
-                break;
-            case 'stoprecording':
-                await audioRecorder.stopRecording();
-                break;
-            case 'help':
-                showHelp();
-                break;
-            case 'exit':
-            case 'quit':
-                console.log('\nShutting down...');
-                if (isRunning) {
-                    await stopServer();
-                }
-                rl.close();
-                process.exit(0);
-                break;
-            case '':
-                // Empty input, just show prompt again
-                break;
-            default:
-                console.log(`Unknown command: "${command}". Type "help" for available commands.`);
+/**
+ * Describe one connected client
+ * @param {number|string} clientIdArg - Client ID
+ */
+function getClient(clientIdArg) {
+    return describeClient(findSession(clientIdArg));
+}
+
+/**
+ * Resolve the sessions targeted by a command
+ * @param {number|string} [clientIdArg] - Client ID, or omitted for all connected clients
+ * @returns {ClientSession[]} Matching sessions
+ */
+function selectSessions(clientIdArg) {
+    if (!clientIdArg) {
+        return Array.from(sessions.values());
+    }
+    return [findSession(clientIdArg)];
+}
+
+/**
+ * Start recording for one client, or every connected client
+ * @param {number|string} [clientIdArg] - Client ID
+ * @param {string} [name] - Recording name (one client only; default recording-client<N>-<timestamp>)
+ * @returns {Object[]} Descriptions of the targeted clients
+ * @throws {ApiError} If the server is stopped, the client is unknown or already recording,
+ *                    or the name is invalid or taken
+ */
+function startRecording(clientIdArg, name) {
+    if (!isRunning) {
+        throw new ApiError(503, 'Server is not running. Cannot start recording.');
+    }
+    if (name) {
+        if (!clientIdArg) {
+            throw new ApiError(400, 'A recording name can only be given for one client');
+        }
+        if (!RECORDING_NAME.test(name) || name.endsWith('.transcript') || SEGMENT_SUFFIX.test(name)) {
+            throw new ApiError(400, `Invalid recording name "${name}" (letters, digits, "_", "." and "-", up to 100 characters, not ending in "-part" and 3 digits)`);
+        }
+        if (library.isNameInUse(AudioRecorder.RECORDINGS_DIR, name)) {
+            throw new ApiError(409, `Recording "${name}" already exists`);
+        }
+    }
+
+    const targets = selectSessions(clientIdArg);
+    if (targets.length === 0) {
+        throw new ApiError(409, 'No clients connected.');
+    }
+    if (clientIdArg && targets[0].recorder.isRecording) {
+        throw new ApiError(409, `[Client ${targets[0].clientId}] Recording is already in progress!`);
+    }
+
+    targets
+        .filter((session) => !session.recorder.isRecording)
+        .forEach((session) => {
+            session.startRecording(isRunning, name || null);
+            sessionCatalog.recordingStarted(session);
+        });
+
+    if (clientIdArg && !targets[0].recorder.isRecording) {
+        throw new ApiError(500, `[Client ${targets[0].clientId}] Recording could not be started`);
+    }
+    return targets.map(describeClient);
+}
+
+/**
+ * Stop recording for one client, or every connected client
+ * @param {number|string} [clientIdArg] - Client ID
+ * @returns {Promise<Object[]>} Descriptions of the targeted clients once their recordings are finalized
+ * @throws {ApiError} If the client is unknown or nothing is being recorded
+ */
+async function stopRecording(clientIdArg) {
+    const targets = selectSessions(clientIdArg);
+    const recording = targets.filter((session) => session.recorder.isRecording);
+
+    if (recording.length === 0) {
+        throw new ApiError(409, clientIdArg
+            ? `[Client ${targets[0].clientId}] No recording in progress!`
+            : 'No recording in progress!');
+    }
+
+    await Promise.all(recording.map((session) => session.stopRecording()));
+    return targets.map(describeClient);
+}
+
+/**
+ * Disconnect a client and end its session; it is not kept for resuming
+ * @param {number|string} clientIdArg - Client ID
+ * @param {string} [reason] - Reason sent to the client
+ * @returns {Object} Description of the client
+ * @throws {ApiError} 404 if no client with this ID is connected
+ */
+async function kickClient(clientIdArg, reason = 'Disconnected by the server') {
+    const session = findSession(clientIdArg);
+    const description = describeClient(session);
+    console.log(`[Client ${session.clientId}] Disconnecting: ${reason}`);
+
+    const closing = endSession(session, 'kicked');
+    if (session.ws.readyState === WebSocket.OPEN) {
+        session.ws.close(CLOSE_KICKED, reason.slice(0, 100));
+    }
+    await closing;
+    return description;
+}
+
+/**
+ * Stop every recording in progress
+ */
+async function stopAllRecordings() {
+    const recording = Array.from(sessions.values()).filter((session) => session.recorder.isRecording);
+    if (recording.length > 0) {
+        console.log(`Stopping ${recording.length} active recording(s)...`);
+        await Promise.all(recording.map((session) => session.stopRecording()));
+    }
+}
+
+/**
+ * List the recordings in the recordings directory
+ */
+function listRecordings() {
+    return library.listRecordings(AudioRecorder.RECORDINGS_DIR);
+}
+
+/**
+ * Find a recording by name
+ * @param {string} name - Recording name
+ * @throws {ApiError} 404 if there is no such recording
+ */
+function getRecording(name) {
+    const recording = library.findRecording(AudioRecorder.RECORDINGS_DIR, name);
+    if (!recording) {
+        throw new ApiError(404, `Recording "${name}" not found`);
+    }
+    return recording;
+}
+
+/**
+ * Delete a recording and its manifest, and record the deletion in the audit log
+ * @param {string} name - Recording name
+ * @param {string|null} [user] - API user who asked for the deletion
+ * @returns {Object} { name, deleted: file names }
+ * @throws {ApiError} 404 if there is no such recording, 409 if it is still being recorded
+ */
+function deleteRecording(name, user = null) {
+    const recording = getRecording(name);
+    if (recording.active) {
+        throw new ApiError(409, `Recording "${name}" is still in progress`);
+    }
+
+    const bytes = library.diskUsage(AudioRecorder.RECORDINGS_DIR, recording);
+    const deleted = library.deleteRecording(AudioRecorder.RECORDINGS_DIR, recording);
+    auditLog.recordDeletion(recording, deleted, bytes, { by: 'api', user: user });
+    console.log(`[Recording] Deleted ${name} (${deleted.length} file(s))`);
+    return { name, deleted };
+}
+
+/**
+ * Resolve a file (segment or manifest) of a recording for download
+ * @param {string} name - Recording name
+ * @param {string} file - File name
+ * @returns {string} Absolute path
+ * @throws {ApiError} 404 if the file is not part of the recording
+ */
+function getRecordingFile(name, file) {
+    const filePath = library.resolveRecordingFile(AudioRecorder.RECORDINGS_DIR, getRecording(name), file);
+    if (!filePath) {
+        throw new ApiError(404, `File "${file}" not found in recording "${name}"`);
+    }
+    return filePath;
+}
+
+/**
+ * Export a recording's transcript
+ * @param {string} name - Recording name
+ * @param {string} format - 'srt', 'vtt', 'txt' or 'json'
+ * @returns {{body: string, contentType: string, fileName: string}} Export
+ * @throws {ApiError} 404 if the recording has no transcript, 400 if the format is unknown
+ */
+function exportRecordingTranscript(name, format) {
+    const recording = getRecording(name);
+    const data = recording.transcript
+        ? transcript.readTranscript(path.join(AudioRecorder.RECORDINGS_DIR, recording.transcript))
+        : null;
+    if (!data) {
+        throw new ApiError(404, `Recording "${name}" has no transcript`);
+    }
+
+    try {
+        return transcript.exportTranscript(data, format);
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+}
+
+/**
+ * Print a recording's transcript (console command)
+ * @param {string} name - Recording name
+ * @param {string} [format] - Export format (default txt)
+ */
+function printTranscript(name, format = 'txt') {
+    if (!name) {
+        throw new ApiError(400, `Usage: transcript <recording> [${Object.keys(transcript.EXPORT_FORMATS).join('|')}]`);
+    }
+    const exported = exportRecordingTranscript(name, format);
+    console.log(`\n=== ${exported.fileName} ===`);
+    console.log(exported.body);
+}
+
+/**
+ * Find catalogued sessions
+ * @param {Object} params - Query parameters as text: { from, to, user, tag, client, text, limit }
+ * @returns {Object[]} Catalogue entries, newest first
+ * @throws {ApiError} 400 if a parameter is invalid
+ */
+function querySessions(params) {
+    let query;
+    try {
+        query = parseQuery(params);
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+    sessionCatalog.refresh(sessions.values());
+    return sessionCatalog.query(query);
+}
+
+/**
+ * Get a catalogued session
+ * @param {string} id - Session ID, or a unique prefix of it
+ * @returns {Object} Catalogue entry
+ * @throws {ApiError} 404 if there is no such session, 400 if the prefix is ambiguous
+ */
+function getCatalogSession(id) {
+    let entry;
+    sessionCatalog.refresh(sessions.values());
+    try {
+        entry = sessionCatalog.find(id);
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+    if (!entry) {
+        throw new ApiError(404, `Session "${id}" not found`);
+    }
+    return entry;
+}
+
+/**
+ * Add and remove tags of a catalogued session
+ * @param {string} id - Session ID, or a unique prefix of it
+ * @param {string[]} add - Tags to add
+ * @param {string[]} remove - Tags to remove
+ * @returns {Object} Updated catalogue entry
+ * @throws {ApiError} 404 if there is no such session, 400 if a tag is invalid
+ */
+function tagSession(id, add, remove) {
+    getCatalogSession(id);
+    try {
+        return sessionCatalog.tag(id, add, remove);
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+}
+
+/**
+ * Get a custom vocabulary
+ * @param {string} name - Vocabulary name
+ * @returns {Object} Vocabulary with its terms
+ * @throws {ApiError} 404 if there is no such vocabulary
+ */
+function getVocabulary(name) {
+    const vocabulary = vocabularyStore.get(name);
+    if (!vocabulary) {
+        throw new ApiError(404, `Vocabulary "${name}" not found`);
+    }
+    return vocabulary;
+}
+
+/**
+ * Create or replace a custom vocabulary; sessions using it pick up the new terms
+ * with their next result, and a changed engine vocabulary with their next transcription stream
+ * @param {string} name - Vocabulary name
+ * @param {Object} definition - { terms, engineVocabulary }
+ * @returns {Object} The saved vocabulary
+ * @throws {ApiError} 400 if the name or definition is invalid
+ */
+function saveVocabulary(name, definition) {
+    let vocabulary;
+    try {
+        vocabulary = vocabularyStore.save(name, definition);
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+    console.log(`[Vocabulary] Saved ${name} (${vocabulary.terms.length} term(s))`);
+    return vocabulary;
+}
+
+/**
+ * Delete a custom vocabulary. Sessions using it keep its name but no longer have terms.
+ * @param {string} name - Vocabulary name
+ * @returns {Object} { name, deleted: true }
+ * @throws {ApiError} 404 if there is no such vocabulary
+ */
+function deleteVocabulary(name) {
+    if (!vocabularyStore.remove(name)) {
+        throw new ApiError(404, `Vocabulary "${name}" not found`);
+    }
+    console.log(`[Vocabulary] Deleted ${name}`);
+    return { name, deleted: true };
+}
+
+/**
+ * Run a console command, printing its error instead of throwing
+ * @param {Function} command - Command to run (may return a Promise)
+ */
+async function runCommand(command) {
+    try {
+        await command();
+    } catch (error) {
+        if (error instanceof ApiError) {
+            console.log(error.message);
+        } else {
+            console.error('Command failed:', error);
         }
+    }
+}
+
+/**
+ * User an admin API request was made by
+ * @returns {string|null} User name, or null if the token is invalid or authentication is disabled
+ */
+function apiUser(req) {
+    return config.auth.enabled ? userStore.verifyToken(tokenFromRequest(req)) : null;
+}
+
+// Admin HTTP API, backed by the same functions as the console commands
+const adminApi = new AdminApi({
+    getStatus: getServerStatus,
+    listClients: listClients,
+    getClient: getClient,
+    startRecording: (clientId, name) => startRecording(clientId, name)[0],
+    stopRecording: async (clientId) => (await stopRecording(clientId))[0],
+    disconnectClient: (clientId) => kickClient(clientId),
+    listRecordings: listRecordings,
+    getRecording: getRecording,
+    deleteRecording: (name, req) => deleteRecording(name, apiUser(req)),
+    getRecordingFile: getRecordingFile,
+    exportTranscript: exportRecordingTranscript,
+    querySessions: (query) => querySessions(Object.fromEntries(query)),
+    getSession: getCatalogSession,
+    setSessionTags: (id, body) => tagSession(id, body && body.tags, getCatalogSession(id).tags),
+    listVocabularies: () => vocabularyStore.list(),
+    getVocabulary: getVocabulary,
+    saveVocabulary: saveVocabulary,
+    deleteVocabulary: deleteVocabulary,
+    getMetrics: () => formatMetrics(collectMetrics()),
+    authenticate: (req) => !config.auth.enabled || apiUser(req) !== null,
+    authorize: (req) => !config.auth.enabled || userStore.isAdmin(apiUser(req)),
+    allowedOrigin: () => config.api.allowedOrigin
+});
+
+/**
+ * Format a number of seconds as 1h02m03s, 2m03s or 3.4s
+ */
+function formatSeconds(seconds) {
+    if (seconds < 60) {
+        return `${seconds.toFixed(1)}s`;
+    }
+    const whole = Math.floor(seconds);
+    const pad = (value) => String(value).padStart(2, '0');
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor(whole / 60) % 60;
+    return hours > 0
+        ? `${hours}h${pad(minutes)}m${pad(whole % 60)}s`
+        : `${minutes}m${pad(whole % 60)}s`;
+}
+
+/**
+ * Print connected clients (console command)
+ */
+function printClients() {
+    const clients = listClients();
+    if (clients.length === 0) {
+        console.log('No clients connected.');
+        return;
+    }
+    printTable(
+        ['ID', 'User', 'IP', 'State', 'Packets', 'Data', 'Connected', 'Recording'],
+        clients.map((client) => [
+            client.clientId,
+            client.user,
+            client.clientIp,
+            client.connected ? 'connected' : 'waiting to resume',
+            client.packetCount,
+            `${(client.totalBytes / 1024 / 1024).toFixed(2)} MB`,
+            formatSeconds((Date.now() - Date.parse(client.connectedAt)) / 1000),
+            client.recording.isRecording ? client.recording.recordingFile : null
+        ])
+    );
+}
+
+/**
+ * Print the recordings in the recordings directory (console command)
+ */
+function printRecordings() {
+    const recordings = listRecordings();
+    if (recordings.length === 0) {
+        console.log(`No recordings in ${AudioRecorder.RECORDINGS_DIR}`);
+        return;
+    }
+    printTable(
+        ['Name', 'Started', 'Client', 'Duration', 'Size', 'Files', 'Transcript', 'Encrypted'],
+        recordings.map((recording) => [
+            recording.active ? `${recording.name} (REC)` : recording.name,
+            recording.startedAt ? recording.startedAt.replace('T', ' ').slice(0, 19) : null,
+            recording.clientId,
+            formatSeconds(recording.duration || 0),
+            `${(recording.size / 1024).toFixed(1)} KB`,
+            recording.segments.length,
+            recording.transcript ? 'yes' : 'no',
+            recording.encrypted ? 'yes' : 'no'
+        ])
+    );
+}
 
-        rl.prompt();
+/**
+ * Apply the retention policy now (console command)
+ */
+function sweepRecordings() {
+    const { maxAgeDays, maxTotalMB } = config.retention;
+    if (!(maxAgeDays > 0) && !(maxTotalMB > 0)) {
+        console.log('No retention limits are set (retention.maxAgeDays, retention.maxTotalMB); recordings are kept forever.');
+        return;
+    }
+    const deleted = retentionSweeper.sweep();
+    console.log(deleted.length > 0
+        ? `✓ Deleted ${deleted.length} recording(s), ${(deleted.reduce((total, entry) => total + entry.bytes, 0) / 1024 / 1024).toFixed(2)} MB freed`
+        : 'No recordings to delete.');
+}
+
+// Filters of the "sessions" command; other arguments are text to find in transcripts
+const SESSION_FILTERS = ['from', 'to', 'user', 'tag', 'client', 'limit'];
+
+/**
+ * Print catalogued sessions matching filters (console command)
+ * @param {string[]} args - filter=value arguments and words to find in transcripts
+ */
+function printSessions(args) {
+    const params = {};
+    const words = [];
+    args.forEach((arg) => {
+        const equals = arg.indexOf('=');
+        if (equals > 0 && SESSION_FILTERS.includes(arg.slice(0, equals))) {
+            params[arg.slice(0, equals)] = arg.slice(equals + 1);
+        } else {
+            words.push(arg);
+        }
     });
+    if (words.length > 0) {
+        params.text = words.join(' ');
+    }
 
-    rl.on('close', () => {
-        audioRecorder.stopRecording();
-        console.log('\nGoodbye!');
-        process.exit(0);
+    const results = querySessions(params);
+    if (results.length === 0) {
+        console.log(sessionCatalog.size === 0 ? 'No sessions catalogued yet.' : 'No sessions match.');
+        return;
+    }
+
+    printTable(
+        ['Session', 'Started', 'Duration', 'Ended', 'Client', 'User', 'IP', 'Data', 'Recordings', 'Tags'],
+        results.map((entry) => [
+            entry.sessionId.slice(0, 8),
+            entry.startedAt.replace('T', ' ').slice(0, 19),
+            entry.endedAt ? formatSeconds((Date.parse(entry.endedAt) - Date.parse(entry.startedAt)) / 1000) : null,
+            entry.endReason || (sessions.has(entry.clientId) ? 'active' : null),
+            entry.clientId,
+            entry.user,
+            entry.clientIp,
+            `${(entry.bytes / 1024 / 1024).toFixed(2)} MB`,
+            entry.recordings.map((recording) => recording.name).join(', ') || null,
+            entry.tags.join(', ') || null
+        ])
+    );
+
+    results.filter((entry) => entry.matches).forEach((entry) => {
+        entry.matches.forEach((match) => {
+            console.log(`  ${entry.sessionId.slice(0, 8)}  ${match.recording} ${formatSeconds(match.startTime)}: ${match.text}`);
+        });
     });
 }
 
-// Handle SIGINT (Ctrl+C) gracefully
-process.on('SIGINT', async () => {
-    console.log('\n\nReceived interrupt signal...');
+/**
+ * Session IDs (as shown by the console) of the newest catalogued sessions, for completion
+ */
+const catalogIds = () => sessionCatalog.query(parseQuery({})).map((entry) => entry.sessionId.slice(0, 8));
+
+const VOCAB_USAGE = 'Usage: vocab list | show <name> | add <name> <phrase>[=<sounds like>,...] | ' +
+    'remove <name> <phrase> | engine <name> <engine vocabulary|-> | delete <name>';
+
+/**
+ * List and edit custom vocabularies (console command)
+ * @param {string[]} args - list | show <name> | add <name> <phrase>[=<sounds like>,...] |
+ *   remove <name> <phrase> | engine <name> <engine vocabulary|-> | delete <name>
+ */
+function vocabCommand([action = 'list', name, ...words]) {
+    const text = words.join(' ');
+
+    if (action === 'list') {
+        const vocabularies = vocabularyStore.list();
+        if (vocabularies.length === 0) {
+            console.log(`No vocabularies in ${vocabularyStore.file}`);
+            return;
+        }
+        printTable(
+            ['Name', 'Terms', 'Engine vocabulary', 'Updated'],
+            vocabularies.map((vocabulary) => [
+                vocabulary.name === config.vocabulary.default ? `${vocabulary.name} (default)` : vocabulary.name,
+                vocabulary.termCount,
+                vocabulary.engineVocabulary,
+                vocabulary.updatedAt ? vocabulary.updatedAt.replace('T', ' ').slice(0, 19) : null
+            ])
+        );
+        return;
+    }
+
+    if (!name) {
+        throw new ApiError(400, VOCAB_USAGE);
+    }
+
+    switch (action) {
+        case 'show': {
+            const vocabulary = getVocabulary(name);
+            console.log(`\n=== ${vocabulary.name} (engine vocabulary: ${vocabulary.engineVocabulary || 'none'}) ===`);
+            printTable(
+                ['Phrase', 'Sounds like', 'Display as'],
+                vocabulary.terms.map((term) => [term.phrase, term.soundsLike.join(', ') || null, term.displayAs])
+            );
+            return;
+        }
+        case 'add': {
+            const [phrase, soundsLike = ''] = text.split('=');
+            let vocabulary;
+            try {
+                vocabulary = vocabularyStore.addTerm(name, {
+                    phrase: phrase,
+                    soundsLike: soundsLike.split(',').map((variant) => variant.trim()).filter(Boolean)
+                });
+            } catch (error) {
+                throw new ApiError(400, error.message);
+            }
+            console.log(`✓ ${vocabulary.name} has ${vocabulary.terms.length} term(s)`);
+            return;
+        }
+        case 'remove':
+            getVocabulary(name);
+            console.log(vocabularyStore.removeTerm(name, text) ? `✓ Removed "${text}" from ${name}` : `No term "${text}" in ${name}`);
+            return;
+        case 'engine': {
+            const vocabulary = getVocabulary(name);
+            saveVocabulary(name, { engineVocabulary: text === '-' ? null : text, terms: vocabulary.terms });
+            console.log(`✓ ${name} uses engine vocabulary ${text === '-' ? 'none' : text} (for transcription streams opened from now on)`);
+            return;
+        }
+        case 'delete':
+            deleteVocabulary(name);
+            console.log(`✓ Vocabulary ${name} deleted`);
+            return;
+        default:
+            throw new ApiError(400, VOCAB_USAGE);
+    }
+}
+
+// When a setting changed with "config set" takes effect; settings in neither
+// list are only read when the server process starts
+const LIVE_SETTINGS = [
+    'retry.maxRetries', 'retry.baseDelayMs', 'retry.maxDelayMs',
+    'audio.transcription.engine', 'audio.transcription.endpoint', 'audio.transcription.region',
+    'auth.enabled', 'api.allowedOrigin', 'resume.timeoutMs', 'heartbeat.timeoutMs',
+    'phi.mode', 'phi.required', 'vocabulary.default'
+];
+const RESTART_SETTINGS = ['host', 'port', 'heartbeat.intervalMs'];
+const SWEEP_SETTINGS = ['retention.maxAgeDays', 'retention.maxTotalMB'];
+
+/**
+ * Show or change settings (console command)
+ * @param {string[]} args - "get [setting]" or "set <setting> <value>"
+ */
+function configCommand([action, name, ...value]) {
+    if (action === 'get') {
+        const current = name ? getOption(config, name) : config;
+        if (current === undefined) {
+            throw new ApiError(404, `Unknown setting "${name}"`);
+        }
+        console.log(current !== null && typeof current === 'object'
+            ? JSON.stringify(current, null, 2)
+            : `${name} = ${JSON.stringify(current)}`);
+        return;
+    }
+
+    if (action === 'set' && name && value.length > 0) {
+        let configPath;
+        try {
+            configPath = setOption(config, name, value.join(' '));
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+        let when = 'takes effect when the server process restarts';
+        if (LIVE_SETTINGS.includes(configPath)) {
+            when = 'in effect for new connections and transcription streams';
+        } else if (RESTART_SETTINGS.includes(configPath)) {
+            when = 'takes effect after "restart"';
+        } else if (SWEEP_SETTINGS.includes(configPath)) {
+            when = 'applies from the next retention sweep ("sweep" runs one now)';
+        }
+        console.log(`✓ ${configPath} = ${JSON.stringify(getOption(config, configPath))} (${when}; not saved)`);
+        return;
+    }
+
+    throw new ApiError(400, 'Usage: config get [setting] | config set <setting> <value>');
+}
+
+// Completions for console arguments
+const clientIds = () => Array.from(sessions.keys()).map(String);
+const recordingNames = () => listRecordings().map((recording) => recording.name);
+
+// Console commands (see serverConsole.js); commands without a description are aliases
+const consoleCommands = {
+    start: {
+        usage: 'start',
+        description: 'Start the WebSocket server',
+        run: () => startServer()
+    },
+    stop: {
+        usage: 'stop',
+        description: 'Stop the WebSocket server',
+        run: () => stopServer()
+    },
+    restart: {
+        usage: 'restart',
+        description: 'Restart the WebSocket server',
+        run: () => restartServer()
+    },
+    status: {
+        usage: 'status',
+        description: 'Show server status and statistics',
+        run: () => showStatus()
+    },
+    clients: {
+        usage: 'clients',
+        description: 'List clients with their IP, packets and connection time',
+        run: () => printClients()
+    },
+    kick: {
+        usage: 'kick <id> [reason]',
+        description: 'Disconnect a client and end its session',
+        run: ([id, ...reason]) => runCommand(() => {
+            if (!id) {
+                throw new ApiError(400, 'Usage: kick <id> [reason]');
+            }
+            return kickClient(id, reason.join(' ') || undefined);
+        }),
+        complete: (args) => (args.length === 0 ? clientIds() : [])
+    },
+    record: {
+        usage: 'record <id> [name]',
+        description: 'Start recording a client, optionally to a named file',
+        run: ([id, name]) => runCommand(() => {
+            if (!id) {
+                throw new ApiError(400, 'Usage: record <id> [name]');
+            }
+            return startRecording(id, name);
+        }),
+        complete: (args) => (args.length === 0 ? clientIds() : [])
+    },
+    stoprecord: {
+        usage: 'stoprecord <id>',
+        description: 'Stop recording a client and save the WAV file',
+        run: ([id]) => runCommand(() => {
+            if (!id) {
+                throw new ApiError(400, 'Usage: stoprecord <id>');
+            }
+            return stopRecording(id);
+        }),
+        complete: (args) => (args.length === 0 ? clientIds() : [])
+    },
+    startrecording: {
+        usage: 'startrecording [id]',
+        description: 'Start recording a client (all clients if no ID)',
+        run: ([id]) => runCommand(() => startRecording(id)),
+        complete: (args) => (args.length === 0 ? clientIds() : [])
+    },
+    stoprecording: {
+        usage: 'stoprecording [id]',
+        description: 'Stop recording a client (all clients if no ID)',
+        run: ([id]) => runCommand(() => stopRecording(id)),
+        complete: (args) => (args.length === 0 ? clientIds() : [])
+    },
+    recordings: {
+        usage: 'recordings',
+        description: 'List recordings',
+        run: () => printRecordings()
+    },
+    sweep: {
+        usage: 'sweep',
+        description: 'Delete the recordings the retention policy does not keep',
+        run: () => sweepRecordings()
+    },
+    transcript: {
+        usage: `transcript <name> [${Object.keys(transcript.EXPORT_FORMATS).join('|')}]`,
+        description: 'Print a recording\'s transcript',
+        run: ([name, format]) => runCommand(() => printTranscript(name, format)),
+        complete: (args) => (args.length === 0 ? recordingNames() : args.length === 1 ? Object.keys(transcript.EXPORT_FORMATS) : [])
+    },
+    sessions: {
+        usage: 'sessions [filter=value...] [text]',
+        description: `Find catalogued sessions by ${SESSION_FILTERS.join(', ')} and transcript text`,
+        run: (args) => runCommand(() => printSessions(args)),
+        complete: () => SESSION_FILTERS.map((filter) => `${filter}=`)
+    },
+    session: {
+        usage: 'session <id>',
+        description: 'Show a catalogued session',
+        run: ([id]) => runCommand(() => {
+            if (!id) {
+                throw new ApiError(400, 'Usage: session <id>');
+            }
+            console.log(JSON.stringify(getCatalogSession(id), null, 2));
+        }),
+        complete: (args) => (args.length === 0 ? catalogIds() : [])
+    },
+    tag: {
+        usage: 'tag <session> <tag> [tag...]',
+        description: 'Tag a catalogued session',
+        run: ([id, ...tags]) => runCommand(() => {
+            if (!id || tags.length === 0) {
+                throw new ApiError(400, 'Usage: tag <session> <tag> [tag...]');
+            }
+            const entry = tagSession(id, tags, []);
+            console.log(`✓ Session ${entry.sessionId.slice(0, 8)} tags: ${entry.tags.join(', ')}`);
+        }),
+        complete: (args) => (args.length === 0 ? catalogIds() : [])
+    },
+    untag: {
+        usage: 'untag <session> <tag> [tag...]',
+        description: 'Remove tags from a catalogued session',
+        run: ([id, ...tags]) => runCommand(() => {
+            if (!id || tags.length === 0) {
+                throw new ApiError(400, 'Usage: untag <session> <tag> [tag...]');
+            }
+            const entry = tagSession(id, [], tags);
+            console.log(`✓ Session ${entry.sessionId.slice(0, 8)} tags: ${entry.tags.join(', ') || 'none'}`);
+        }),
+        complete: (args) => {
+            if (args.length === 0) {
+                return catalogIds();
+            }
+            try {
+                const entry = sessionCatalog.find(args[0]);
+                return entry ? entry.tags : [];
+            } catch (error) {
+                return []; // ambiguous session ID
+            }
+        }
+    },
+    vocab: {
+        usage: 'vocab <list|show|add|remove|engine|delete> ...',
+        description: 'List and edit custom vocabularies',
+        run: (args) => runCommand(() => vocabCommand(args)),
+        complete: (args) => {
+            if (args.length === 0) {
+                return ['list', 'show', 'add', 'remove', 'engine', 'delete'];
+            }
+            return args.length === 1 && args[0] !== 'list' ? vocabularyStore.names() : [];
+        }
+    },
+    config: {
+        usage: 'config get [setting] | set <setting> <value>',
+        description: 'Show or change settings until the server exits',
+        run: (args) => runCommand(() => configCommand(args)),
+        complete: (args) => {
+            if (args.length === 0) {
+                return ['get', 'set'];
+            }
+            return args.length === 1 ? listOptions() : [];
+        }
+    },
+    help: {
+        usage: 'help',
+        description: 'Show this help message',
+        run: () => serverConsole.printHelp()
+    },
+    exit: {
+        usage: 'exit/quit',
+        description: 'Exit the application',
+        run: () => shutdown()
+    },
+    quit: {
+        usage: 'quit',
+        run: () => shutdown()
+    }
+};
+
+const serverConsole = new ServerConsole(consoleCommands, {
+    historyFile: config.console.historyFile,
+    // End of input (Ctrl+D) exits like "exit"
+    onClose: () => shutdown()
+});
+
+/**
+ * Stop recordings and the server, then exit
+ * @param {string} [signal] - Signal that asked the process to stop
+ */
+async function shutdown(signal) {
+    if (isShuttingDown) {
+        return;
+    }
+    isShuttingDown = true;
+
+    console.log(signal ? `\n\nReceived ${signal}...` : '\nShutting down...');
     if (isRunning) {
         await stopServer(); // stopServer now handles stopping recording
-    } else if (audioRecorder.isRecording) {
-        // If server not running but recording is active, stop it
-        await audioRecorder.stopRecording();
+    } else {
+        // If server not running but recordings are active, stop them
+        await stopAllRecordings();
     }
+    retentionSweeper.stop();
+    serverConsole.close();
+    console.log('Goodbye!');
     process.exit(0);
-});
+}
+
+// Ctrl+C, and the signal process managers stop services with
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+/**
+ * Repair recordings left unfinalized by a previous crash
+ */
+function recoverRecordings() {
+    const summary = repairRecordings(AudioRecorder.RECORDINGS_DIR);
+    const manifests = recoverManifests(AudioRecorder.RECORDINGS_DIR, config.encryption.enabled);
+    if (summary.repaired > 0 || summary.invalid > 0 || manifests > 0) {
+        console.log(`[Recovery] ${summary.repaired} recording(s) repaired, ${summary.invalid} invalid, ${summary.ok} OK, ${manifests} manifest(s) rebuilt\n`);
+    }
+}
+
+/**
+ * Encrypt recording files left unencrypted (recorded before encryption was
+ * enabled, or interrupted by a crash), then start the retention sweeper.
+ * Sweeping waits for the encryption so it cannot delete a file being encrypted.
+ */
+async function protectRecordings() {
+    if (config.encryption.enabled) {
+        const sealed = await sealRecordings(AudioRecorder.RECORDINGS_DIR);
+        if (sealed > 0) {
+            console.log(`[Encryption] Encrypted ${sealed} existing recording file(s)`);
+        }
+    }
+    retentionSweeper.start(config.retention.sweepIntervalMinutes);
+}
+
+/**
+ * Describe the retention policy for the startup banner
+ */
+function describeRetention() {
+    const { maxAgeDays, maxTotalMB } = config.retention;
+    const limits = [
+        maxAgeDays > 0 ? `${maxAgeDays} day(s)` : null,
+        maxTotalMB > 0 ? `${maxTotalMB} MB in total` : null
+    ].filter(Boolean);
+    return limits.length > 0 ? `up to ${limits.join(', ')} (audit log: ${config.auditLog})` : 'recordings are kept forever';
+}
 
 // Start the server and console interface
 console.log('Audio Streaming WebSocket Server');
 console.log('==================================\n');
+console.log(`Configuration: ${config.sources.join(' < ')}`);
+console.log(`Recordings: ${config.recordingsDir}`);
+try {
+    const keyLoaded = useKeyFile(config.encryption);
+    console.log(config.encryption.enabled
+        ? `Encryption: AES-256-GCM (key ${config.encryption.keyFile})`
+        : `Encryption: DISABLED${keyLoaded ? ' (recordings encrypted earlier can still be read)' : ''}`);
+} catch (error) {
+    console.error(`Encryption error: ${error.message}`);
+    process.exit(1);
+}
+console.log(`Retention: ${describeRetention()}`);
+const interruptedSessions = sessionCatalog.load();
+console.log(`Sessions: ${sessionCatalog.size} catalogued in ${sessionCatalog.file}`);
+if (interruptedSessions > 0) {
+    console.log(`[Catalog] ${interruptedSessions} session(s) left open by the previous run marked as interrupted`);
+}
+console.log(`PHI: ${config.phi.mode}${config.phi.required ? ' (required)' : ''} for ${config.phi.types.join(', ') || 'no types'}`);
+console.log(`Vocabularies: ${vocabularyStore.names().length} in ${config.vocabulary.file}` +
+    (config.vocabulary.default ? `, default ${config.vocabulary.default}` : ''));
+if (config.vocabulary.default && !vocabularyStore.get(config.vocabulary.default)) {
+    console.log(`⚠ Default vocabulary "${config.vocabulary.default}" does not exist; add it with the "vocab" command`);
+}
+if (!config.auth.enabled) {
+    console.log('Authentication: DISABLED (any client can connect)');
+    console.log(`Admin API: open to anyone, from ${config.api.allowedOrigin === '*' ? 'any origin' : config.api.allowedOrigin}\n`);
+} else {
+    const admins = userStore.listUsers().filter((entry) => entry.admin).length;
+    console.log(`Authentication: ${userStore.size} user(s), ${admins} admin(s) in ${config.auth.usersFile}`);
+    console.log(`Admin API: admins only, from ${config.api.allowedOrigin === '*' ? 'any origin' : config.api.allowedOrigin}\n`);
+    if (userStore.size === 0) {
+        console.log('⚠ No users configured; add one with: node server/userStore.js add <user>\n');
+    }
+    if (admins === 0) {
+        console.log('⚠ No admin users; the admin API refuses every request until one is added with: node server/userStore.js add <user> --admin\n');
+    }
+}
+recoverRecordings();
+protectRecordings().catch((error) => console.error('[Encryption] Cannot encrypt existing recordings:', error.message));
 startServer();
-setupConsoleInterface();
+if (config.console.enabled) {
+    serverConsole.start();
+} else {
+    console.log('Console disabled; stop the server with SIGINT or SIGTERM\n');
+}
 
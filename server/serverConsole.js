@@ -0,0 +1,183 @@
+/**
+ * Server Console
+ * Interactive command line on stdin: commands take arguments, command names
+ * and arguments complete with Tab, and the history is kept across runs.
+ *
+ * Commands are registered as { name: command } where a command is
+ *   {
+ *     usage: 'kick <id> [reason]',            - shown by "help"
+ *     description: 'Disconnect a client',
+ *     run: (args) => ...,                     - may return a Promise
+ *     complete: (args) => ['1', '2']          - optional; candidates for the argument
+ *   }                                           being typed (args are the ones before it)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const HISTORY_SIZE = 500;
+
+/**
+ * Print rows as a table with aligned columns
+ * @param {string[]} headers - Column headings
+ * @param {Array[]} rows - Rows of cell values
+ */
+function printTable(headers, rows) {
+    const cells = [headers, ...rows.map((row) => row.map((cell) => (cell === null || cell === undefined ? '-' : String(cell))))];
+    const widths = headers.map((header, column) => Math.max(...cells.map((row) => row[column].length)));
+    cells.forEach((row, index) => {
+        console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+        if (index === 0) {
+            console.log(widths.map((width) => '-'.repeat(width)).join('  '));
+        }
+    });
+}
+
+class ServerConsole {
+    /**
+     * @param {Object} commands - Commands by name (see the module comment)
+     * @param {Object} options - { historyFile, onClose } where onClose is called when stdin ends
+     */
+    constructor(commands, options = {}) {
+        this.commands = commands;
+        this.historyFile = options.historyFile || null;
+        this.onClose = options.onClose || (() => {});
+        this.rl = null;
+    }
+
+    /**
+     * Start reading commands from stdin
+     */
+    start() {
+        this.rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt: 'server> ',
+            completer: (line) => this.complete(line),
+            history: this.loadHistory(),
+            historySize: HISTORY_SIZE,
+            removeHistoryDuplicates: true
+        });
+
+        this.rl.on('history', (history) => this.saveHistory(history));
+
+        this.rl.on('line', async (line) => {
+            await this.execute(line);
+            if (this.rl) {
+                this.rl.prompt();
+            }
+        });
+
+        this.rl.on('close', () => {
+            this.rl = null;
+            this.onClose();
+        });
+
+        this.rl.prompt();
+    }
+
+    /**
+     * Stop reading commands
+     */
+    close() {
+        if (this.rl) {
+            this.rl.close();
+        }
+    }
+
+    /**
+     * Run one command line
+     * @param {string} line - Command name and arguments separated by spaces
+     */
+    async execute(line) {
+        const [name = '', ...args] = line.trim().split(/\s+/).filter(Boolean);
+        if (!name) {
+            return;
+        }
+
+        const command = this.commands[name.toLowerCase()];
+        if (!command) {
+            console.log(`Unknown command: "${name}". Type "help" for available commands.`);
+            return;
+        }
+
+        try {
+            await command.run(args);
+        } catch (error) {
+            console.error(`Command failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Tab completion (readline completer)
+     * @param {string} line - Line typed so far
+     * @returns {[string[], string]} Candidates and the word they complete
+     */
+    complete(line) {
+        const words = line.trimStart().split(/\s+/);
+        const word = words.pop();
+
+        let candidates;
+        if (words.length === 0) {
+            candidates = Object.keys(this.commands);
+        } else {
+            const command = this.commands[words[0].toLowerCase()];
+            try {
+                candidates = command && command.complete ? command.complete(words.slice(1)) : [];
+            } catch (error) {
+                candidates = [];
+            }
+        }
+
+        const hits = candidates.map(String).filter((candidate) => candidate.startsWith(word));
+        // A single match is completed with a space so the next argument can follow
+        return [hits.length === 1 ? [`${hits[0]} `] : hits, word];
+    }
+
+    /**
+     * Print the command list
+     */
+    printHelp() {
+        const entries = Object.entries(this.commands).filter(([, command]) => command.description);
+        const width = Math.max(...entries.map(([, command]) => command.usage.length));
+        console.log('\n=== Available Commands ===');
+        entries.forEach(([, command]) => console.log(`${command.usage.padEnd(width)}  - ${command.description}`));
+        console.log('==========================\n');
+    }
+
+    /**
+     * Read the history file (newest entry first, as readline expects)
+     */
+    loadHistory() {
+        if (!this.historyFile) {
+            return [];
+        }
+        try {
+            return fs.readFileSync(this.historyFile, 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Write the history file (oldest entry first)
+     */
+    saveHistory(history) {
+        if (!this.historyFile) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+            fs.writeFileSync(this.historyFile, `${history.slice().reverse().join('\n')}\n`, { mode: 0o600 });
+        } catch (error) {
+            console.error(`Cannot save console history to ${this.historyFile}:`, error.message);
+            this.historyFile = null;
+        }
+    }
+}
+
+module.exports = {
+    ServerConsole,
+    printTable
+};
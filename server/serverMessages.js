@@ -0,0 +1,195 @@
+/**
+ * Server-to-Client Messages
+ * Builders for every JSON message the server sends to clients.
+ * Keep in sync with ServerMessage in src/app/websocket.service.ts
+ */
+
+const WebSocket = require('ws');
+const path = require('path');
+
+/**
+ * Welcome message sent once after a client connects and authenticates;
+ * clients must not send audio before it arrives
+ * @param {number} clientId - Server assigned client ID
+ * @param {string|null} user - Authenticated user (null when authentication is disabled)
+ * @param {Object} resume - { sessionId, resumed, lastSequence }: the ID to reconnect with
+ *   (?session=<id>), whether an existing session was resumed, and the last audio sequence
+ *   number it received (null if none) so the client can replay the packets after it
+ */
+function welcome(clientId, user, resume) {
+    return {
+        type: 'welcome',
+        message: 'Connected to audio streaming server',
+        clientId: clientId,
+        user: user,
+        sessionId: resume.sessionId,
+        resumed: resume.resumed,
+        lastSequence: resume.lastSequence
+    };
+}
+
+/**
+ * Acknowledge audio packets up to and including a sequence number;
+ * the client no longer needs to keep them for replay
+ * @param {number} sequence - Last received sequence number
+ */
+function ack(sequence) {
+    return {
+        type: 'ack',
+        sequence: sequence
+    };
+}
+
+/**
+ * Reply to a client's { type: 'ping', id } liveness check
+ * @param {*} id - ID from the ping, echoed back
+ */
+function pong(id) {
+    return {
+        type: 'pong',
+        id: id === undefined ? null : id
+    };
+}
+
+/**
+ * Partial (in-progress) transcript result; replaces any earlier partial
+ * with the same resultId. phi lists the { type, start, end } spans of PHI in
+ * the text (placeholders when it is redacted).
+ */
+function partialTranscript(result) {
+    return {
+        type: 'partialTranscript',
+        resultId: result.resultId,
+        text: result.text,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        phi: result.phi || []
+    };
+}
+
+/**
+ * Final transcript result; the text for this resultId will not change
+ */
+function finalTranscript(result) {
+    return {
+        type: 'finalTranscript',
+        resultId: result.resultId,
+        text: result.text,
+        startTime: result.startTime,
+        endTime: result.endTime,
+        confidence: result.confidence !== undefined ? result.confidence : null,
+        speaker: result.speaker !== undefined ? result.speaker : null,
+        phi: result.phi || [],
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Voice activity detected the start of an utterance
+ * @param {Object} event - { utteranceId, startTime } with times in seconds of streamed audio
+ */
+function speechStart(event) {
+    return {
+        type: 'speechStart',
+        utteranceId: event.utteranceId,
+        startTime: event.startTime
+    };
+}
+
+/**
+ * An utterance ended after a period of silence
+ * @param {Object} event - { utteranceId, startTime, endTime } with times in seconds of streamed audio
+ */
+function speechEnd(event) {
+    return {
+        type: 'speechEnd',
+        utteranceId: event.utteranceId,
+        startTime: event.startTime,
+        endTime: event.endTime
+    };
+}
+
+/**
+ * Current recording state for the client
+ * @param {Object} status - Recorder status from AudioRecorder.getStatus()
+ * @param {Object} metadata - Session metadata stored with recordings
+ */
+function recordingState(status, metadata) {
+    return {
+        type: 'recordingState',
+        isRecording: status.isRecording,
+        file: status.recordingFile ? path.basename(status.recordingFile) : null,
+        startedAt: status.startedAt,
+        // Clocks differ; clients time the recording from elapsedMs rather than startedAt
+        elapsedMs: status.startedAt ? Date.now() - status.startedAt : 0,
+        metadata: metadata
+    };
+}
+
+/**
+ * How the client's transcript results are processed
+ * @param {Object} options - { phi: { mode, types, required }, vocabulary } from ClientSession
+ * @param {Object} available - { phiTypes, vocabularies }: what the client may choose from
+ */
+function transcriptOptions(options, available) {
+    return {
+        type: 'transcriptOptions',
+        phi: options.phi,
+        vocabulary: options.vocabulary,
+        available: available
+    };
+}
+
+/**
+ * Outcome of a control message from the client
+ * @param {Object} request - The control message ({ type, requestId })
+ * @param {string|null} errorMessage - Why the request failed, or null if it succeeded
+ */
+function controlResult(request, errorMessage) {
+    return {
+        type: 'controlResult',
+        requestId: request.requestId !== undefined ? request.requestId : null,
+        action: request.type,
+        ok: !errorMessage,
+        error: errorMessage || null
+    };
+}
+
+/**
+ * Error report
+ * @param {string} source - Where the error came from ('server' or 'transcription')
+ * @param {string} message - Human readable description
+ */
+function error(source, message) {
+    return {
+        type: 'error',
+        source: source,
+        message: message
+    };
+}
+
+/**
+ * Send a message to a client if its socket is open
+ * @param {WebSocket} ws - Client socket
+ * @param {Object} message - Message built by one of the functions above
+ */
+function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+module.exports = {
+    welcome,
+    ack,
+    pong,
+    partialTranscript,
+    finalTranscript,
+    speechStart,
+    speechEnd,
+    recordingState,
+    transcriptOptions,
+    controlResult,
+    error,
+    send
+};
@@ -0,0 +1,452 @@
+/**
+ * Session Catalogue
+ * Persistent index of client sessions: who connected, when, what they sent
+ * and which recordings they made. It is kept in sessions.jsonl in the
+ * recordings directory. Each change to a session appends its whole entry as
+ * a line (the session's last line wins), and the file is compacted to one
+ * line per session at startup and whenever it has grown well past that.
+ * With encryption enabled each line is sealed on its own (as base64), so
+ * lines can still be appended. An entry:
+ *
+ *   { "sessionId": "...", "clientId": 1, "clientIp": "::1", "user": "alice",
+ *     "startedAt": "...", "endedAt": "...", "endReason": "disconnected",
+ *     "format": { "encoding": "s16le", "sampleRate": 16000, "channels": 1 },
+ *     "packets": 1200, "bytes": 3840000, "streamSeconds": 120.1,
+ *     "missingPackets": 0, "duplicatePackets": 0, "resumeCount": 0,
+ *     "metadata": { "patientId": "P-1" },
+ *     "recordings": [ { "name": "...", "startedAt": "...", "transcript": "<name>.transcript.json" } ],
+ *     "tags": ["follow-up"], "updatedAt": "..." }
+ *
+ * Sessions that were still open when the server stopped unexpectedly are
+ * marked with endReason "interrupted" the next time it starts. Entries are
+ * kept when their recordings are deleted, so the catalogue still shows who
+ * recorded what.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readPlaintext, sealBuffer, openBuffer } = require('./recordingEncryption');
+const { TRANSCRIPT_SUFFIX, readTranscript } = require('./transcript');
+
+const FILE_NAME = 'sessions.jsonl';
+const TAG = /^[\w.:-]{1,64}$/;
+const MAX_TAGS = 20;
+const DEFAULT_LIMIT = 50;
+// Matching transcript segments reported per session by a text query
+const MAX_MATCHES = 10;
+// The file is compacted once it has this many lines more than twice the number of sessions
+const COMPACT_SLACK_LINES = 1000;
+
+/**
+ * Parse a date (2026-10-19) or date and time (2026-10-19T08:30) from a query
+ * @param {string} value - Date text
+ * @param {boolean} endOfDay - For a date without a time, use the end of the day
+ * @returns {number} Time in ms since the epoch
+ * @throws {Error} If the date is invalid
+ */
+function parseDate(value, endOfDay) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00` : value);
+    if (!Number.isFinite(time)) {
+        throw new Error(`Invalid date "${value}" (use YYYY-MM-DD or an ISO date and time)`);
+    }
+    return dateOnly && endOfDay ? time + 24 * 3600 * 1000 - 1 : time;
+}
+
+/**
+ * Build a query from text parameters (API query string or console arguments)
+ * @param {Object} params - { from, to, user, tag, client, text, limit }, all optional strings
+ * @returns {Object} Query for SessionCatalog.query()
+ * @throws {Error} If a parameter is invalid
+ */
+function parseQuery(params) {
+    const query = {
+        from: params.from ? parseDate(params.from, false) : null,
+        to: params.to ? parseDate(params.to, true) : null,
+        user: params.user || null,
+        tag: params.tag || null,
+        clientId: null,
+        text: params.text ? params.text.trim().toLowerCase() : null,
+        limit: DEFAULT_LIMIT
+    };
+    if (params.client) {
+        query.clientId = parseInt(params.client, 10);
+        if (!Number.isInteger(query.clientId)) {
+            throw new Error(`Invalid client ID "${params.client}"`);
+        }
+    }
+    if (params.limit) {
+        query.limit = parseInt(params.limit, 10);
+        if (!(query.limit > 0)) {
+            throw new Error(`limit must be a positive number (got "${params.limit}")`);
+        }
+    }
+    return query;
+}
+
+/**
+ * Check tags given by a user
+ * @param {*} tags - Tags
+ * @returns {string[]} Tags without duplicates
+ * @throws {Error} If a tag is invalid
+ */
+function validateTags(tags) {
+    if (!Array.isArray(tags)) {
+        throw new Error('tags must be an array');
+    }
+    tags.forEach((tag) => {
+        if (typeof tag !== 'string' || !TAG.test(tag)) {
+            throw new Error(`Invalid tag "${tag}" (letters, digits, "_", ".", ":" and "-", up to 64 characters)`);
+        }
+    });
+    const unique = [...new Set(tags)];
+    if (unique.length > MAX_TAGS) {
+        throw new Error(`A session may have at most ${MAX_TAGS} tags`);
+    }
+    return unique;
+}
+
+class SessionCatalog {
+    /**
+     * @param {string} dir - Recordings directory (the catalogue file and transcripts are in it)
+     * @param {Function} shouldEncrypt - () => whether to write the catalogue encrypted
+     */
+    constructor(dir, shouldEncrypt) {
+        this.dir = dir;
+        this.file = path.join(dir, FILE_NAME);
+        this.shouldEncrypt = shouldEncrypt;
+        // Entries by session ID, in the order the sessions started
+        this.entries = new Map();
+        // Lines in the file, to know when to compact it
+        this.lineCount = 0;
+        // Packets each active session had when its entry was last written, to checkpoint only those still streaming
+        this.writtenPackets = new Map();
+        // Set when the file could not be read, so it is not overwritten
+        this.disabled = false;
+    }
+
+    /**
+     * Read the catalogue and close the sessions left open by an earlier run
+     * @returns {number} Number of sessions marked as interrupted
+     */
+    load() {
+        this.entries.clear();
+        this.lineCount = 0;
+        if (!fs.existsSync(this.file)) {
+            return 0;
+        }
+
+        try {
+            const lines = readPlaintext(this.file).toString('utf8').split('\n');
+            // A crash while appending can leave the last line incomplete
+            if (lines.pop()) {
+                console.log(`[Catalog] Ignoring an incomplete last line in ${this.file}`);
+            }
+            lines.filter(Boolean).forEach((line) => {
+                const entry = this.decodeLine(line);
+                this.entries.set(entry.sessionId, entry);
+            });
+        } catch (error) {
+            console.error(`[Catalog] Cannot read ${this.file}: ${error.message}; sessions will not be catalogued`);
+            this.entries.clear();
+            this.disabled = true;
+            return 0;
+        }
+
+        const interrupted = Array.from(this.entries.values()).filter((entry) => !entry.endedAt);
+        // The last change written is as close as we can get to when they ended
+        interrupted.forEach((entry) => {
+            entry.endedAt = entry.updatedAt || entry.startedAt;
+            entry.endReason = 'interrupted';
+        });
+        this.compact();
+        return interrupted.length;
+    }
+
+    /**
+     * Number of catalogued sessions
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add a new session
+     * @param {ClientSession} session - Session that has just started
+     */
+    sessionStarted(session) {
+        this.entries.set(session.sessionId, {
+            sessionId: session.sessionId,
+            ...this.snapshot(session),
+            startedAt: new Date(session.connectedAt).toISOString(),
+            endedAt: null,
+            endReason: null,
+            recordings: [],
+            tags: []
+        });
+        this.append(this.entries.get(session.sessionId));
+    }
+
+    /**
+     * Update a session's statistics and metadata
+     * @param {ClientSession} session - Session
+     */
+    sessionUpdated(session) {
+        const entry = this.entries.get(session.sessionId);
+        if (entry) {
+            Object.assign(entry, this.snapshot(session));
+            this.append(entry);
+        }
+    }
+
+    /**
+     * Write the statistics of active sessions that have received audio since they were last
+     * written, so a crash loses at most the audio since the last checkpoint
+     * @param {Iterable<ClientSession>} activeSessions - Sessions that have not ended
+     */
+    checkpoint(activeSessions) {
+        for (const session of activeSessions) {
+            const entry = this.entries.get(session.sessionId);
+            if (entry && session.packetCount !== this.writtenPackets.get(session.sessionId)) {
+                Object.assign(entry, this.snapshot(session));
+                this.append(entry);
+            }
+        }
+    }
+
+    /**
+     * Bring the statistics of active sessions up to date before they are shown (without saving)
+     * @param {Iterable<ClientSession>} activeSessions - Sessions that have not ended
+     */
+    refresh(activeSessions) {
+        for (const session of activeSessions) {
+            const entry = this.entries.get(session.sessionId);
+            if (entry) {
+                Object.assign(entry, this.snapshot(session));
+            }
+        }
+    }
+
+    /**
+     * Add the recording a session has just started
+     * @param {ClientSession} session - Session
+     */
+    recordingStarted(session) {
+        const entry = this.entries.get(session.sessionId);
+        const status = session.recorder.getStatus();
+        if (!entry || !status.manifestFile) {
+            return;
+        }
+        const name = path.basename(status.manifestFile, '.json');
+        entry.recordings.push({
+            name: name,
+            startedAt: new Date(status.startedAt).toISOString(),
+            transcript: `${name}${TRANSCRIPT_SUFFIX}`
+        });
+        this.sessionUpdated(session);
+    }
+
+    /**
+     * Record the end of a session
+     * @param {ClientSession} session - Session
+     * @param {string} reason - Why it ended ('disconnected', 'not resumed', 'kicked', 'server stopped')
+     */
+    sessionEnded(session, reason) {
+        const entry = this.entries.get(session.sessionId);
+        if (entry) {
+            Object.assign(entry, this.snapshot(session), { endedAt: new Date().toISOString(), endReason: reason });
+            this.append(entry);
+        }
+        this.writtenPackets.delete(session.sessionId);
+    }
+
+    /**
+     * Catalogued fields that change during a session
+     */
+    snapshot(session) {
+        const status = session.getStatus();
+        return {
+            clientId: status.clientId,
+            clientIp: status.clientIp,
+            user: status.user,
+            format: status.inputFormat,
+            packets: status.packetCount,
+            bytes: status.totalBytes,
+            streamSeconds: Math.round(status.streamDuration * 1000) / 1000,
+            missingPackets: status.missingPackets,
+            duplicatePackets: status.duplicatePackets,
+            resumeCount: status.resumeCount,
+            metadata: status.metadata
+        };
+    }
+
+    /**
+     * Find a session by its ID or the start of it (as shown by the console)
+     * @param {string} id - Session ID or a unique prefix of at least 4 characters
+     * @returns {Object|null} Entry, or null if there is no such session
+     * @throws {Error} If the prefix matches more than one session
+     */
+    find(id) {
+        if (this.entries.has(id)) {
+            return this.entries.get(id);
+        }
+        if (!id || id.length < 4) {
+            return null;
+        }
+        const matches = Array.from(this.entries.values()).filter((entry) => entry.sessionId.startsWith(id));
+        if (matches.length > 1) {
+            throw new Error(`Session ID "${id}" is ambiguous (${matches.length} sessions)`);
+        }
+        return matches[0] || null;
+    }
+
+    /**
+     * Add and remove tags of a session
+     * @param {string} id - Session ID or prefix
+     * @param {string[]} add - Tags to add
+     * @param {string[]} [remove] - Tags to remove
+     * @returns {Object|null} Updated entry, or null if there is no such session
+     * @throws {Error} If a tag is invalid
+     */
+    tag(id, add, remove = []) {
+        const entry = this.find(id);
+        if (!entry) {
+            return null;
+        }
+        const removed = new Set(remove);
+        entry.tags = validateTags(entry.tags.filter((tag) => !removed.has(tag)).concat(validateTags(add)));
+        this.append(entry);
+        return entry;
+    }
+
+    /**
+     * Find sessions, newest first
+     * @param {Object} query - From parseQuery(): sessions that started between from and to
+     *   (ms since the epoch), by user, with a tag, of a client ID, and whose recordings'
+     *   transcripts contain text (case-insensitive)
+     * @returns {Object[]} Entries; with a text query each has matches: [{ recording, startTime, endTime, text }]
+     */
+    query(query) {
+        const results = [];
+        const entries = Array.from(this.entries.values()).reverse();
+        for (const entry of entries) {
+            if (results.length >= query.limit) {
+                break;
+            }
+
+            const startedAt = Date.parse(entry.startedAt);
+            if ((query.from !== null && startedAt < query.from) ||
+                (query.to !== null && startedAt > query.to) ||
+                (query.user !== null && entry.user !== query.user) ||
+                (query.tag !== null && !entry.tags.includes(query.tag)) ||
+                (query.clientId !== null && entry.clientId !== query.clientId)) {
+                continue;
+            }
+
+            if (query.text === null) {
+                results.push(entry);
+                continue;
+            }
+            const matches = this.searchTranscripts(entry, query.text);
+            if (matches.length > 0) {
+                results.push({ ...entry, matches });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Transcript segments of a session's recordings that contain a text
+     * @param {Object} entry - Catalogue entry
+     * @param {string} text - Lower case text to look for
+     */
+    searchTranscripts(entry, text) {
+        const matches = [];
+        for (const recording of entry.recordings) {
+            const transcript = readTranscript(path.join(this.dir, recording.transcript));
+            if (!transcript) {
+                continue; // no results yet, or the recording was deleted
+            }
+            for (const segment of transcript.segments) {
+                if (matches.length >= MAX_MATCHES) {
+                    return matches;
+                }
+                if (String(segment.text).toLowerCase().includes(text)) {
+                    matches.push({
+                        recording: recording.name,
+                        startTime: segment.startTime,
+                        endTime: segment.endTime,
+                        text: segment.text
+                    });
+                }
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * A line of the file for an entry: its JSON, or the JSON sealed and in base64 when encrypting
+     */
+    encodeLine(entry) {
+        const json = JSON.stringify(entry);
+        return `${this.shouldEncrypt() ? sealBuffer(Buffer.from(json, 'utf8')).toString('base64') : json}\n`;
+    }
+
+    /**
+     * The entry a line of the file holds
+     * @throws {Error} If the line cannot be decrypted or parsed
+     */
+    decodeLine(line) {
+        return JSON.parse(line.startsWith('{') ? line : openBuffer(Buffer.from(line, 'base64'), this.file).toString('utf8'));
+    }
+
+    /**
+     * Record a change to an entry by appending it to the file (readable by the owner only)
+     * @param {Object} entry - Changed entry
+     */
+    append(entry) {
+        if (this.disabled) {
+            return;
+        }
+        entry.updatedAt = new Date().toISOString();
+        if (!entry.endedAt) {
+            this.writtenPackets.set(entry.sessionId, entry.packets);
+        }
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.file, this.encodeLine(entry), { mode: 0o600 });
+            this.lineCount++;
+        } catch (error) {
+            console.error(`[Catalog] Cannot write ${this.file}:`, error.message);
+            return;
+        }
+        if (this.lineCount > 2 * this.entries.size + COMPACT_SLACK_LINES) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with one line per session
+     */
+    compact() {
+        if (this.disabled || this.entries.size === 0) {
+            return;
+        }
+        try {
+            const tempFile = `${this.file}.tmp`;
+            fs.writeFileSync(tempFile, Array.from(this.entries.values()).map((entry) => this.encodeLine(entry)).join(''), { mode: 0o600 });
+            fs.renameSync(tempFile, this.file);
+            this.lineCount = this.entries.size;
+        } catch (error) {
+            console.error(`[Catalog] Cannot write ${this.file}:`, error.message);
+        }
+    }
+}
+
+SessionCatalog.FILE_NAME = FILE_NAME;
+
+module.exports = {
+    SessionCatalog,
+    parseQuery,
+    validateTags
+};
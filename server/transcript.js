@@ -0,0 +1,127 @@
+/**
+ * Transcript Module
+ * The final transcript segments of a recording are kept in a JSON file next
+ * to its WAV segments (recording-<client>-<timestamp>.transcript.json):
+ *
+ *   { "recording": "...", "clientId": 1, "metadata": {}, "startedAt": "...", "endedAt": "...",
+ *     "segments": [ { "resultId": "...", "startTime": 1.2, "endTime": 3.4, "text": "...",
+ *                     "confidence": 0.97, "speaker": null, "phi": [ { "type": "NAME", "start": 0, "end": 6 } ] } ] }
+ *
+ * Segment times are seconds from the start of the recording. Segment text has
+ * been through the session's vocabulary and PHI processing, and phi lists the
+ * PHI spans in it (see transcriptProcessor.js). Transcripts can be exported
+ * as SRT, WebVTT, plain text or JSON.
+ */
+
+const fs = require('fs');
+const { readPlaintext, sealBuffer } = require('./recordingEncryption');
+
+const TRANSCRIPT_SUFFIX = '.transcript.json';
+
+/**
+ * Format seconds as HH:MM:SS<separator>mmm
+ */
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Segment text with its speaker, if one was identified
+ */
+function cueText(segment) {
+    return segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+}
+
+function toSrt(transcript) {
+    return transcript.segments.map((segment, index) => [
+        String(index + 1),
+        `${formatTimestamp(segment.startTime, ',')} --> ${formatTimestamp(segment.endTime, ',')}`,
+        cueText(segment),
+        ''
+    ].join('\n')).join('\n');
+}
+
+function toVtt(transcript) {
+    const cues = transcript.segments.map((segment) => [
+        `${formatTimestamp(segment.startTime, '.')} --> ${formatTimestamp(segment.endTime, '.')}`,
+        // WebVTT marks speakers with voice spans
+        segment.speaker ? `<v ${segment.speaker}>${segment.text}` : segment.text,
+        ''
+    ].join('\n'));
+    return ['WEBVTT', '', ...cues].join('\n');
+}
+
+function toText(transcript) {
+    return transcript.segments.map((segment) => `${cueText(segment)}\n`).join('');
+}
+
+function toJson(transcript) {
+    return `${JSON.stringify(transcript, null, 2)}\n`;
+}
+
+// Export formats: file extension, content type and renderer
+const EXPORT_FORMATS = {
+    srt: { extension: '.srt', contentType: 'application/x-subrip; charset=utf-8', render: toSrt },
+    vtt: { extension: '.vtt', contentType: 'text/vtt; charset=utf-8', render: toVtt },
+    txt: { extension: '.txt', contentType: 'text/plain; charset=utf-8', render: toText },
+    json: { extension: '.json', contentType: 'application/json; charset=utf-8', render: toJson }
+};
+
+/**
+ * Render a transcript in an export format
+ * @param {Object} transcript - Transcript (see the module comment)
+ * @param {string} format - 'srt', 'vtt', 'txt' or 'json'
+ * @returns {{body: string, contentType: string, fileName: string}} Export
+ * @throws {Error} If the format is unknown
+ */
+function exportTranscript(transcript, format) {
+    const exporter = EXPORT_FORMATS[String(format).toLowerCase()];
+    if (!exporter) {
+        throw new Error(`Unknown transcript format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    return {
+        body: exporter.render(transcript),
+        contentType: exporter.contentType,
+        fileName: `${transcript.recording}${exporter.extension}`
+    };
+}
+
+/**
+ * Write a transcript atomically (write to a temporary file, then rename)
+ * @param {string} file - Transcript path
+ * @param {Object} transcript - Transcript contents
+ * @param {boolean} [encrypt] - Write it sealed (see recordingEncryption.js)
+ */
+function writeTranscript(file, transcript, encrypt = false) {
+    const contents = Buffer.from(JSON.stringify(transcript, null, 2), 'utf8');
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, encrypt ? sealBuffer(contents) : contents);
+    fs.renameSync(tempFile, file);
+}
+
+/**
+ * Read a transcript (decrypting it if it is sealed)
+ * @param {string} file - Transcript path
+ * @returns {Object|null} Transcript, or null if missing or unreadable
+ */
+function readTranscript(file) {
+    try {
+        const transcript = JSON.parse(readPlaintext(file).toString('utf8'));
+        return Array.isArray(transcript.segments) ? transcript : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    TRANSCRIPT_SUFFIX,
+    EXPORT_FORMATS,
+    exportTranscript,
+    writeTranscript,
+    readTranscript
+};
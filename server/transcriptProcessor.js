@@ -0,0 +1,213 @@
+/**
+ * Transcript Processor
+ * Post-processing of transcript results before they leave the session
+ * (sent to the client, logged or stored with a recording):
+ *   1. Vocabulary correction, final results only: what the engine heard for a
+ *      vocabulary phrase ("sounds like" variants, other spellings or case) is
+ *      replaced by the phrase (see vocabularyStore.js)
+ *   2. PHI detection: names, dates, MRNs, phone numbers etc. are found by rules.
+ *      In 'tag' mode the text is kept and the spans are reported; in 'redact'
+ *      mode each span is replaced by a [TYPE] placeholder.
+ *
+ * Processed results carry `phi`: a list of { type, start, end } spans
+ * (character offsets into the processed text).
+ */
+
+const PHI_MODES = ['off', 'tag', 'redact'];
+
+// Built-in PHI rules: [type, pattern, flags]. When a pattern has a capture
+// group, only the group is PHI (e.g. the number after "MRN").
+const BUILT_IN_RULES = [
+    ['NAME', String.raw`\b(?:Dr|Mr|Mrs|Ms|Miss|Prof)\.?\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)`, ''],
+    ['NAME', String.raw`\b(?:[Pp]atient(?:'s)? name is|[Pp]atient named|[Nn]ame is)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)`, ''],
+    ['DATE', String.raw`\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b`, ''],
+    ['DATE', String.raw`\b\d{4}-\d{2}-\d{2}\b`, ''],
+    ['DATE', String.raw`\b(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\.?\s+\d{1,2}(?:st|nd|rd|th)?(?:,?\s+\d{4})?\b`, ''],
+    ['DATE', String.raw`\b\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:January|February|March|April|May|June|July|August|September|October|November|December)(?:,?\s+\d{4})?\b`, ''],
+    ['MRN', String.raw`\b(?:MRN|medical record(?: number)?)(?:\s*(?:number|no\.?|#|is|:))*\s*([A-Z]{0,3}\d[\d-]{4,}\d)\b`, 'i'],
+    ['SSN', String.raw`\b\d{3}[-\s]\d{2}[-\s]\d{4}\b`, ''],
+    ['PHONE', String.raw`(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b`, ''],
+    ['EMAIL', String.raw`\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b`, '']
+];
+
+// PHI types recognised by the built-in rules
+const BUILT_IN_TYPES = [...new Set(BUILT_IN_RULES.map(([type]) => type))];
+
+// Names of PHI types, including those of custom rules
+const PHI_TYPE = /^[A-Z][A-Z0-9_]{0,31}$/;
+
+/**
+ * Compile the built-in rules and custom rules from the config
+ * @param {Object[]} [customRules] - [{ type, pattern, flags }] where pattern is a regular expression
+ * @returns {Object[]} Rules as { type, regex }
+ * @throws {Error} If a custom rule is invalid
+ */
+function compileRules(customRules = []) {
+    const custom = customRules.map((rule, index) => {
+        if (!rule || !PHI_TYPE.test(rule.type || '')) {
+            throw new Error(`phi.rules[${index}].type must be an upper case name such as "CLAIM_ID"`);
+        }
+        if (typeof rule.pattern !== 'string' || !rule.pattern) {
+            throw new Error(`phi.rules[${index}].pattern must be a regular expression`);
+        }
+        return [rule.type, rule.pattern, String(rule.flags || '').replace(/g/g, '')];
+    });
+
+    return BUILT_IN_RULES.concat(custom).map(([type, pattern, flags], index) => {
+        try {
+            return { type, regex: new RegExp(pattern, `${flags}g`) };
+        } catch (error) {
+            throw new Error(`phi.rules[${index - BUILT_IN_RULES.length}].pattern is invalid: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * PHI types of a set of rules
+ * @param {Object[]} rules - Compiled rules
+ */
+function ruleTypes(rules) {
+    return [...new Set(rules.map((rule) => rule.type))];
+}
+
+/**
+ * Find PHI in a text
+ * @param {string} text - Transcript text
+ * @param {Object[]} rules - Compiled rules
+ * @param {string[]} types - PHI types to look for
+ * @returns {Object[]} Non-overlapping spans { type, start, end }, in text order
+ */
+function detectPhi(text, rules, types) {
+    const found = [];
+    rules.filter((rule) => types.includes(rule.type)).forEach((rule) => {
+        rule.regex.lastIndex = 0;
+        let match;
+        while ((match = rule.regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                rule.regex.lastIndex++;
+                continue;
+            }
+            const value = match[1] !== undefined ? match[1] : match[0];
+            const start = match.index + (match[1] !== undefined ? match[0].indexOf(match[1]) : 0);
+            found.push({ type: rule.type, start, end: start + value.length });
+        }
+    });
+
+    // Where spans overlap the earliest wins, then the longest
+    found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const spans = [];
+    found.forEach((span) => {
+        if (spans.length === 0 || span.start >= spans[spans.length - 1].end) {
+            spans.push(span);
+        }
+    });
+    return spans;
+}
+
+/**
+ * Replace PHI spans with [TYPE] placeholders
+ * @param {string} text - Transcript text
+ * @param {Object[]} spans - Spans from detectPhi()
+ * @returns {{text: string, phi: Object[]}} Redacted text and the spans of its placeholders
+ */
+function redact(text, spans) {
+    let redacted = '';
+    let position = 0;
+    const phi = spans.map((span) => {
+        redacted += text.slice(position, span.start);
+        const placeholder = `[${span.type}]`;
+        const start = redacted.length;
+        redacted += placeholder;
+        position = span.end;
+        return { type: span.type, start, end: start + placeholder.length };
+    });
+    return { text: redacted + text.slice(position), phi };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile vocabulary terms into replacements
+ * @param {Object[]} terms - [{ phrase, soundsLike, displayAs }]
+ * @returns {Object[]} Replacements as { regex, replacement }
+ */
+function compileVocabulary(terms) {
+    return terms.map((term) => {
+        // Longer variants first, so "metro pro lol" wins over "metro"
+        const variants = [term.phrase, ...(term.soundsLike || [])]
+            .sort((a, b) => b.length - a.length)
+            .map((variant) => escapeRegExp(variant.trim()).replace(/\s+/g, '\\s+'));
+        return {
+            regex: new RegExp(`(?<![\\w'-])(?:${variants.join('|')})(?![\\w'-])`, 'giu'),
+            replacement: term.displayAs || term.phrase
+        };
+    });
+}
+
+/**
+ * Correct a text with a compiled vocabulary
+ * @param {string} text - Transcript text
+ * @param {Object[]} vocabulary - Replacements from compileVocabulary()
+ * @returns {string} Corrected text
+ */
+function applyVocabulary(text, vocabulary) {
+    return vocabulary.reduce((corrected, term) => corrected.replace(term.regex, () => term.replacement), text);
+}
+
+/**
+ * Process a transcript result
+ * @param {Object} result - Result from a transcription engine
+ * @param {Object} options - { mode, types, rules, vocabulary, isFinal } where mode is a PHI mode,
+ *   types the PHI types to find, rules the compiled rules and vocabulary compiled terms (or null)
+ * @returns {Object} Copy of the result with the processed text and its `phi` spans
+ */
+function processResult(result, options) {
+    let text = result.text || '';
+    if (options.isFinal && options.vocabulary) {
+        text = applyVocabulary(text, options.vocabulary);
+    }
+
+    if (options.mode === 'off') {
+        return { ...result, text, phi: [] };
+    }
+
+    const spans = detectPhi(text, options.rules, options.types);
+    if (options.mode === 'redact') {
+        return { ...result, ...redact(text, spans) };
+    }
+    return { ...result, text, phi: spans };
+}
+
+/**
+ * Apply the server's PHI policy to the settings a client asked for.
+ * When the policy is required, clients can only make it stricter: the mode
+ * is at least the policy's and the policy's types are always included.
+ * @param {Object} requested - { mode, types } from the client
+ * @param {Object} policy - { mode, types, required } from the config
+ * @returns {Object} Effective { mode, types }
+ */
+function applyPhiPolicy(requested, policy) {
+    if (!policy.required) {
+        return { mode: requested.mode, types: requested.types };
+    }
+    const mode = PHI_MODES[Math.max(PHI_MODES.indexOf(requested.mode), PHI_MODES.indexOf(policy.mode))];
+    return { mode, types: [...new Set(policy.types.concat(requested.types))] };
+}
+
+module.exports = {
+    PHI_MODES,
+    BUILT_IN_TYPES,
+    compileRules,
+    ruleTypes,
+    detectPhi,
+    redact,
+    compileVocabulary,
+    applyVocabulary,
+    processResult,
+    applyPhiPolicy
+};
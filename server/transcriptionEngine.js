@@ -0,0 +1,105 @@
+/**
+ * Transcription Engine Module
+ * Defines the interface every transcription engine implements and a
+ * registry used by the server to create one engine per client
+ *
+ * Engines emit the following events:
+ *   'partial' - { resultId, text, startTime, endTime }  (text may still change)
+ *   'final'   - { resultId, text, startTime, endTime, confidence, speaker }  (text is settled;
+ *               confidence (0-1) and speaker are null when the engine does not report them)
+ *   'error'   - Error
+ *   'close'   - engine stream has ended
+ */
+
+const EventEmitter = require('events');
+
+class TranscriptionEngine extends EventEmitter {
+    /**
+     * @param {Object} options - Engine specific options from audio-config.json, and
+     *   vocabularyName: the engine's custom vocabulary for the session (null for none)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.isActive = false;
+    }
+
+    /**
+     * Start a transcription stream
+     * @param {Object} format - Audio format ({ sampleRate, channels, bitDepth })
+     */
+    start(format) {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    /**
+     * Send a chunk of 16-bit little-endian PCM audio
+     * @param {Buffer} pcm - Raw PCM audio
+     */
+    sendAudio(pcm) {
+        throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+    }
+
+    /**
+     * Stop the transcription stream, flushing any final results
+     * @returns {Promise} Promise that resolves when the stream has closed
+     */
+    stop() {
+        throw new Error(`${this.constructor.name} does not implement stop()`);
+    }
+}
+
+/**
+ * Engine that discards all audio; used when transcription is disabled
+ */
+class NullEngine extends TranscriptionEngine {
+    start() {
+        this.isActive = true;
+    }
+
+    sendAudio() {
+    }
+
+    stop() {
+        this.isActive = false;
+        return Promise.resolve();
+    }
+}
+
+// Registered engine factories, keyed by name
+const engines = new Map();
+
+/**
+ * Register a transcription engine
+ * @param {string} name - Name used in the "engine" config setting
+ * @param {Function} factory - (options) => TranscriptionEngine
+ */
+function registerEngine(name, factory) {
+    engines.set(name, factory);
+}
+
+/**
+ * Create a transcription engine from config
+ * @param {Object} config - Transcription config ({ engine, ...options })
+ * @returns {TranscriptionEngine} Engine instance
+ */
+function createEngine(config = {}) {
+    const name = config.engine || 'none';
+    const factory = engines.get(name);
+
+    if (!factory) {
+        console.warn(`Unknown transcription engine "${name}", transcription disabled`);
+        return new NullEngine(config);
+    }
+
+    return factory(config);
+}
+
+registerEngine('none', (options) => new NullEngine(options));
+
+module.exports = {
+    TranscriptionEngine,
+    NullEngine,
+    registerEngine,
+    createEngine
+};
@@ -0,0 +1,269 @@
+/**
+ * User Store Module
+ * Local store of users allowed to stream audio. Users with the admin role may
+ * also use the admin API. Keys are stored as salted scrypt hashes in a JSON file
+ * (auth.usersFile):
+ *
+ *   { "users": [ { "user": "alice", "salt": "...", "keyHash": "...", "admin": false, "createdAt": "..." } ] }
+ *
+ * Clients authenticate with a token of the form "<user>:<key>".
+ *
+ * Manage users from the command line:
+ *   node server/userStore.js add <user> [--admin]   - Create a user (or replace its key) and print the key
+ *   node server/userStore.js role <user> admin|user - Give a user the admin role or take it away
+ *   node server/userStore.js remove <user>          - Remove a user
+ *   node server/userStore.js list                   - List users
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_LENGTH = 32;
+const USER_NAME = /^[\w.@-]{1,64}$/;
+
+/**
+ * Hash a key with the given salt
+ */
+function hashKey(key, salt) {
+    return crypto.scryptSync(key, Buffer.from(salt, 'hex'), KEY_LENGTH).toString('hex');
+}
+
+/**
+ * Split a "<user>:<key>" token
+ * @param {string} token - Token from a client
+ * @returns {{user: string, key: string}|null} Credentials, or null if the token is malformed
+ */
+function parseToken(token) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+    const separator = token.indexOf(':');
+    if (separator <= 0 || separator === token.length - 1) {
+        return null;
+    }
+    return { user: token.slice(0, separator), key: token.slice(separator + 1) };
+}
+
+/**
+ * Read the token from an HTTP or WebSocket upgrade request ("Authorization: Bearer <token>"
+ * header). Tokens are not accepted in the URL, where they would end up in logs and history.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token
+ */
+function tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    return header.toLowerCase().startsWith('bearer ') ? header.slice(7).trim() : null;
+}
+
+class UserStore {
+    /**
+     * @param {string} file - Path of the users file
+     */
+    constructor(file) {
+        this.file = file;
+        this.users = [];
+        this.loadedMtime = null;
+    }
+
+    /**
+     * Load the users file if it changed since it was last read
+     */
+    reload() {
+        let mtime;
+        try {
+            mtime = fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            this.users = [];
+            this.loadedMtime = null;
+            return;
+        }
+
+        if (mtime === this.loadedMtime) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.users = Array.isArray(data.users) ? data.users : [];
+            this.loadedMtime = mtime;
+        } catch (error) {
+            console.error(`[Auth] Cannot read users file ${this.file}:`, error.message);
+            this.users = [];
+            this.loadedMtime = null;
+        }
+    }
+
+    /**
+     * Number of configured users
+     */
+    get size() {
+        this.reload();
+        return this.users.length;
+    }
+
+    /**
+     * Check a user's key
+     * @param {string} user - User name
+     * @param {string} key - Key
+     * @returns {boolean} Whether the key is valid for the user
+     */
+    verify(user, key) {
+        if (typeof user !== 'string' || typeof key !== 'string' || !key) {
+            return false;
+        }
+
+        this.reload();
+        const entry = this.users.find((candidate) => candidate.user === user);
+        if (!entry || !entry.salt || !entry.keyHash) {
+            return false;
+        }
+
+        const expected = Buffer.from(entry.keyHash, 'hex');
+        const actual = Buffer.from(hashKey(key, entry.salt), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Check a "<user>:<key>" token
+     * @param {string} token - Token
+     * @returns {string|null} User name if the token is valid
+     */
+    verifyToken(token) {
+        const credentials = parseToken(token);
+        return credentials && this.verify(credentials.user, credentials.key) ? credentials.user : null;
+    }
+
+    /**
+     * Whether a user has the admin role
+     * @param {string|null} user - User name
+     */
+    isAdmin(user) {
+        this.reload();
+        const entry = this.users.find((candidate) => candidate.user === user);
+        return Boolean(entry && entry.admin === true);
+    }
+
+    /**
+     * Create a user, or replace the key of an existing one
+     * @param {string} user - User name
+     * @param {boolean} [admin] - Give the user the admin role (an existing user keeps its role if omitted)
+     * @returns {string} The new key (only shown once; the store keeps a hash)
+     */
+    addUser(user, admin) {
+        if (!USER_NAME.test(user || '')) {
+            throw new Error('User names may contain letters, digits, ".", "@", "_" and "-" (max 64 characters)');
+        }
+
+        this.reload();
+        const existing = this.users.find((candidate) => candidate.user === user);
+        const key = crypto.randomBytes(24).toString('base64url');
+        const salt = crypto.randomBytes(16).toString('hex');
+        const entry = {
+            user: user,
+            salt: salt,
+            keyHash: hashKey(key, salt),
+            admin: admin === undefined ? Boolean(existing && existing.admin) : admin,
+            createdAt: new Date().toISOString()
+        };
+
+        this.users = this.users.filter((candidate) => candidate.user !== user).concat(entry);
+        this.save();
+        return key;
+    }
+
+    /**
+     * Give a user the admin role or take it away
+     * @param {string} user - User name
+     * @param {boolean} admin - Whether the user is an admin
+     * @returns {boolean} Whether the user exists
+     */
+    setAdmin(user, admin) {
+        this.reload();
+        const entry = this.users.find((candidate) => candidate.user === user);
+        if (!entry) {
+            return false;
+        }
+        entry.admin = admin;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Remove a user
+     * @param {string} user - User name
+     * @returns {boolean} Whether the user existed
+     */
+    removeUser(user) {
+        this.reload();
+        const remaining = this.users.filter((candidate) => candidate.user !== user);
+        if (remaining.length === this.users.length) {
+            return false;
+        }
+        this.users = remaining;
+        this.save();
+        return true;
+    }
+
+    /**
+     * List users (without key hashes)
+     */
+    listUsers() {
+        this.reload();
+        return this.users.map((entry) => ({ user: entry.user, admin: entry.admin === true, createdAt: entry.createdAt }));
+    }
+
+    /**
+     * Write the users file (readable by the owner only)
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ users: this.users }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempFile, this.file);
+        this.loadedMtime = null;
+    }
+}
+
+// Command line user management
+if (require.main === module) {
+    const { loadConfig } = require('./config');
+    const [command, user, option] = process.argv.slice(2);
+
+    try {
+        const store = new UserStore(loadConfig([], process.env).auth.usersFile);
+
+        switch (command) {
+            case 'add': {
+                const key = store.addUser(user, option === '--admin' ? true : undefined);
+                console.log(`✓ User "${user}"${store.isAdmin(user) ? ' (admin)' : ''} saved to ${store.file}`);
+                console.log(`Token (shown once): ${user}:${key}`);
+                break;
+            }
+            case 'role':
+                if (!['admin', 'user'].includes(option)) {
+                    throw new Error('Usage: node server/userStore.js role <user> admin|user');
+                }
+                console.log(store.setAdmin(user, option === 'admin') ? `✓ User "${user}" is now ${option === 'admin' ? 'an admin' : 'a user'}` : `No user "${user}"`);
+                break;
+            case 'remove':
+                console.log(store.removeUser(user) ? `✓ User "${user}" removed` : `No user "${user}"`);
+                break;
+            case 'list':
+                store.listUsers().forEach((entry) => console.log(`${entry.user}\t${entry.admin ? 'admin' : 'user'}\t${entry.createdAt || ''}`));
+                break;
+            default:
+                console.log('Usage: node server/userStore.js add <user> [--admin] | role <user> admin|user | remove <user> | list');
+                process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    UserStore,
+    parseToken,
+    tokenFromRequest
+};
@@ -0,0 +1,276 @@
+/**
+ * Vocabulary Store Module
+ * Custom vocabularies (drug names, clinic-specific terms) kept in a JSON file
+ * (vocabulary.file):
+ *
+ *   { "vocabularies": [ { "name": "cardiology", "engineVocabulary": "cardiology-v2",
+ *                         "terms": [ { "phrase": "metoprolol", "soundsLike": ["metro pro lol"],
+ *                                      "displayAs": "Metoprolol" } ],
+ *                         "updatedAt": "..." } ] }
+ *
+ * A session uses one vocabulary. Its engineVocabulary (if set) names a vocabulary
+ * created in the transcription service (for AWS Transcribe Medical, a custom
+ * medical vocabulary) that is passed to the engine; its terms correct final
+ * transcript results (see transcriptProcessor.js).
+ *
+ * Vocabularies are managed from the server console and the admin API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compileVocabulary } = require('./transcriptProcessor');
+
+const VOCABULARY_NAME = /^[\w][\w.-]{0,63}$/;
+const ENGINE_VOCABULARY_NAME = /^[0-9a-zA-Z._-]{1,200}$/;
+const MAX_TERMS = 5000;
+const MAX_PHRASE_LENGTH = 256;
+const MAX_SOUNDS_LIKE = 20;
+
+/**
+ * Check a vocabulary name
+ * @throws {Error} If the name is invalid
+ */
+function checkName(name) {
+    if (!VOCABULARY_NAME.test(name || '')) {
+        throw new Error(`Invalid vocabulary name "${name}" (letters, digits, "_", "." and "-", up to 64 characters)`);
+    }
+}
+
+/**
+ * Check a phrase (or sounds-like variant) of a term
+ */
+function checkPhrase(phrase, field) {
+    if (typeof phrase !== 'string' || !phrase.trim()) {
+        throw new Error(`${field} must be a non-empty string`);
+    }
+    if (phrase.length > MAX_PHRASE_LENGTH) {
+        throw new Error(`${field} is longer than ${MAX_PHRASE_LENGTH} characters`);
+    }
+    return phrase.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Check the terms of a vocabulary
+ * @param {*} terms - Terms as given to the API or console
+ * @returns {Object[]} Terms as { phrase, soundsLike, displayAs }
+ * @throws {Error} If the terms are invalid
+ */
+function validateTerms(terms) {
+    if (!Array.isArray(terms)) {
+        throw new Error('terms must be an array');
+    }
+    if (terms.length > MAX_TERMS) {
+        throw new Error(`A vocabulary may have at most ${MAX_TERMS} terms`);
+    }
+
+    return terms.map((term, index) => {
+        const field = `terms[${index}]`;
+        if (typeof term === 'string') {
+            term = { phrase: term };
+        }
+        if (!term || typeof term !== 'object') {
+            throw new Error(`${field} must be a phrase or an object with a phrase`);
+        }
+
+        const soundsLike = term.soundsLike === undefined ? [] : term.soundsLike;
+        if (!Array.isArray(soundsLike) || soundsLike.length > MAX_SOUNDS_LIKE) {
+            throw new Error(`${field}.soundsLike must be an array of at most ${MAX_SOUNDS_LIKE} phrases`);
+        }
+
+        return {
+            phrase: checkPhrase(term.phrase, `${field}.phrase`),
+            soundsLike: soundsLike.map((variant, variantIndex) => checkPhrase(variant, `${field}.soundsLike[${variantIndex}]`)),
+            displayAs: term.displayAs ? checkPhrase(term.displayAs, `${field}.displayAs`) : null
+        };
+    });
+}
+
+class VocabularyStore {
+    /**
+     * @param {string} file - Path of the vocabularies file
+     */
+    constructor(file) {
+        this.file = file;
+        this.vocabularies = [];
+        this.loadedMtime = null;
+        // Compiled terms by vocabulary name, rebuilt when the file changes
+        this.compiled = new Map();
+    }
+
+    /**
+     * Load the vocabularies file if it changed since it was last read
+     */
+    reload() {
+        let mtime;
+        try {
+            mtime = fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            this.vocabularies = [];
+            this.loadedMtime = null;
+            this.compiled.clear();
+            return;
+        }
+
+        if (mtime === this.loadedMtime) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.vocabularies = Array.isArray(data.vocabularies) ? data.vocabularies : [];
+            this.loadedMtime = mtime;
+        } catch (error) {
+            console.error(`[Vocabulary] Cannot read vocabularies file ${this.file}:`, error.message);
+            this.vocabularies = [];
+            this.loadedMtime = null;
+        }
+        this.compiled.clear();
+    }
+
+    /**
+     * Names of the vocabularies
+     */
+    names() {
+        this.reload();
+        return this.vocabularies.map((vocabulary) => vocabulary.name);
+    }
+
+    /**
+     * List vocabularies (without their terms)
+     */
+    list() {
+        this.reload();
+        return this.vocabularies.map((vocabulary) => ({
+            name: vocabulary.name,
+            engineVocabulary: vocabulary.engineVocabulary || null,
+            termCount: (vocabulary.terms || []).length,
+            updatedAt: vocabulary.updatedAt || null
+        }));
+    }
+
+    /**
+     * Get a vocabulary
+     * @param {string} name - Vocabulary name
+     * @returns {Object|null} Vocabulary, or null if there is none by that name
+     */
+    get(name) {
+        this.reload();
+        return this.vocabularies.find((vocabulary) => vocabulary.name === name) || null;
+    }
+
+    /**
+     * Compiled terms of a vocabulary, for transcriptProcessor.applyVocabulary()
+     * @param {string} name - Vocabulary name
+     * @returns {Object[]|null} Compiled terms, or null if there is no such vocabulary
+     */
+    getCompiled(name) {
+        const vocabulary = this.get(name);
+        if (!vocabulary) {
+            return null;
+        }
+        if (!this.compiled.has(name)) {
+            try {
+                this.compiled.set(name, compileVocabulary(validateTerms(vocabulary.terms || [])));
+            } catch (error) {
+                console.error(`[Vocabulary] Vocabulary "${name}" is invalid:`, error.message);
+                this.compiled.set(name, []);
+            }
+        }
+        return this.compiled.get(name);
+    }
+
+    /**
+     * Create or replace a vocabulary
+     * @param {string} name - Vocabulary name
+     * @param {Object} definition - { terms, engineVocabulary }
+     * @returns {Object} The saved vocabulary
+     * @throws {Error} If the name or definition is invalid
+     */
+    save(name, definition) {
+        checkName(name);
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('A vocabulary must be an object with terms');
+        }
+        const engineVocabulary = definition.engineVocabulary || null;
+        if (engineVocabulary !== null && !ENGINE_VOCABULARY_NAME.test(engineVocabulary)) {
+            throw new Error(`Invalid engine vocabulary name "${engineVocabulary}"`);
+        }
+
+        const vocabulary = {
+            name: name,
+            engineVocabulary: engineVocabulary,
+            terms: validateTerms(definition.terms),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.reload();
+        this.vocabularies = this.vocabularies.filter((candidate) => candidate.name !== name).concat(vocabulary);
+        this.write();
+        return vocabulary;
+    }
+
+    /**
+     * Add a term to a vocabulary (created if missing), replacing a term with the same phrase (ignoring case)
+     * @param {string} name - Vocabulary name
+     * @param {Object} term - { phrase, soundsLike, displayAs }
+     * @returns {Object} The saved vocabulary
+     */
+    addTerm(name, term) {
+        const existing = this.get(name);
+        const phrase = String(term.phrase || '').trim().toLowerCase();
+        const terms = existing ? existing.terms.filter((candidate) => candidate.phrase.toLowerCase() !== phrase) : [];
+        return this.save(name, {
+            engineVocabulary: existing ? existing.engineVocabulary : null,
+            terms: terms.concat(term)
+        });
+    }
+
+    /**
+     * Remove a term from a vocabulary
+     * @param {string} name - Vocabulary name
+     * @param {string} phrase - Phrase of the term
+     * @returns {boolean} Whether the term existed
+     */
+    removeTerm(name, phrase) {
+        const existing = this.get(name);
+        if (!existing) {
+            return false;
+        }
+        const terms = existing.terms.filter((candidate) => candidate.phrase.toLowerCase() !== phrase.toLowerCase());
+        if (terms.length === existing.terms.length) {
+            return false;
+        }
+        this.save(name, { engineVocabulary: existing.engineVocabulary, terms });
+        return true;
+    }
+
+    /**
+     * Delete a vocabulary
+     * @param {string} name - Vocabulary name
+     * @returns {boolean} Whether the vocabulary existed
+     */
+    remove(name) {
+        this.reload();
+        const remaining = this.vocabularies.filter((vocabulary) => vocabulary.name !== name);
+        if (remaining.length === this.vocabularies.length) {
+            return false;
+        }
+        this.vocabularies = remaining;
+        this.write();
+        return true;
+    }
+
+    /**
+     * Write the vocabularies file
+     */
+    write() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ vocabularies: this.vocabularies }, null, 2));
+        fs.renameSync(tempFile, this.file);
+        this.loadedMtime = null;
+        this.compiled.clear();
+    }
+}
+
+module.exports = VocabularyStore;
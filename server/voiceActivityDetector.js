@@ -0,0 +1,203 @@
+/**
+ * Voice Activity Detector Module
+ * Energy-based VAD with an adaptive noise floor. Splits a stream of
+ * 16-bit PCM into utterances and tags audio as speech or silence.
+ *
+ * Events:
+ *   'speechStart' - { utteranceId, startTime }           (seconds of stream audio)
+ *   'speechEnd'   - { utteranceId, startTime, endTime }
+ *
+ * process() returns the audio to keep when trimming silence: speech plus
+ * a short pre-roll before each utterance and the hangover after it.
+ * keptSpans then tells where that audio was in the stream.
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_OPTIONS = {
+    frameMs: 20,
+    // Speech must be this many dB above the noise floor...
+    thresholdDb: 12,
+    // ...and louder than this absolute level (dBFS)
+    minSpeechDb: -50,
+    // Consecutive speech needed to start an utterance
+    minSpeechMs: 150,
+    // Silence needed to end an utterance
+    hangoverMs: 600,
+    // Audio kept before the detected start of an utterance
+    prerollMs: 300
+};
+
+class VoiceActivityDetector extends EventEmitter {
+    /**
+     * @param {Object} format - Canonical audio format ({ sampleRate, channels }), 16-bit PCM
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS ("vad" in audio-config.json)
+     */
+    constructor(format, options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.sampleRate = format.sampleRate;
+        this.frameBytes = Math.round(format.sampleRate * this.options.frameMs / 1000) * format.channels * 2;
+        this.bytesPerSecond = format.sampleRate * format.channels * 2;
+
+        this.remainder = Buffer.alloc(0);
+        this.processedBytes = 0;
+        this.noiseFloorDb = -60;
+
+        this.isSpeech = false;
+        this.speechRunMs = 0;
+        this.silenceRunMs = 0;
+        this.candidateStartBytes = 0;
+        this.lastSpeechEndBytes = 0;
+        this.utteranceId = 0;
+        this.utteranceStart = 0;
+
+        // Recent frames held while silent: the frames that trigger detection plus the pre-roll before them
+        this.prerollFrames = [];
+        // Stream times ({ startTime, endTime } in seconds) of the audio the last process() call kept
+        this.keptSpans = [];
+        this.maxPrerollFrames = Math.ceil((this.options.prerollMs + this.options.minSpeechMs) / this.options.frameMs);
+    }
+
+    /**
+     * Level of a frame in dBFS
+     */
+    frameLevelDb(frame) {
+        let sum = 0;
+        const samples = frame.length / 2;
+        for (let i = 0; i < frame.length; i += 2) {
+            const sample = frame.readInt16LE(i) / 32768;
+            sum += sample * sample;
+        }
+        const rms = Math.sqrt(sum / samples);
+        return rms > 0 ? 20 * Math.log10(rms) : -100;
+    }
+
+    /**
+     * Analyze a chunk of audio
+     * @param {Buffer} buffer - 16-bit PCM in the canonical format
+     * @returns {Buffer[]} Audio to keep when trimming silence
+     */
+    process(buffer) {
+        const data = this.remainder.length > 0 ? Buffer.concat([this.remainder, buffer]) : buffer;
+        const keep = [];
+        this.keptSpans = [];
+        let offset = 0;
+
+        while (offset + this.frameBytes <= data.length) {
+            const frame = data.subarray(offset, offset + this.frameBytes);
+            this.processFrame(frame, keep);
+            offset += this.frameBytes;
+        }
+
+        this.remainder = Buffer.from(data.subarray(offset));
+        return keep;
+    }
+
+    /**
+     * Classify one frame and advance the speech/silence state machine
+     */
+    processFrame(frame, keep) {
+        const frameStartBytes = this.processedBytes;
+        this.processedBytes += frame.length;
+
+        const levelDb = this.frameLevelDb(frame);
+        const isLoud = levelDb > Math.max(this.noiseFloorDb + this.options.thresholdDb, this.options.minSpeechDb);
+
+        // Track the noise floor: follow quiet frames down quickly, drift up slowly outside speech
+        if (levelDb < this.noiseFloorDb) {
+            this.noiseFloorDb = Math.max(-90, levelDb);
+        } else if (!this.isSpeech && !isLoud) {
+            this.noiseFloorDb += (levelDb - this.noiseFloorDb) * 0.05;
+        }
+
+        if (!this.isSpeech) {
+            this.prerollFrames.push(Buffer.from(frame));
+            if (this.prerollFrames.length > this.maxPrerollFrames) {
+                this.prerollFrames.shift();
+            }
+
+            if (isLoud) {
+                if (this.speechRunMs === 0) {
+                    this.candidateStartBytes = frameStartBytes;
+                }
+                this.speechRunMs += this.options.frameMs;
+            } else {
+                this.speechRunMs = 0;
+            }
+
+            if (this.speechRunMs >= this.options.minSpeechMs) {
+                this.isSpeech = true;
+                this.silenceRunMs = 0;
+                this.utteranceId++;
+                this.utteranceStart = this.candidateStartBytes / this.bytesPerSecond;
+                this.lastSpeechEndBytes = this.processedBytes;
+
+                // Pre-roll includes the frames that triggered detection
+                keep.push(...this.prerollFrames);
+                this.markKept(this.processedBytes - this.prerollFrames.length * this.frameBytes, this.processedBytes);
+                this.prerollFrames = [];
+
+                this.emit('speechStart', {
+                    utteranceId: this.utteranceId,
+                    startTime: this.utteranceStart
+                });
+            }
+            return;
+        }
+
+        keep.push(frame);
+        this.markKept(frameStartBytes, this.processedBytes);
+
+        if (isLoud) {
+            this.silenceRunMs = 0;
+            this.lastSpeechEndBytes = this.processedBytes;
+            return;
+        }
+
+        this.silenceRunMs += this.options.frameMs;
+        if (this.silenceRunMs >= this.options.hangoverMs) {
+            this.endUtterance();
+        }
+    }
+
+    /**
+     * Add kept audio to keptSpans, extending the last span when it continues it
+     * @param {number} startBytes - Stream position of the start of the audio
+     * @param {number} endBytes - Stream position of its end
+     */
+    markKept(startBytes, endBytes) {
+        const startTime = startBytes / this.bytesPerSecond;
+        const last = this.keptSpans[this.keptSpans.length - 1];
+        if (last && last.endTime === startTime) {
+            last.endTime = endBytes / this.bytesPerSecond;
+        } else {
+            this.keptSpans.push({ startTime, endTime: endBytes / this.bytesPerSecond });
+        }
+    }
+
+    /**
+     * Close the current utterance
+     */
+    endUtterance() {
+        this.isSpeech = false;
+        this.speechRunMs = 0;
+        this.silenceRunMs = 0;
+        this.emit('speechEnd', {
+            utteranceId: this.utteranceId,
+            startTime: this.utteranceStart,
+            endTime: this.lastSpeechEndBytes / this.bytesPerSecond
+        });
+    }
+
+    /**
+     * End any open utterance (call when the stream stops)
+     */
+    flush() {
+        if (this.isSpeech) {
+            this.endUtterance();
+        }
+    }
+}
+
+module.exports = VoiceActivityDetector;
@@ -0,0 +1,327 @@
+/**
+ * WAV File Utilities
+ * Header creation, in-place header patching for recordings and crash
+ * recovery for WAV files whose headers were never finalized (e.g. the
+ * server died mid-recording)
+ *
+ * Headers can reserve space for an RF64 ds64 chunk (as a JUNK chunk) so a
+ * file that grows past 4 GB can be converted to RF64 in place when it is
+ * finalized.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isSealed, openReader } = require('./recordingEncryption');
+
+const RIFF_SIZE_OFFSET = 4;
+// Size of the ds64 chunk body: riff size, data size, sample count (64-bit) + table length
+const DS64_SIZE = 28;
+// Largest size a 32-bit RIFF/data size field can hold
+const MAX_UINT32 = 0xFFFFFFFF;
+// fmt chunk format tag of 32-bit float samples
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+/**
+ * Build a WAV header for 16/24/32-bit integer PCM
+ * @param {Object} format - { sampleRate, channels, bitDepth }
+ * @param {boolean} reserveRf64 - Reserve a JUNK chunk that can become ds64
+ * @returns {Buffer} Header with zero sizes (patched when the file is finalized)
+ */
+function buildWavHeader(format, reserveRf64 = false) {
+    const bytesPerSample = format.bitDepth / 8;
+    const byteRate = format.sampleRate * format.channels * bytesPerSample;
+    const blockAlign = format.channels * bytesPerSample;
+    const junkSize = reserveRf64 ? 8 + DS64_SIZE : 0;
+    const header = Buffer.alloc(44 + junkSize);
+    let offset = 0;
+
+    // RIFF header
+    header.write('RIFF', offset, 'ascii');
+    header.writeUInt32LE(36 + junkSize, offset + 4);
+    header.write('WAVE', offset + 8, 'ascii');
+    offset += 12;
+
+    // Placeholder for ds64 (left zero-filled)
+    if (reserveRf64) {
+        header.write('JUNK', offset, 'ascii');
+        header.writeUInt32LE(DS64_SIZE, offset + 4);
+        offset += junkSize;
+    }
+
+    // fmt chunk
+    header.write('fmt ', offset, 'ascii');
+    header.writeUInt32LE(16, offset + 4); // fmt chunk size
+    header.writeUInt16LE(1, offset + 8); // audio format (1 = PCM)
+    header.writeUInt16LE(format.channels, offset + 10);
+    header.writeUInt32LE(format.sampleRate, offset + 12);
+    header.writeUInt32LE(byteRate, offset + 16);
+    header.writeUInt16LE(blockAlign, offset + 20);
+    header.writeUInt16LE(format.bitDepth, offset + 22);
+    offset += 24;
+
+    // data chunk
+    header.write('data', offset, 'ascii');
+    header.writeUInt32LE(0, offset + 4);
+
+    return header;
+}
+
+/**
+ * Read function over an open file descriptor, for readWavLayout
+ */
+function fdReader(fd) {
+    return (buffer, position) => fs.readSync(fd, buffer, 0, buffer.length, position);
+}
+
+/**
+ * Locate the fmt and data chunks of a WAV file
+ * @param {Function} read - read(buffer, position) fills buffer from the file at position
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {Object|null} { isRf64, format, blockAlign, ds64Offset, dataSizeOffset, dataOffset,
+ *                          declaredDataSize, declaredRiffSize } or null if not a WAV file
+ */
+function readWavLayout(read, fileSize) {
+    if (fileSize < 12) {
+        return null;
+    }
+
+    const riff = Buffer.alloc(12);
+    read(riff, 0);
+    const magic = riff.toString('ascii', 0, 4);
+    if ((magic !== 'RIFF' && magic !== 'RF64') || riff.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+
+    const layout = {
+        isRf64: magic === 'RF64',
+        declaredRiffSize: riff.readUInt32LE(RIFF_SIZE_OFFSET),
+        blockAlign: 0,
+        // Offset of a JUNK or ds64 chunk that can hold 64-bit sizes
+        ds64Offset: null,
+        format: null
+    };
+    const chunkHeader = Buffer.alloc(8);
+    let offset = 12;
+
+    // Walk the chunk list until the data chunk is found
+    while (offset + 8 <= fileSize) {
+        read(chunkHeader, offset);
+        const chunkId = chunkHeader.toString('ascii', 0, 4);
+        const chunkSize = chunkHeader.readUInt32LE(4);
+
+        if ((chunkId === 'JUNK' || chunkId === 'ds64') && offset === 12 && chunkSize >= DS64_SIZE) {
+            layout.ds64Offset = offset;
+            if (chunkId === 'ds64') {
+                const ds64 = Buffer.alloc(16);
+                read(ds64, offset + 8);
+                layout.declaredRiffSize = Number(ds64.readBigUInt64LE(0));
+                layout.declaredDataSize64 = Number(ds64.readBigUInt64LE(8));
+            }
+        } else if (chunkId === 'fmt ') {
+            const fmt = Buffer.alloc(16);
+            read(fmt, offset + 8);
+            layout.blockAlign = fmt.readUInt16LE(12);
+            layout.floatingPoint = fmt.readUInt16LE(0) === WAVE_FORMAT_IEEE_FLOAT;
+            layout.format = {
+                channels: fmt.readUInt16LE(2),
+                sampleRate: fmt.readUInt32LE(4),
+                bitDepth: fmt.readUInt16LE(14)
+            };
+        } else if (chunkId === 'data') {
+            layout.dataSizeOffset = offset + 4;
+            layout.dataOffset = offset + 8;
+            layout.declaredDataSize = layout.isRf64 && chunkSize === MAX_UINT32
+                ? layout.declaredDataSize64
+                : chunkSize;
+            return layout.blockAlign > 0 ? layout : null;
+        }
+
+        offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+}
+
+/**
+ * Write the RIFF and data chunk sizes of a WAV file in place.
+ * Files too large for 32-bit sizes are converted to RF64 when space for
+ * a ds64 chunk was reserved.
+ * @param {number} fd - File descriptor opened for writing
+ * @param {Object} layout - Layout from readWavLayout
+ * @param {number} dataSize - Data chunk size in bytes
+ * @returns {boolean} Whether the sizes could be represented
+ */
+function writeSizes(fd, layout, dataSize) {
+    const riffSize = layout.dataOffset + dataSize - 8;
+    const value = Buffer.alloc(4);
+
+    if (riffSize <= MAX_UINT32 && !layout.isRf64) {
+        value.writeUInt32LE(riffSize, 0);
+        fs.writeSync(fd, value, 0, 4, RIFF_SIZE_OFFSET);
+        value.writeUInt32LE(dataSize, 0);
+        fs.writeSync(fd, value, 0, 4, layout.dataSizeOffset);
+        return true;
+    }
+
+    if (layout.ds64Offset === null) {
+        return false;
+    }
+
+    // RF64: 32-bit fields are set to 0xFFFFFFFF and the real sizes live in ds64
+    const ds64 = Buffer.alloc(8 + DS64_SIZE);
+    ds64.write('ds64', 0, 'ascii');
+    ds64.writeUInt32LE(DS64_SIZE, 4);
+    ds64.writeBigUInt64LE(BigInt(riffSize), 8);
+    ds64.writeBigUInt64LE(BigInt(dataSize), 16);
+    ds64.writeBigUInt64LE(BigInt(Math.floor(dataSize / layout.blockAlign)), 24);
+    ds64.writeUInt32LE(0, 32); // table length
+    fs.writeSync(fd, ds64, 0, ds64.length, layout.ds64Offset);
+
+    fs.writeSync(fd, Buffer.from('RF64', 'ascii'), 0, 4, 0);
+    value.writeUInt32LE(MAX_UINT32, 0);
+    fs.writeSync(fd, value, 0, 4, RIFF_SIZE_OFFSET);
+    fs.writeSync(fd, value, 0, 4, layout.dataSizeOffset);
+    layout.isRf64 = true;
+    return true;
+}
+
+/**
+ * Finalize a WAV file by patching its header sizes in place
+ * @param {string} file - Path to the WAV file
+ * @returns {number} Size of the audio data in bytes
+ */
+function finalizeWavHeader(file) {
+    const fd = fs.openSync(file, 'r+');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const layout = readWavLayout(fdReader(fd), fileSize);
+        if (!layout) {
+            throw new Error(`${path.basename(file)} is not a valid WAV file`);
+        }
+
+        const dataSize = Math.max(0, fileSize - layout.dataOffset);
+        if (dataSize > 0 && !writeSizes(fd, layout, dataSize)) {
+            console.error(`${path.basename(file)} exceeds 4 GB and has no space reserved for RF64 sizes`);
+        }
+        return dataSize;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Read format and size information from a WAV file (sealed files are read through their plaintext)
+ * @param {string} file - Path to the WAV file
+ * @returns {Object|null} { format, floatingPoint, dataOffset, dataSize, duration (seconds), isRf64, sealed }
+ *                        or null if not a WAV file
+ */
+function readWavInfo(file) {
+    const reader = openReader(file);
+    try {
+        const fileSize = reader.size;
+        const layout = readWavLayout(reader.read, fileSize);
+        if (!layout) {
+            return null;
+        }
+        // Unfinalized files declare zero bytes; fall back to what is on disk
+        const available = fileSize - layout.dataOffset;
+        const dataSize = layout.declaredDataSize > 0 ? Math.min(layout.declaredDataSize, available) : available;
+        return {
+            format: layout.format,
+            floatingPoint: layout.floatingPoint,
+            dataOffset: layout.dataOffset,
+            dataSize: dataSize,
+            duration: dataSize / layout.blockAlign / layout.format.sampleRate,
+            isRf64: layout.isRf64,
+            sealed: reader.sealed
+        };
+    } finally {
+        reader.close();
+    }
+}
+
+/**
+ * Check a WAV file and repair its header if it does not match the file contents.
+ * A trailing partial sample frame is truncated.
+ * @param {string} file - Path to the WAV file
+ * @returns {{status: string, dataSize?: number}} status is 'ok', 'repaired', 'empty' or 'invalid'
+ */
+function repairWavFile(file) {
+    const fd = fs.openSync(file, 'r+');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const layout = readWavLayout(fdReader(fd), fileSize);
+        if (!layout) {
+            return { status: 'invalid' };
+        }
+
+        const available = fileSize - layout.dataOffset;
+        const dataSize = available - (available % layout.blockAlign);
+        if (dataSize <= 0) {
+            return { status: 'empty', dataSize: 0 };
+        }
+
+        const riffSize = layout.dataOffset + dataSize - 8;
+        if (layout.declaredDataSize === dataSize && layout.declaredRiffSize === riffSize && dataSize === available) {
+            return { status: 'ok', dataSize };
+        }
+
+        if (dataSize !== available) {
+            fs.ftruncateSync(fd, layout.dataOffset + dataSize);
+        }
+        if (!writeSizes(fd, layout, dataSize)) {
+            return { status: 'invalid' };
+        }
+        return { status: 'repaired', dataSize };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Scan a recordings directory and repair any unfinalized or truncated WAV files
+ * @param {string} dir - Recordings directory
+ * @returns {Object} Counts of files by status
+ */
+function repairRecordings(dir) {
+    const summary = { ok: 0, repaired: 0, empty: 0, invalid: 0 };
+
+    if (!fs.existsSync(dir)) {
+        return summary;
+    }
+
+    fs.readdirSync(dir)
+        .filter((name) => name.toLowerCase().endsWith('.wav'))
+        .forEach((name) => {
+            const file = path.join(dir, name);
+            try {
+                // Only complete files are sealed
+                if (isSealed(file)) {
+                    summary.ok++;
+                    return;
+                }
+                const result = repairWavFile(file);
+                summary[result.status]++;
+                if (result.status === 'repaired') {
+                    console.log(`[Recovery] Repaired ${name} (${(result.dataSize / 1024).toFixed(2)} KB of audio)`);
+                } else if (result.status === 'invalid') {
+                    console.log(`[Recovery] ${name} is not a valid WAV file, skipped`);
+                } else if (result.status === 'empty') {
+                    console.log(`[Recovery] ${name} contains no audio data`);
+                }
+            } catch (error) {
+                summary.invalid++;
+                console.error(`[Recovery] Error checking ${name}:`, error.message);
+            }
+        });
+
+    return summary;
+}
+
+module.exports = {
+    buildWavHeader,
+    finalizeWavHeader,
+    readWavInfo,
+    repairWavFile,
+    repairRecordings
+};
@@ -1,14 +1,34 @@
 import { Component } from '@angular/core';
 import { CommonModule } from '@angular/common';
-import { TranscriptionComponent } from './transcription/transcription.component';
+import { FormsModule } from '@angular/forms';
+import { RouterLink, RouterLinkActive, RouterOutlet } from '@angular/router';
+import { AuthService } from './auth.service';
+import { WebSocketService } from './websocket.service';
 
 @Component({
   selector: 'app-root',
   standalone: true,
-  imports: [CommonModule, TranscriptionComponent],
+  imports: [CommonModule, FormsModule, RouterOutlet, RouterLink, RouterLinkActive],
   templateUrl: './app.component.html',
   styleUrls: ['./app.component.css']
 })
 export class AppComponent {
-}
+  user = '';
+  key = '';
+
+  constructor(
+    public authService: AuthService,
+    private wsService: WebSocketService
+  ) {}
 
+  signIn(): void {
+    this.authService.setCredentials({ user: this.user.trim(), key: this.key.trim() });
+    this.key = '';
+  }
+
+  signOut(): void {
+    // A connection authenticated with the old credentials must not outlive them
+    this.wsService.disconnect();
+    this.authService.setCredentials(null);
+  }
+}
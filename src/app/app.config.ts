@@ -0,0 +1,18 @@
+import { APP_INITIALIZER, ApplicationConfig } from '@angular/core';
+import { provideRouter } from '@angular/router';
+import { provideHttpClient } from '@angular/common/http';
+import { routes } from './app.routes';
+import { RuntimeConfigService } from './runtime-config.service';
+
+export const appConfig: ApplicationConfig = {
+  providers: [
+    provideRouter(routes),
+    provideHttpClient(),
+    {
+      provide: APP_INITIALIZER,
+      useFactory: (runtimeConfig: RuntimeConfigService) => () => runtimeConfig.load(),
+      deps: [RuntimeConfigService],
+      multi: true
+    }
+  ]
+};
@@ -0,0 +1,9 @@
+import { Routes } from '@angular/router';
+import { TranscriptionComponent } from './transcription/transcription.component';
+import { RecordingsComponent } from './recordings/recordings.component';
+
+export const routes: Routes = [
+  { path: '', component: TranscriptionComponent, title: 'Live Transcription' },
+  { path: 'recordings', component: RecordingsComponent, title: 'Recordings' },
+  { path: '**', redirectTo: '' }
+];
@@ -2,105 +2,445 @@ import { Injectable } from '@angular/core';
 import { BehaviorSubject, Observable } from 'rxjs';
 import { WebSocketService } from './websocket.service';
 import audioConfig from '../../audio-config.json';
+import { encodeEventStreamMessage } from './event-stream';
+import { Resampler } from './resampler';
+import { MicrophoneSettings, MicrophoneSettingsService } from './microphone-settings.service';
 
 export interface AudioPacket {
   headers: {
     ':message-type': string;
     ':event-type': string;
     ':content-type': string;
+    'sequence-number': string;
   };
   payload: string; // Base64 encoded PCM audio
 }
 
+// Input level of a chunk of captured audio
+export interface AudioLevel {
+  rms: number; // 0..1
+  peak: number; // 0..1
+  rmsDb: number; // dBFS, MIN_LEVEL_DB for digital silence
+  peakDb: number;
+  clipping: boolean; // samples reached inputMonitor.clipLevel
+}
+
+// Problems with the microphone input worth telling the user about
+export type InputWarning = 'silence' | 'clipping';
+
+// Floor for levels in dBFS (digital silence would be -Infinity)
+export const MIN_LEVEL_DB = -100;
+
+// A captured frame kept until the server acknowledges it
+interface PendingPacket {
+  sequence: number;
+  pcm: Int16Array;
+}
+
 @Injectable({
   providedIn: 'root'
 })
 export class AudioService {
   private mediaStream: MediaStream | null = null;
   private audioContext: AudioContext | null = null;
-  private processor: ScriptProcessorNode | null = null;
+  private processor: AudioWorkletNode | ScriptProcessorNode | null = null;
   private source: MediaStreamAudioSourceNode | null = null;
+  private resampler: Resampler | null = null;
+  private frameBuffer = new Float32Array(0);
+  private frameOffset = 0;
+  private usingWorklet = false;
   private isRecording = false;
 
+  // Packets are numbered so that, after a dropped connection, the server can resume the
+  // session and drop anything it already received when unacknowledged packets are replayed
+  private sequence = 0;
+  private lastSentSequence = 0;
+  private pending: PendingPacket[] = [];
+  private droppedWhileBuffering = 0;
+
+  // Input monitoring: levels of the raw captured audio, and warnings when it is silent or clipping
+  private readonly inputMonitor = audioConfig.inputMonitor;
+  private silentMs = 0;
+  private clipHoldMs = 0;
+  private levelSubject = new BehaviorSubject<AudioLevel | null>(null);
+  public level$: Observable<AudioLevel | null> = this.levelSubject.asObservable();
+  private inputWarningSubject = new BehaviorSubject<InputWarning | null>(null);
+  public inputWarning$: Observable<InputWarning | null> = this.inputWarningSubject.asObservable();
+
+  // Mute and push-to-talk: while not transmitting, silence is sent in place of the input,
+  // so the connection, server session, transcription stream and recording carry on
+  private muted = false;
+  private talking = false;
+  private transmittingSubject = new BehaviorSubject<boolean>(true);
+  public transmitting$: Observable<boolean> = this.transmittingSubject.asObservable();
+  private appliedSettings: MicrophoneSettings | null = null;
+
+  private static readonly WORKLET_URL = 'assets/audio-capture.worklet.js';
+
   private readonly sampleRate = audioConfig.sampleRate;
   private readonly channels = audioConfig.channels;
   private readonly bitsPerSample = audioConfig.bitDepth;
+  private readonly frameDurationMs = audioConfig.frameDurationMs;
+  // Samples per packet at the configured rate
+  private readonly frameSize = Math.round(this.sampleRate * this.frameDurationMs / 1000);
+  // Most audio kept for replay while the connection is down
+  private readonly maxPendingPackets = Math.ceil(audioConfig.replayBufferSeconds * 1000 / this.frameDurationMs);
 
-  constructor(private wsService: WebSocketService) {}
+  constructor(
+    private wsService: WebSocketService,
+    private settingsService: MicrophoneSettingsService
+  ) {
+    this.settingsService.settings$.subscribe(settings => {
+      const previous = this.appliedSettings;
+      this.appliedSettings = settings;
+      this.updateTransmitting();
+      // The device and processing constraints are fixed when the stream is opened
+      if (previous && this.mediaStream && this.inputChanged(previous, settings)) {
+        this.restartMicrophone();
+      }
+    });
+    this.wsService.ack$.subscribe(message => this.acknowledge(message.sequence));
+    this.wsService.welcome$.subscribe(message => {
+      // A resumed session already has everything up to lastSequence; a new one gets the whole buffer
+      if (message.resumed && message.lastSequence !== null) {
+        this.acknowledge(message.lastSequence);
+      }
+      this.replayPending();
+    });
+  }
 
   async requestMicrophoneAccess(): Promise<MediaStream> {
     if (this.mediaStream) {
       return this.mediaStream;
     }
 
+    const settings = this.settingsService.settings;
+    const constraints: MediaTrackConstraints = {
+      sampleRate: this.sampleRate,
+      channelCount: this.channels,
+      echoCancellation: settings.echoCancellation,
+      noiseSuppression: settings.noiseSuppression,
+      autoGainControl: settings.autoGainControl
+    };
+    if (settings.deviceId) {
+      constraints.deviceId = { exact: settings.deviceId };
+    }
+
     try {
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          sampleRate: this.sampleRate,
-          channelCount: this.channels,
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
-        }
-      });
+      this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
       return this.mediaStream;
     } catch (error) {
+      // The remembered device may have been unplugged; use the default one instead
+      const name = (error as Error)?.name;
+      if (settings.deviceId && (name === 'OverconstrainedError' || name === 'NotFoundError')) {
+        console.warn('Selected microphone is not available, using the default device');
+        delete constraints.deviceId;
+        this.mediaStream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+        return this.mediaStream;
+      }
       console.error('Microphone access denied:', error);
       throw error;
     }
   }
 
-  startAudioCapture(): void {
+  // Audio inputs; labels are empty until microphone access has been granted
+  async listInputDevices(): Promise<MediaDeviceInfo[]> {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'audioinput');
+  }
+
+  get isMuted(): boolean {
+    return this.muted;
+  }
+
+  setMuted(muted: boolean): void {
+    this.muted = muted;
+    this.updateTransmitting();
+  }
+
+  // Push-to-talk key pressed or released
+  setTalking(talking: boolean): void {
+    this.talking = talking;
+    this.updateTransmitting();
+  }
+
+  private updateTransmitting(): void {
+    const pushToTalk = this.settingsService.settings.pushToTalk;
+    const transmitting = !this.muted && (!pushToTalk || this.talking);
+    if (transmitting !== this.transmittingSubject.value) {
+      this.transmittingSubject.next(transmitting);
+    }
+  }
+
+  private inputChanged(previous: MicrophoneSettings, current: MicrophoneSettings): boolean {
+    return previous.deviceId !== current.deviceId ||
+      previous.echoCancellation !== current.echoCancellation ||
+      previous.noiseSuppression !== current.noiseSuppression ||
+      previous.autoGainControl !== current.autoGainControl;
+  }
+
+  // Reopen the microphone with new settings; buffered audio and the connection are kept
+  private async restartMicrophone(): Promise<void> {
+    const wasCapturing = this.isRecording;
+    this.releaseMicrophone();
+
+    try {
+      await this.requestMicrophoneAccess();
+      if (wasCapturing) {
+        await this.startAudioCapture();
+      }
+      console.log('Microphone reopened with new settings');
+    } catch (error) {
+      console.error('Could not reopen the microphone:', error);
+    }
+  }
+
+  async startAudioCapture(): Promise<void> {
     if (!this.mediaStream || this.isRecording) {
       return;
     }
 
     try {
-      this.audioContext = new (window.AudioContext || (window as any).webkitAudioContext)({
-        sampleRate: this.sampleRate
-      });
+      // Run the context at the device's native rate; packets are resampled to audioConfig.sampleRate
+      this.audioContext = new (window.AudioContext || (window as any).webkitAudioContext)();
+      this.resampler = new Resampler(this.audioContext.sampleRate, this.sampleRate);
+      this.frameBuffer = new Float32Array(this.frameSize);
+      this.frameOffset = 0;
 
       this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
-      
-      // Use ScriptProcessorNode for audio processing (deprecated but widely supported)
-      // Alternative: Use AudioWorkletNode for modern browsers
-      const bufferSize = 4096;
-      this.processor = this.audioContext.createScriptProcessor(bufferSize, this.channels, this.channels);
-      
-      this.processor.onaudioprocess = (event) => {
-        if (!this.isRecording) return;
-
-        const inputBuffer = event.inputBuffer;
-        const inputData = inputBuffer.getChannelData(0);
-        
-        // Convert Float32Array to Int16Array (PCM format)
-        const pcmData = this.convertFloat32ToInt16(inputData);
-        
-        // Create AWS Medical Transcription packet format
-        const audioPacket = this.createAudioPacket(pcmData);
-        
-        // Console log the packet as requested
-        console.log('Audio Packet:', audioPacket);
-        
-        // Send audio packet via WebSocket if connected (ignored if not connected)
-        this.wsService.sendJson(audioPacket);
-      };
-
-      this.source.connect(this.processor);
-      this.processor.connect(this.audioContext.destination);
+
+      const context = this.audioContext;
+      this.usingWorklet = await this.startWorkletCapture(context, this.source);
+      if (this.audioContext !== context || !this.source) {
+        // stopMicrophone() was called while the worklet module was loading
+        return;
+      }
+      if (!this.usingWorklet) {
+        this.startScriptProcessorCapture(context, this.source);
+      }
       this.isRecording = true;
-      
-      console.log('Audio capture started');
+
+      console.log(`Audio capture started (${this.usingWorklet ? 'AudioWorklet' : 'ScriptProcessor'}, ` +
+        `${this.audioContext.sampleRate} Hz -> ${this.sampleRate} Hz, ${this.frameSize} samples/frame)`);
     } catch (error) {
       console.error('Error starting audio capture:', error);
       throw error;
     }
   }
 
+  private async startWorkletCapture(context: AudioContext, source: MediaStreamAudioSourceNode): Promise<boolean> {
+    if (!context.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      return false;
+    }
+
+    try {
+      await context.audioWorklet.addModule(AudioService.WORKLET_URL);
+    } catch (error) {
+      console.warn('AudioWorklet unavailable, falling back to ScriptProcessorNode:', error);
+      return false;
+    }
+
+    // Post roughly one frame's worth of input per message
+    const chunkSize = Math.max(128, Math.round(context.sampleRate * this.frameDurationMs / 1000));
+    const node = new AudioWorkletNode(context, 'audio-capture-processor', {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: { chunkSize }
+    });
+
+    node.port.onmessage = (event: MessageEvent<Float32Array>) => {
+      if (this.isRecording) {
+        this.handleCapturedAudio(event.data);
+      }
+    };
+
+    source.connect(node);
+    this.processor = node;
+    return true;
+  }
+
+  private startScriptProcessorCapture(context: AudioContext, source: MediaStreamAudioSourceNode): void {
+    // ScriptProcessorNode is deprecated; only used where AudioWorklet is unavailable
+    const bufferSize = 4096;
+    const node = context.createScriptProcessor(bufferSize, this.channels, 1);
+
+    node.onaudioprocess = (event) => {
+      if (!this.isRecording) return;
+
+      const inputBuffer = event.inputBuffer;
+      const mono = new Float32Array(inputBuffer.length);
+      for (let channel = 0; channel < inputBuffer.numberOfChannels; channel++) {
+        const data = inputBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+          mono[i] += data[i] / inputBuffer.numberOfChannels;
+        }
+      }
+      this.handleCapturedAudio(mono);
+    };
+
+    source.connect(node);
+    node.connect(context.destination);
+    this.processor = node;
+  }
+
+  /**
+   * Resample captured audio and send every complete frame
+   */
+  private handleCapturedAudio(samples: Float32Array): void {
+    if (!this.resampler || !this.audioContext) return;
+
+    this.measureLevel(samples, samples.length / this.audioContext.sampleRate * 1000);
+
+    // Muted input is replaced by silence of the same length
+    const input = this.transmittingSubject.value ? samples : new Float32Array(samples.length);
+    const resampled = this.resampler.process(input);
+    let offset = 0;
+
+    while (offset < resampled.length) {
+      const count = Math.min(this.frameSize - this.frameOffset, resampled.length - offset);
+      this.frameBuffer.set(resampled.subarray(offset, offset + count), this.frameOffset);
+      this.frameOffset += count;
+      offset += count;
+
+      if (this.frameOffset === this.frameSize) {
+        this.sendFrame(this.frameBuffer);
+        this.frameOffset = 0;
+      }
+    }
+  }
+
+  /**
+   * Publish the level of a captured chunk and update the silence/clipping warning
+   */
+  private measureLevel(samples: Float32Array, durationMs: number): void {
+    let sumOfSquares = 0;
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const magnitude = Math.abs(samples[i]);
+      sumOfSquares += magnitude * magnitude;
+      if (magnitude > peak) {
+        peak = magnitude;
+      }
+    }
+
+    const rms = samples.length > 0 ? Math.sqrt(sumOfSquares / samples.length) : 0;
+    const level: AudioLevel = {
+      rms,
+      peak,
+      rmsDb: this.toDecibels(rms),
+      peakDb: this.toDecibels(peak),
+      clipping: peak >= this.inputMonitor.clipLevel
+    };
+    this.levelSubject.next(level);
+
+    // Silence must last silenceSeconds (and is expected while muted); a clip keeps the
+    // warning up for clipHoldSeconds
+    const silent = level.rmsDb < this.inputMonitor.silenceDb && this.transmittingSubject.value;
+    this.silentMs = silent ? this.silentMs + durationMs : 0;
+    this.clipHoldMs = level.clipping ? this.inputMonitor.clipHoldSeconds * 1000 : Math.max(0, this.clipHoldMs - durationMs);
+
+    let warning: InputWarning | null = null;
+    if (this.clipHoldMs > 0) {
+      warning = 'clipping';
+    } else if (this.silentMs >= this.inputMonitor.silenceSeconds * 1000) {
+      warning = 'silence';
+    }
+    if (warning !== this.inputWarningSubject.value) {
+      this.inputWarningSubject.next(warning);
+    }
+  }
+
+  private toDecibels(amplitude: number): number {
+    return amplitude > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(amplitude)) : MIN_LEVEL_DB;
+  }
+
+  private sendFrame(frame: Float32Array): void {
+    // Convert Float32Array to Int16Array (PCM format)
+    const packet: PendingPacket = { sequence: ++this.sequence, pcm: this.convertFloat32ToInt16(frame) };
+
+    // Keep the packet until the server acknowledges it; while the connection is down
+    // (connecting or reconnecting) or congested this buffers audio to be sent later
+    this.pending.push(packet);
+    if (this.pending.length > this.maxPendingPackets) {
+      this.pending.shift();
+      if (this.droppedWhileBuffering++ === 0) {
+        console.warn(`Replay buffer full (${audioConfig.replayBufferSeconds}s); dropping the oldest audio`);
+      }
+    }
+
+    this.flushPending();
+  }
+
+  // Send buffered packets in order until the socket's send queue is full
+  private flushPending(): void {
+    let index = this.pending.findIndex(packet => packet.sequence > this.lastSentSequence);
+    if (index === -1) {
+      return;
+    }
+
+    while (index < this.pending.length && this.wsService.canSend()) {
+      const packet = this.pending[index++];
+      this.sendPacket(packet);
+      this.lastSentSequence = packet.sequence;
+    }
+  }
+
+  private sendPacket(packet: PendingPacket): void {
+    if (this.wsService.isBinaryFraming()) {
+      // Event-stream encoded AudioEvent with raw PCM payload
+      this.wsService.sendBinary(this.createBinaryAudioPacket(packet.pcm, packet.sequence));
+    } else {
+      // Create AWS Medical Transcription packet format
+      const audioPacket = this.createAudioPacket(packet.pcm, packet.sequence);
+      
+      // Console log the packet as requested
+      console.log('Audio Packet:', audioPacket);
+      
+      this.wsService.sendJson(audioPacket);
+    }
+  }
+
+  // Forget packets the server has received
+  private acknowledge(sequence: number): void {
+    const index = this.pending.findIndex(packet => packet.sequence > sequence);
+    this.pending = index === -1 ? [] : this.pending.slice(index);
+  }
+
+  // Send every unacknowledged packet again, in order, after (re)connecting
+  private replayPending(): void {
+    if (this.pending.length > 0) {
+      console.log(`Replaying ${this.pending.length} buffered audio packet(s) from #${this.pending[0].sequence}` +
+        (this.droppedWhileBuffering > 0 ? ` (${this.droppedWhileBuffering} dropped while buffering)` : ''));
+    }
+    this.droppedWhileBuffering = 0;
+    this.lastSentSequence = 0;
+    this.flushPending();
+  }
+
   stopMicrophone(): void {
+    this.releaseMicrophone();
+
+    this.pending = [];
+    this.droppedWhileBuffering = 0;
+    this.silentMs = 0;
+    this.clipHoldMs = 0;
+    this.levelSubject.next(null);
+    this.inputWarningSubject.next(null);
+    this.muted = false;
+    this.talking = false;
+    this.updateTransmitting();
+
+    console.log('Microphone stopped');
+  }
+
+  // Stop capturing and release the device
+  private releaseMicrophone(): void {
     this.isRecording = false;
 
     if (this.processor) {
+      if (this.usingWorklet) {
+        (this.processor as AudioWorkletNode).port.onmessage = null;
+      }
       this.processor.disconnect();
       this.processor = null;
     }
@@ -120,7 +460,8 @@ export class AudioService {
       this.mediaStream = null;
     }
 
-    console.log('Microphone stopped');
+    this.resampler = null;
+    this.frameOffset = 0;
   }
 
   private convertFloat32ToInt16(float32Array: Float32Array): Int16Array {
@@ -133,7 +474,7 @@ export class AudioService {
     return int16Array;
   }
 
-  private createAudioPacket(pcmData: Int16Array): AudioPacket {
+  private createAudioPacket(pcmData: Int16Array, sequence: number): AudioPacket {
     // Convert Int16Array to base64
     const base64Audio = this.arrayBufferToBase64(pcmData.buffer as ArrayBuffer);
 
@@ -141,12 +482,30 @@ export class AudioService {
       headers: {
         ':message-type': 'event',
         ':event-type': 'AudioEvent',
-        ':content-type': `audio/pcm;rate=${this.sampleRate};channels=${this.channels}`
+        ':content-type': this.contentType(),
+        'sequence-number': String(sequence)
       },
       payload: base64Audio
     };
   }
 
+  private createBinaryAudioPacket(pcmData: Int16Array, sequence: number): ArrayBuffer {
+    return encodeEventStreamMessage(
+      {
+        ':message-type': 'event',
+        ':event-type': 'AudioEvent',
+        ':content-type': this.contentType(),
+        'sequence-number': String(sequence)
+      },
+      new Uint8Array(pcmData.buffer, pcmData.byteOffset, pcmData.byteLength)
+    );
+  }
+
+  private contentType(): string {
+    // Capture is mixed down to mono before sending
+    return `audio/pcm;rate=${this.sampleRate};channels=1`;
+  }
+
   private arrayBufferToBase64(buffer: ArrayBuffer | SharedArrayBuffer): string {
     const bytes = new Uint8Array(buffer);
     let binary = '';
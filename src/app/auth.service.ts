@@ -0,0 +1,47 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+
+// A user and key from the server's user store (server/userStore.js)
+export interface Credentials {
+  user: string;
+  key: string;
+}
+
+// Kept for the browser tab only, so the key does not outlive the session
+const STORAGE_KEY = 'audioServerCredentials';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class AuthService {
+  private credentialsSubject = new BehaviorSubject<Credentials | null>(this.restore());
+  public credentials$: Observable<Credentials | null> = this.credentialsSubject.asObservable();
+
+  get credentials(): Credentials | null {
+    return this.credentialsSubject.value;
+  }
+
+  // Token accepted by the admin API ("Authorization: Bearer <token>")
+  get token(): string | null {
+    const credentials = this.credentials;
+    return credentials ? `${credentials.user}:${credentials.key}` : null;
+  }
+
+  setCredentials(credentials: Credentials | null): void {
+    if (credentials) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(credentials));
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+    this.credentialsSubject.next(credentials);
+  }
+
+  private restore(): Credentials | null {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || 'null');
+      return stored && typeof stored.user === 'string' && typeof stored.key === 'string' ? stored : null;
+    } catch {
+      return null;
+    }
+  }
+}
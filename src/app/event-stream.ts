@@ -0,0 +1,81 @@
+/**
+ * Encoder for the AWS event-stream binary framing, used to send audio as
+ * binary WebSocket frames (decoded by server/eventStream.js).
+ *
+ * Message layout:
+ *   [total length: uint32][headers length: uint32][prelude CRC: uint32]
+ *   [headers][payload][message CRC: uint32]
+ */
+
+const PRELUDE_LENGTH = 12;
+const CRC_LENGTH = 4;
+const HEADER_TYPE_STRING = 7;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes: Uint8Array): number {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function encodeHeaders(headers: Record<string, string>): Uint8Array {
+  const encoder = new TextEncoder();
+  const parts: Uint8Array[] = [];
+  let length = 0;
+
+  for (const [name, value] of Object.entries(headers)) {
+    const nameBytes = encoder.encode(name);
+    const valueBytes = encoder.encode(value);
+    const header = new Uint8Array(1 + nameBytes.length + 1 + 2 + valueBytes.length);
+    const view = new DataView(header.buffer);
+    let offset = 0;
+
+    header[offset++] = nameBytes.length;
+    header.set(nameBytes, offset);
+    offset += nameBytes.length;
+    header[offset++] = HEADER_TYPE_STRING;
+    view.setUint16(offset, valueBytes.length);
+    offset += 2;
+    header.set(valueBytes, offset);
+
+    parts.push(header);
+    length += header.length;
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+export function encodeEventStreamMessage(headers: Record<string, string>, payload: Uint8Array): ArrayBuffer {
+  const headerBytes = encodeHeaders(headers);
+  const totalLength = PRELUDE_LENGTH + headerBytes.length + payload.length + CRC_LENGTH;
+  const message = new Uint8Array(totalLength);
+  const view = new DataView(message.buffer);
+
+  view.setUint32(0, totalLength);
+  view.setUint32(4, headerBytes.length);
+  view.setUint32(8, crc32(message.subarray(0, 8)));
+  message.set(headerBytes, PRELUDE_LENGTH);
+  message.set(payload, PRELUDE_LENGTH + headerBytes.length);
+  view.setUint32(totalLength - CRC_LENGTH, crc32(message.subarray(0, totalLength - CRC_LENGTH)));
+
+  return message.buffer;
+}
@@ -0,0 +1,82 @@
+import { Component, Input, OnChanges, SimpleChanges, ViewChild, ElementRef } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { AudioLevel, InputWarning, MIN_LEVEL_DB } from '../audio.service';
+import audioConfig from '../../../audio-config.json';
+
+// Range shown by the meter, in dBFS
+const METER_FLOOR_DB = -60;
+// Levels above this are shown as loud (amber)
+const LOUD_DB = -12;
+// Chunks of peak history kept for the scrolling waveform
+const WAVEFORM_LENGTH = 120;
+
+@Component({
+  selector: 'app-level-meter',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './level-meter.component.html',
+  styleUrls: ['./level-meter.component.css']
+})
+export class LevelMeterComponent implements OnChanges {
+  @Input() level: AudioLevel | null = null;
+  @Input() warning: InputWarning | null = null;
+
+  @ViewChild('waveform') private waveform?: ElementRef<HTMLCanvasElement>;
+  private peaks: number[] = [];
+
+  readonly silenceSeconds = audioConfig.inputMonitor.silenceSeconds;
+
+  ngOnChanges(changes: SimpleChanges): void {
+    if (changes['level']) {
+      if (this.level) {
+        this.peaks.push(this.level.peak);
+        if (this.peaks.length > WAVEFORM_LENGTH) {
+          this.peaks.shift();
+        }
+      } else {
+        this.peaks = [];
+      }
+      this.drawWaveform();
+    }
+  }
+
+  // Meter fill (0-100%) for the RMS level
+  get meterPercent(): number {
+    const db = this.level ? this.level.rmsDb : MIN_LEVEL_DB;
+    return Math.max(0, Math.min(100, (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100));
+  }
+
+  get meterClass(): string {
+    if (!this.level) {
+      return '';
+    }
+    if (this.level.clipping) {
+      return 'meter-clip';
+    }
+    return this.level.peakDb > LOUD_DB ? 'meter-loud' : '';
+  }
+
+  get levelText(): string {
+    return this.level ? `${Math.round(this.level.rmsDb)} dB` : '—';
+  }
+
+  // Peaks drawn as bars mirrored around the centre line, newest on the right
+  private drawWaveform(): void {
+    const canvas = this.waveform?.nativeElement;
+    const context = canvas?.getContext('2d');
+    if (!canvas || !context) {
+      return;
+    }
+
+    const { width, height } = canvas;
+    const barWidth = width / WAVEFORM_LENGTH;
+    const offset = WAVEFORM_LENGTH - this.peaks.length;
+    context.clearRect(0, 0, width, height);
+
+    this.peaks.forEach((peak, index) => {
+      const barHeight = Math.max(1, Math.min(1, peak) * height);
+      context.fillStyle = peak >= audioConfig.inputMonitor.clipLevel ? '#f44336' : '#667eea';
+      context.fillRect((offset + index) * barWidth, (height - barHeight) / 2, Math.max(1, barWidth - 1), barHeight);
+    });
+  }
+}
@@ -0,0 +1,52 @@
+import { Injectable } from '@angular/core';
+import { BehaviorSubject, Observable } from 'rxjs';
+
+export interface MicrophoneSettings {
+  deviceId: string | null; // null for the browser's default input
+  echoCancellation: boolean;
+  noiseSuppression: boolean;
+  autoGainControl: boolean;
+  pushToTalk: boolean; // only send audio while pushToTalkKey is held
+  pushToTalkKey: string; // KeyboardEvent.code
+}
+
+export const DEFAULT_MICROPHONE_SETTINGS: MicrophoneSettings = {
+  deviceId: null,
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  pushToTalk: false,
+  pushToTalkKey: 'Space'
+};
+
+// Remembered across sessions, unlike the credentials
+const STORAGE_KEY = 'microphoneSettings';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class MicrophoneSettingsService {
+  private settingsSubject = new BehaviorSubject<MicrophoneSettings>(this.restore());
+  public settings$: Observable<MicrophoneSettings> = this.settingsSubject.asObservable();
+
+  get settings(): MicrophoneSettings {
+    return this.settingsSubject.value;
+  }
+
+  update(changes: Partial<MicrophoneSettings>): void {
+    const settings = { ...this.settings, ...changes };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    this.settingsSubject.next(settings);
+  }
+
+  private restore(): MicrophoneSettings {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      return stored && typeof stored === 'object'
+        ? { ...DEFAULT_MICROPHONE_SETTINGS, ...stored }
+        : { ...DEFAULT_MICROPHONE_SETTINGS };
+    } catch {
+      return { ...DEFAULT_MICROPHONE_SETTINGS };
+    }
+  }
+}
@@ -0,0 +1,137 @@
+import { Component, Input, OnInit, OnChanges, OnDestroy, SimpleChanges, HostListener } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Subscription } from 'rxjs';
+import { AudioService } from '../audio.service';
+import { MicrophoneSettings, MicrophoneSettingsService } from '../microphone-settings.service';
+
+@Component({
+  selector: 'app-microphone-settings',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './microphone-settings.component.html',
+  styleUrls: ['./microphone-settings.component.css']
+})
+export class MicrophoneSettingsComponent implements OnInit, OnChanges, OnDestroy {
+  // Whether the microphone is open; mute and push-to-talk only apply while it is
+  @Input() active = false;
+
+  devices: MediaDeviceInfo[] = [];
+  settings: MicrophoneSettings;
+  transmitting = true;
+  waitingForKey = false;
+  private subscriptions = new Subscription();
+  private readonly onDeviceChange = () => this.loadDevices();
+
+  constructor(
+    private audioService: AudioService,
+    private settingsService: MicrophoneSettingsService
+  ) {
+    this.settings = settingsService.settings;
+  }
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      this.settingsService.settings$.subscribe((settings) => {
+        this.settings = settings;
+      })
+    );
+    this.subscriptions.add(
+      this.audioService.transmitting$.subscribe((transmitting) => {
+        this.transmitting = transmitting;
+      })
+    );
+    navigator.mediaDevices?.addEventListener('devicechange', this.onDeviceChange);
+    this.loadDevices();
+  }
+
+  ngOnChanges(changes: SimpleChanges): void {
+    // Device names are only available once microphone access has been granted
+    if (changes['active'] && this.active) {
+      this.loadDevices();
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+    navigator.mediaDevices?.removeEventListener('devicechange', this.onDeviceChange);
+  }
+
+  update(changes: Partial<MicrophoneSettings>): void {
+    this.settingsService.update(changes);
+  }
+
+  get isMuted(): boolean {
+    return this.audioService.isMuted;
+  }
+
+  toggleMute(): void {
+    this.audioService.setMuted(!this.audioService.isMuted);
+  }
+
+  get keyLabel(): string {
+    return this.settings.pushToTalkKey.replace(/^(Key|Digit)/, '');
+  }
+
+  get stateText(): string {
+    if (this.isMuted) {
+      return 'Muted (sending silence)';
+    }
+    if (this.settings.pushToTalk) {
+      return this.transmitting ? 'Talking' : `Hold ${this.keyLabel} to talk`;
+    }
+    return 'Live';
+  }
+
+  @HostListener('window:keydown', ['$event'])
+  onKeyDown(event: KeyboardEvent): void {
+    if (this.waitingForKey) {
+      event.preventDefault();
+      this.waitingForKey = false;
+      if (event.code !== 'Escape') {
+        this.update({ pushToTalkKey: event.code });
+      }
+      return;
+    }
+
+    if (this.isPushToTalkKey(event)) {
+      // Keep the key from scrolling the page or pressing the focused button
+      event.preventDefault();
+      if (!event.repeat) {
+        this.audioService.setTalking(true);
+      }
+    }
+  }
+
+  @HostListener('window:keyup', ['$event'])
+  onKeyUp(event: KeyboardEvent): void {
+    if (this.isPushToTalkKey(event)) {
+      event.preventDefault();
+      this.audioService.setTalking(false);
+    }
+  }
+
+  // A key released while the window is in the background would leave the microphone open
+  @HostListener('window:blur')
+  onBlur(): void {
+    this.audioService.setTalking(false);
+  }
+
+  private isPushToTalkKey(event: KeyboardEvent): boolean {
+    if (!this.active || !this.settings.pushToTalk || event.code !== this.settings.pushToTalkKey) {
+      return false;
+    }
+    // Typing in a form field is not talking
+    const target = event.target as HTMLElement | null;
+    return !target || !(['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+  }
+
+  private async loadDevices(): Promise<void> {
+    try {
+      this.devices = await this.audioService.listInputDevices();
+    } catch (error) {
+      console.warn('Could not list audio input devices:', error);
+      this.devices = [];
+    }
+  }
+}
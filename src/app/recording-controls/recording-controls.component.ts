@@ -0,0 +1,113 @@
+import { Component, Input, OnInit, OnChanges, OnDestroy, SimpleChanges } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Subscription } from 'rxjs';
+import { WebSocketService, RecordingStateMessage } from '../websocket.service';
+
+@Component({
+  selector: 'app-recording-controls',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './recording-controls.component.html',
+  styleUrls: ['./recording-controls.component.css']
+})
+export class RecordingControlsComponent implements OnInit, OnChanges, OnDestroy {
+  // Whether the server connection is up; controls are disabled otherwise
+  @Input() connected = false;
+
+  isRecording = false;
+  file: string | null = null;
+  elapsedMs = 0;
+  patientId = '';
+  encounterId = '';
+  savedMetadata = false;
+  busy = false;
+  error: string | null = null;
+  private recordingSince = 0; // local time the recording started, from the server's elapsedMs
+  private elapsedTimer: any = null;
+  private subscriptions = new Subscription();
+
+  constructor(private wsService: WebSocketService) {}
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      this.wsService.recordingState$.subscribe((message) => this.applyState(message))
+    );
+  }
+
+  ngOnChanges(changes: SimpleChanges): void {
+    // The server forgets the recording state with the session
+    if (changes['connected'] && !this.connected && !this.busy) {
+      this.setRecording(false);
+    }
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+    this.stopTimer();
+  }
+
+  async toggleRecording(): Promise<void> {
+    await this.run(() => this.isRecording ? this.wsService.stopRecording() : this.wsService.startRecording());
+  }
+
+  async applyMetadata(): Promise<void> {
+    const metadata: Record<string, string> = {};
+    if (this.patientId.trim()) {
+      metadata['patientId'] = this.patientId.trim();
+    }
+    if (this.encounterId.trim()) {
+      metadata['encounterId'] = this.encounterId.trim();
+    }
+    await this.run(() => this.wsService.setMetadata(metadata));
+  }
+
+  get elapsedText(): string {
+    const seconds = Math.floor(this.elapsedMs / 1000);
+    const pad = (value: number) => String(value).padStart(2, '0');
+    const hours = Math.floor(seconds / 3600);
+    const clock = `${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    return hours > 0 ? `${hours}:${clock}` : clock;
+  }
+
+  private async run(request: () => Promise<void>): Promise<void> {
+    this.busy = true;
+    this.error = null;
+    try {
+      await request();
+    } catch (error) {
+      this.error = error instanceof Error ? error.message : String(error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  private applyState(message: RecordingStateMessage): void {
+    this.file = message.file;
+    this.patientId = message.metadata?.['patientId'] || '';
+    this.encounterId = message.metadata?.['encounterId'] || '';
+    this.savedMetadata = Object.keys(message.metadata || {}).length > 0;
+    this.recordingSince = Date.now() - (message.elapsedMs || 0);
+    this.setRecording(message.isRecording);
+  }
+
+  private setRecording(isRecording: boolean): void {
+    this.isRecording = isRecording;
+    this.stopTimer();
+    if (isRecording) {
+      this.elapsedMs = Date.now() - this.recordingSince;
+      this.elapsedTimer = setInterval(() => {
+        this.elapsedMs = Date.now() - this.recordingSince;
+      }, 1000);
+    } else {
+      this.elapsedMs = 0;
+    }
+  }
+
+  private stopTimer(): void {
+    if (this.elapsedTimer) {
+      clearInterval(this.elapsedTimer);
+      this.elapsedTimer = null;
+    }
+  }
+}
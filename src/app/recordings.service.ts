@@ -0,0 +1,85 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpHeaders, HttpResponse } from '@angular/common/http';
+import { Observable } from 'rxjs';
+import { RuntimeConfigService } from './runtime-config.service';
+import { AuthService } from './auth.service';
+
+export interface RecordingSegment {
+  file: string;
+  size: number; // bytes
+  duration: number; // seconds
+  encrypted?: boolean; // encrypted at rest; downloads are decrypted by the server
+  missing?: boolean;
+}
+
+// A recording as listed by the server's admin API (see server/recordingLibrary.js)
+export interface Recording {
+  name: string;
+  clientId: number | null;
+  startedAt: string | null;
+  endedAt: string | null;
+  duration: number; // seconds
+  size: number; // bytes
+  format: { sampleRate: number; channels: number; bitDepth: number } | null;
+  metadata: Record<string, string>; // set by the client, e.g. patientId, encounterId
+  active: boolean;
+  encrypted: boolean; // all segments are encrypted at rest
+  manifest: string | null;
+  transcript: string | null; // transcript file, if the recording has one
+  segments: RecordingSegment[];
+}
+
+// Formats the server can export transcripts in
+export const TRANSCRIPT_FORMATS = ['srt', 'vtt', 'txt', 'json'] as const;
+export type TranscriptFormat = typeof TRANSCRIPT_FORMATS[number];
+
+@Injectable({
+  providedIn: 'root'
+})
+export class RecordingsService {
+  constructor(
+    private http: HttpClient,
+    private runtimeConfig: RuntimeConfigService,
+    private authService: AuthService
+  ) {}
+
+  private get apiUrl(): string {
+    return this.runtimeConfig.apiUrl;
+  }
+
+  private get headers(): HttpHeaders {
+    const token = this.authService.token;
+    return token ? new HttpHeaders({ Authorization: `Bearer ${token}` }) : new HttpHeaders();
+  }
+
+  list(): Observable<Recording[]> {
+    return this.http.get<Recording[]>(`${this.apiUrl}/recordings`, { headers: this.headers });
+  }
+
+  delete(name: string): Observable<{ name: string; deleted: string[] }> {
+    return this.http.delete<{ name: string; deleted: string[] }>(
+      `${this.apiUrl}/recordings/${encodeURIComponent(name)}`,
+      { headers: this.headers }
+    );
+  }
+
+  /**
+   * One file of a recording, for playback or saving. Files are fetched with the
+   * Authorization header rather than opened by URL, so the token never ends up in
+   * browser history, server logs or Referer headers.
+   */
+  fetchFile(recording: Recording, file: string): Observable<HttpResponse<Blob>> {
+    return this.http.get(
+      `${this.apiUrl}/recordings/${encodeURIComponent(recording.name)}/files/${encodeURIComponent(file)}`,
+      { headers: this.headers, responseType: 'blob', observe: 'response' }
+    );
+  }
+
+  // The recording's transcript exported in the given format
+  fetchTranscript(recording: Recording, format: TranscriptFormat): Observable<HttpResponse<Blob>> {
+    return this.http.get(
+      `${this.apiUrl}/recordings/${encodeURIComponent(recording.name)}/transcript`,
+      { headers: this.headers, params: { format }, responseType: 'blob', observe: 'response' }
+    );
+  }
+}
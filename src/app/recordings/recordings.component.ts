@@ -0,0 +1,177 @@
+import { Component, OnInit, OnDestroy } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { HttpErrorResponse, HttpResponse } from '@angular/common/http';
+import { Subscription } from 'rxjs';
+import { Recording, RecordingsService, TRANSCRIPT_FORMATS, TranscriptFormat } from '../recordings.service';
+import { AuthService } from '../auth.service';
+
+interface PlaybackState {
+  recording: Recording;
+  segmentIndex: number;
+  url: string; // object URL of the fetched segment
+}
+
+@Component({
+  selector: 'app-recordings',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './recordings.component.html',
+  styleUrls: ['./recordings.component.css']
+})
+export class RecordingsComponent implements OnInit, OnDestroy {
+  recordings: Recording[] = [];
+  isLoading = false;
+  lastError: string | null = null;
+  playback: PlaybackState | null = null;
+  readonly transcriptFormats = TRANSCRIPT_FORMATS;
+  private listSubscription?: Subscription;
+  private credentialsSubscription?: Subscription;
+  private playbackSubscription?: Subscription;
+
+  constructor(
+    private recordingsService: RecordingsService,
+    private authService: AuthService
+  ) {}
+
+  ngOnInit(): void {
+    // Loads the list now and again whenever the user signs in or out
+    this.credentialsSubscription = this.authService.credentials$.subscribe(() => this.refresh());
+  }
+
+  ngOnDestroy(): void {
+    this.listSubscription?.unsubscribe();
+    this.credentialsSubscription?.unsubscribe();
+    this.stopPlayback();
+  }
+
+  refresh(): void {
+    this.listSubscription?.unsubscribe();
+    this.isLoading = true;
+    this.listSubscription = this.recordingsService.list().subscribe({
+      next: (recordings) => {
+        this.recordings = recordings;
+        this.isLoading = false;
+        this.lastError = null;
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isLoading = false;
+        this.lastError = this.describeError(error, 'Could not load recordings');
+      }
+    });
+  }
+
+  play(recording: Recording, segmentIndex = 0): void {
+    this.stopPlayback();
+    const segment = recording.segments[segmentIndex];
+    if (!segment) {
+      return;
+    }
+    this.playbackSubscription = this.recordingsService.fetchFile(recording, segment.file).subscribe({
+      next: (response) => {
+        this.playback = { recording, segmentIndex, url: URL.createObjectURL(response.body ?? new Blob()) };
+      },
+      error: (error: HttpErrorResponse) => {
+        this.lastError = this.describeError(error, `Could not play ${recording.name}`);
+      }
+    });
+  }
+
+  // Segments of a split recording are played back to back
+  playNextSegment(): void {
+    if (this.playback) {
+      this.play(this.playback.recording, this.playback.segmentIndex + 1);
+    }
+  }
+
+  stopPlayback(): void {
+    this.playbackSubscription?.unsubscribe();
+    if (this.playback) {
+      URL.revokeObjectURL(this.playback.url);
+    }
+    this.playback = null;
+  }
+
+  download(recording: Recording, file: string): void {
+    this.recordingsService.fetchFile(recording, file).subscribe({
+      next: (response) => this.save(response, file),
+      error: (error: HttpErrorResponse) => {
+        this.lastError = this.describeError(error, `Could not download ${file}`);
+      }
+    });
+  }
+
+  downloadTranscript(recording: Recording, format: TranscriptFormat): void {
+    this.recordingsService.fetchTranscript(recording, format).subscribe({
+      next: (response) => this.save(response, `${recording.name}.${format}`),
+      error: (error: HttpErrorResponse) => {
+        this.lastError = this.describeError(error, `Could not download the ${format} transcript of ${recording.name}`);
+      }
+    });
+  }
+
+  delete(recording: Recording): void {
+    if (!confirm(`Delete ${recording.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    this.recordingsService.delete(recording.name).subscribe({
+      next: () => {
+        if (this.playback?.recording.name === recording.name) {
+          this.stopPlayback();
+        }
+        this.recordings = this.recordings.filter(item => item.name !== recording.name);
+      },
+      error: (error: HttpErrorResponse) => {
+        this.lastError = this.describeError(error, `Could not delete ${recording.name}`);
+      }
+    });
+  }
+
+  isPlaying(recording: Recording): boolean {
+    return this.playback?.recording.name === recording.name;
+  }
+
+  formatDuration(seconds: number | null): string {
+    const total = Math.round(seconds || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  formatSize(bytes: number): string {
+    if (bytes >= 1024 * 1024 * 1024) {
+      return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  trackRecording(index: number, recording: Recording): string {
+    return recording.name;
+  }
+
+  // Save a fetched file under the name the server gives it
+  private save(response: HttpResponse<Blob>, fallbackName: string): void {
+    const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+    const url = URL.createObjectURL(response.body ?? new Blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    link.click();
+    // The browser reads the file after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+
+  private describeError(error: HttpErrorResponse, fallback: string): string {
+    if (error.status === 0) {
+      return `${fallback}: server is not reachable`;
+    }
+    if (error.status === 401) {
+      return `${fallback}: sign in with a user and key`;
+    }
+    return `${fallback}: ${error.error?.error || error.message}`;
+  }
+}
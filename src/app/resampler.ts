@@ -0,0 +1,111 @@
+/**
+ * Streaming sample-rate converter for mono Float32 audio.
+ *
+ * When downsampling, input is first passed through a windowed-sinc low-pass
+ * filter (cutoff just below the output Nyquist frequency) to avoid aliasing,
+ * then read at fractional positions with linear interpolation. State is kept
+ * between calls so consecutive chunks join without clicks or dropped samples.
+ */
+export class Resampler {
+  private static readonly NUM_TAPS = 63;
+
+  // Input samples consumed per output sample
+  private readonly step: number;
+  private readonly taps: Float32Array | null;
+  // Last (taps - 1) input samples, needed to filter the start of the next chunk
+  private history: Float32Array;
+  // Read position for the next output sample, relative to the last sample of the previous chunk
+  private position = 1;
+  private lastSample = 0;
+
+  constructor(readonly inputRate: number, readonly outputRate: number) {
+    this.step = inputRate / outputRate;
+    this.taps = inputRate > outputRate ? Resampler.designLowPass(0.45 / this.step, Resampler.NUM_TAPS) : null;
+    this.history = new Float32Array(this.taps ? this.taps.length - 1 : 0);
+  }
+
+  get isPassThrough(): boolean {
+    return this.inputRate === this.outputRate;
+  }
+
+  process(input: Float32Array): Float32Array {
+    if (this.isPassThrough) {
+      return input.slice();
+    }
+
+    const filtered = this.taps ? this.filter(input) : input;
+    const output = new Float32Array(Math.ceil((filtered.length + 1) / this.step) + 1);
+    let count = 0;
+    let t = this.position;
+
+    // Index 0 is the last sample of the previous chunk, index i is filtered[i - 1]
+    while (t < filtered.length) {
+      const i = Math.floor(t);
+      const frac = t - i;
+      const a = i === 0 ? this.lastSample : filtered[i - 1];
+      const b = filtered[i];
+      output[count++] = a + (b - a) * frac;
+      t += this.step;
+    }
+
+    if (filtered.length > 0) {
+      this.position = t - filtered.length;
+      this.lastSample = filtered[filtered.length - 1];
+    }
+
+    return output.subarray(0, count);
+  }
+
+  reset(): void {
+    this.history.fill(0);
+    this.position = 1;
+    this.lastSample = 0;
+  }
+
+  private filter(input: Float32Array): Float32Array {
+    const taps = this.taps as Float32Array;
+    const historyLength = this.history.length;
+    const padded = new Float32Array(historyLength + input.length);
+    padded.set(this.history, 0);
+    padded.set(input, historyLength);
+
+    const output = new Float32Array(input.length);
+    for (let n = 0; n < input.length; n++) {
+      let sum = 0;
+      for (let k = 0; k < taps.length; k++) {
+        sum += taps[k] * padded[n + historyLength - k];
+      }
+      output[n] = sum;
+    }
+
+    this.history = padded.slice(padded.length - historyLength);
+    return output;
+  }
+
+  /**
+   * Blackman-windowed sinc low-pass filter
+   * @param cutoff Cutoff frequency as a fraction of the input sample rate (0 - 0.5)
+   * @param numTaps Filter length (odd)
+   */
+  private static designLowPass(cutoff: number, numTaps: number): Float32Array {
+    const taps = new Float32Array(numTaps);
+    const middle = (numTaps - 1) / 2;
+    let sum = 0;
+
+    for (let n = 0; n < numTaps; n++) {
+      const x = n - middle;
+      const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+      const window = 0.42
+        - 0.5 * Math.cos((2 * Math.PI * n) / (numTaps - 1))
+        + 0.08 * Math.cos((4 * Math.PI * n) / (numTaps - 1));
+      taps[n] = sinc * window;
+      sum += taps[n];
+    }
+
+    // Normalize for unity gain at DC
+    for (let n = 0; n < numTaps; n++) {
+      taps[n] /= sum;
+    }
+    return taps;
+  }
+}
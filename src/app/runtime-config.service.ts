@@ -0,0 +1,91 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { firstValueFrom } from 'rxjs';
+
+export interface RetryConfig {
+  maxRetries: number;
+  baseDelayMs: number; // delay before the first retry, doubled for each further retry
+  maxDelayMs: number;
+}
+
+export interface HeartbeatConfig {
+  intervalMs: number; // how often to ping the server while connected; 0 disables pings
+  timeoutMs: number; // reconnect when nothing has been heard from the server for this long
+}
+
+export interface RuntimeConfig {
+  serverUrl: string; // WebSocket URL of the audio server
+  apiUrl: string; // Admin API base URL; derived from serverUrl when empty
+  retry: RetryConfig;
+  heartbeat: HeartbeatConfig;
+  maxBufferedBytes: number; // send queue above which the network counts as congested
+}
+
+// Used for anything assets/config.json does not set
+export const DEFAULT_RUNTIME_CONFIG: RuntimeConfig = {
+  serverUrl: 'ws://localhost:5000',
+  apiUrl: '',
+  retry: {
+    maxRetries: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 10000
+  },
+  heartbeat: {
+    intervalMs: 10000,
+    timeoutMs: 30000
+  },
+  maxBufferedBytes: 131072
+};
+
+// Loaded at startup so each deployment can point at its own server without a rebuild
+const CONFIG_URL = 'assets/config.json';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class RuntimeConfigService {
+  private config: RuntimeConfig = DEFAULT_RUNTIME_CONFIG;
+
+  constructor(private http: HttpClient) {}
+
+  /**
+   * Load assets/config.json over the defaults; a missing or invalid file leaves the defaults in place
+   */
+  async load(): Promise<void> {
+    try {
+      const loaded = await firstValueFrom(this.http.get<Partial<RuntimeConfig>>(CONFIG_URL));
+      this.config = {
+        ...DEFAULT_RUNTIME_CONFIG,
+        ...loaded,
+        retry: { ...DEFAULT_RUNTIME_CONFIG.retry, ...(loaded?.retry || {}) },
+        heartbeat: { ...DEFAULT_RUNTIME_CONFIG.heartbeat, ...(loaded?.heartbeat || {}) }
+      };
+    } catch (error) {
+      console.warn(`Could not load ${CONFIG_URL}, using default settings`, error);
+    }
+  }
+
+  get serverUrl(): string {
+    return this.config.serverUrl;
+  }
+
+  get apiUrl(): string {
+    if (this.config.apiUrl) {
+      return this.config.apiUrl.replace(/\/$/, '');
+    }
+    // The admin API is served on the same host and port as the WebSocket server
+    return `${this.config.serverUrl.replace(/^ws/, 'http').replace(/\/$/, '')}/api`;
+  }
+
+  get retry(): RetryConfig {
+    return this.config.retry;
+  }
+
+  get heartbeat(): HeartbeatConfig {
+    return this.config.heartbeat;
+  }
+
+  get maxBufferedBytes(): number {
+    return this.config.maxBufferedBytes;
+  }
+}
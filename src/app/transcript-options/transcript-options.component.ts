@@ -0,0 +1,88 @@
+import { Component, Input, OnInit, OnDestroy } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { Subscription } from 'rxjs';
+import { WebSocketService, PhiMode, TranscriptOptions, TranscriptOptionsMessage } from '../websocket.service';
+
+@Component({
+  selector: 'app-transcript-options',
+  standalone: true,
+  imports: [CommonModule, FormsModule],
+  templateUrl: './transcript-options.component.html',
+  styleUrls: ['./transcript-options.component.css']
+})
+export class TranscriptOptionsComponent implements OnInit, OnDestroy {
+  // Whether the server connection is up; options are disabled otherwise
+  @Input() connected = false;
+
+  readonly modes: { value: PhiMode; label: string }[] = [
+    { value: 'off', label: 'Off' },
+    { value: 'tag', label: 'Highlight' },
+    { value: 'redact', label: 'Redact' }
+  ];
+
+  mode: PhiMode = 'off';
+  types: string[] = [];
+  vocabulary = '';
+  required = false;
+  phiTypes: string[] = [];
+  vocabularies: string[] = [];
+  busy = false;
+  error: string | null = null;
+  private applied: TranscriptOptionsMessage | null = null; // last settings the server confirmed
+  private subscriptions = new Subscription();
+
+  constructor(private wsService: WebSocketService) {}
+
+  ngOnInit(): void {
+    this.subscriptions.add(
+      this.wsService.transcriptOptions$.subscribe((message) => this.applyOptions(message))
+    );
+  }
+
+  ngOnDestroy(): void {
+    this.subscriptions.unsubscribe();
+  }
+
+  hasType(type: string): boolean {
+    return this.types.includes(type);
+  }
+
+  toggleType(type: string): void {
+    this.types = this.hasType(type) ? this.types.filter((candidate) => candidate !== type) : [...this.types, type];
+    this.update({ phi: { mode: this.mode, types: this.types } });
+  }
+
+  changeMode(): void {
+    this.update({ phi: { mode: this.mode, types: this.types } });
+  }
+
+  changeVocabulary(): void {
+    this.update({ vocabulary: this.vocabulary || null });
+  }
+
+  private async update(options: Partial<TranscriptOptions>): Promise<void> {
+    this.busy = true;
+    this.error = null;
+    try {
+      await this.wsService.setTranscriptOptions(options);
+    } catch (error) {
+      this.error = error instanceof Error ? error.message : String(error);
+      if (this.applied) {
+        this.applyOptions(this.applied);
+      }
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  private applyOptions(message: TranscriptOptionsMessage): void {
+    this.applied = message;
+    this.mode = message.phi.mode;
+    this.types = message.phi.types.slice();
+    this.required = message.phi.required;
+    this.vocabulary = message.vocabulary || '';
+    this.phiTypes = message.available.phiTypes;
+    this.vocabularies = message.available.vocabularies;
+  }
+}
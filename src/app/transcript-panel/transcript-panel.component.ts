@@ -0,0 +1,73 @@
+import { Component, Input, Output, EventEmitter, ViewChild, ElementRef, AfterViewChecked } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { PhiSpan } from '../websocket.service';
+
+export interface TranscriptSegment {
+  resultId: string;
+  text: string;
+  phi: PhiSpan[]; // PHI the server tagged or redacted in the text
+  isPartial: boolean;
+  receivedAt: Date;
+}
+
+// A run of segment text; phiType is set for PHI
+export interface TextPart {
+  text: string;
+  phiType: string | null;
+}
+
+/**
+ * Split a segment's text at its PHI spans so they can be highlighted
+ */
+export function textParts(segment: TranscriptSegment): TextPart[] {
+  const parts: TextPart[] = [];
+  let position = 0;
+  for (const span of segment.phi) {
+    if (span.start > position) {
+      parts.push({ text: segment.text.slice(position, span.start), phiType: null });
+    }
+    parts.push({ text: segment.text.slice(span.start, span.end), phiType: span.type });
+    position = span.end;
+  }
+  if (position < segment.text.length) {
+    parts.push({ text: segment.text.slice(position), phiType: null });
+  }
+  return parts;
+}
+
+@Component({
+  selector: 'app-transcript-panel',
+  standalone: true,
+  imports: [CommonModule],
+  templateUrl: './transcript-panel.component.html',
+  styleUrls: ['./transcript-panel.component.css']
+})
+export class TranscriptPanelComponent implements AfterViewChecked {
+  @Input() segments: TranscriptSegment[] = [];
+  @Input() isRecording = false;
+  @Input() isSpeaking = false;
+  @Input() error: string | null = null;
+  @Output() clear = new EventEmitter<void>();
+
+  @ViewChild('transcriptScroll') private transcriptScroll?: ElementRef<HTMLElement>;
+  private renderedCount = 0;
+
+  ngAfterViewChecked(): void {
+    // Keep the newest segment in view when one is appended
+    if (this.segments.length !== this.renderedCount) {
+      this.renderedCount = this.segments.length;
+      const element = this.transcriptScroll?.nativeElement;
+      if (element) {
+        element.scrollTop = element.scrollHeight;
+      }
+    }
+  }
+
+  trackSegment(index: number, segment: TranscriptSegment): string {
+    return segment.resultId;
+  }
+
+  parts(segment: TranscriptSegment): TextPart[] {
+    return textParts(segment);
+  }
+}
@@ -1,20 +1,45 @@
 import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
-import { WebSocketService, ConnectionStatus } from '../websocket.service';
-import { AudioService } from '../audio.service';
+import {
+  WebSocketService,
+  ConnectionStatus,
+  PartialTranscriptMessage,
+  FinalTranscriptMessage
+} from '../websocket.service';
+import { AudioService, AudioLevel, InputWarning } from '../audio.service';
+import { TranscriptPanelComponent, TranscriptSegment } from '../transcript-panel/transcript-panel.component';
+import { LevelMeterComponent } from '../level-meter/level-meter.component';
+import { MicrophoneSettingsComponent } from '../microphone-settings/microphone-settings.component';
+import { RecordingControlsComponent } from '../recording-controls/recording-controls.component';
+import { TranscriptOptionsComponent } from '../transcript-options/transcript-options.component';
 import { Subscription } from 'rxjs';
 
 @Component({
   selector: 'app-transcription',
   standalone: true,
-  imports: [CommonModule],
+  imports: [
+    CommonModule,
+    TranscriptPanelComponent,
+    LevelMeterComponent,
+    MicrophoneSettingsComponent,
+    RecordingControlsComponent,
+    TranscriptOptionsComponent
+  ],
   templateUrl: './transcription.component.html',
   styleUrls: ['./transcription.component.css']
 })
 export class TranscriptionComponent implements OnInit, OnDestroy {
   networkStatus: ConnectionStatus = ConnectionStatus.DISCONNECTED;
   awsStatus: string = 'Not Set';
+  isServerRecording = false;
+  isSpeaking = false;
+  isCongested = false;
+  inputLevel: AudioLevel | null = null;
+  inputWarning: InputWarning | null = null;
+  lastError: string | null = null;
+  segments: TranscriptSegment[] = [];
   private statusSubscription?: Subscription;
+  private messageSubscriptions = new Subscription();
 
   constructor(
     private wsService: WebSocketService,
@@ -26,29 +51,84 @@ export class TranscriptionComponent implements OnInit, OnDestroy {
       (status) => {
         this.networkStatus = status;
         
-        // Close microphone when network status is disconnected
-        if (status === ConnectionStatus.DISCONNECTED) {
+        // Close microphone when network status is disconnected or authentication failed
+        if (status === ConnectionStatus.DISCONNECTED || status === ConnectionStatus.UNAUTHORIZED) {
           this.audioService.stopMicrophone();
+          this.isSpeaking = false;
         }
       }
     );
+
+    this.messageSubscriptions.add(
+      this.wsService.authError$.subscribe((reason) => {
+        if (reason) {
+          this.lastError = `Authentication failed: ${reason}. Sign in with a valid user and key.`;
+        }
+      })
+    );
+    this.messageSubscriptions.add(
+      this.audioService.level$.subscribe((level) => {
+        this.inputLevel = level;
+      })
+    );
+    this.messageSubscriptions.add(
+      this.audioService.inputWarning$.subscribe((warning) => {
+        this.inputWarning = warning;
+      })
+    );
+    this.messageSubscriptions.add(
+      this.wsService.congested$.subscribe((congested) => {
+        this.isCongested = congested;
+      })
+    );
+    this.messageSubscriptions.add(
+      this.wsService.partialTranscript$.subscribe((message) => this.applyPartial(message))
+    );
+    this.messageSubscriptions.add(
+      this.wsService.finalTranscript$.subscribe((message) => this.applyFinal(message))
+    );
+    this.messageSubscriptions.add(
+      this.wsService.speechStart$.subscribe(() => {
+        this.isSpeaking = true;
+      })
+    );
+    this.messageSubscriptions.add(
+      this.wsService.speechEnd$.subscribe(() => {
+        this.isSpeaking = false;
+      })
+    );
+    this.messageSubscriptions.add(
+      this.wsService.recordingState$.subscribe((message) => {
+        this.isServerRecording = message.isRecording;
+      })
+    );
+    this.messageSubscriptions.add(
+      this.wsService.errors$.subscribe((message) => {
+        this.lastError = message.message;
+        if (message.source === 'transcription') {
+          this.awsStatus = 'Error';
+        }
+      })
+    );
   }
 
   ngOnDestroy(): void {
     if (this.statusSubscription) {
       this.statusSubscription.unsubscribe();
     }
+    this.messageSubscriptions.unsubscribe();
     this.wsService.disconnect();
     this.audioService.stopMicrophone();
   }
 
   async connect(): Promise<void> {
+    this.lastError = null;
     try {
       // Request microphone access first
       await this.audioService.requestMicrophoneAccess();
       
       // Start audio capture
-      this.audioService.startAudioCapture();
+      await this.audioService.startAudioCapture();
       
       // Only connect WebSocket if microphone access succeeded
       this.wsService.connect();
@@ -63,14 +143,63 @@ export class TranscriptionComponent implements OnInit, OnDestroy {
     this.audioService.stopMicrophone();
   }
 
+  clearTranscript(): void {
+    this.segments = [];
+  }
+
+  private applyPartial(message: PartialTranscriptMessage): void {
+    this.awsStatus = 'Transcribing';
+    const existing = this.segments.find(segment => segment.resultId === message.resultId);
+
+    if (existing) {
+      // Partial results are revised in place until the final arrives
+      if (existing.isPartial) {
+        existing.text = message.text;
+        existing.phi = message.phi || [];
+      }
+      return;
+    }
+
+    this.segments.push({
+      resultId: message.resultId,
+      text: message.text,
+      phi: message.phi || [],
+      isPartial: true,
+      receivedAt: new Date()
+    });
+  }
+
+  private applyFinal(message: FinalTranscriptMessage): void {
+    this.awsStatus = 'Transcribing';
+    const existing = this.segments.find(segment => segment.resultId === message.resultId);
+
+    if (existing) {
+      existing.text = message.text;
+      existing.phi = message.phi || [];
+      existing.isPartial = false;
+      existing.receivedAt = new Date(message.timestamp);
+      return;
+    }
+
+    this.segments.push({
+      resultId: message.resultId,
+      text: message.text,
+      phi: message.phi || [],
+      isPartial: false,
+      receivedAt: new Date(message.timestamp)
+    });
+  }
+
   getNetworkStatusText(): string {
     switch (this.networkStatus) {
       case ConnectionStatus.CONNECTED:
-        return 'Connected';
+        return this.isCongested ? 'Connected - network congested (buffering audio)' : 'Connected';
       case ConnectionStatus.CONNECTING:
         return 'Connecting...';
       case ConnectionStatus.RECONNECTING:
-        return 'Reconnecting...';
+        return 'Reconnecting (buffering audio)...';
+      case ConnectionStatus.UNAUTHORIZED:
+        return 'Authentication Failed';
       case ConnectionStatus.ERROR:
         return 'Error';
       case ConnectionStatus.DISCONNECTED:
@@ -82,10 +211,11 @@ export class TranscriptionComponent implements OnInit, OnDestroy {
   getNetworkStatusClass(): string {
     switch (this.networkStatus) {
       case ConnectionStatus.CONNECTED:
-        return 'status-connected';
+        return this.isCongested ? 'status-connecting' : 'status-connected';
       case ConnectionStatus.CONNECTING:
       case ConnectionStatus.RECONNECTING:
         return 'status-connecting';
+      case ConnectionStatus.UNAUTHORIZED:
       case ConnectionStatus.ERROR:
         return 'status-error';
       case ConnectionStatus.DISCONNECTED:
@@ -98,6 +228,10 @@ export class TranscriptionComponent implements OnInit, OnDestroy {
     return this.networkStatus === ConnectionStatus.CONNECTED;
   }
 
+  isMicrophoneActive(): boolean {
+    return this.audioService.isMicrophoneActive();
+  }
+
   isConnecting(): boolean {
     return this.networkStatus === ConnectionStatus.CONNECTING || 
            this.networkStatus === ConnectionStatus.RECONNECTING;
@@ -1,28 +1,196 @@
 import { Injectable } from '@angular/core';
-import { BehaviorSubject, Observable } from 'rxjs';
+import { BehaviorSubject, Observable, Subject, filter, firstValueFrom, timeout } from 'rxjs';
+import audioConfig from '../../audio-config.json';
+import { RuntimeConfigService } from './runtime-config.service';
+import { AuthService } from './auth.service';
 
 export enum ConnectionStatus {
   DISCONNECTED = 'disconnected',
   CONNECTING = 'connecting',
   CONNECTED = 'connected',
   RECONNECTING = 'reconnecting',
+  UNAUTHORIZED = 'unauthorized',
   ERROR = 'error'
 }
 
+// WebSocket subprotocols used to negotiate audio framing with the server
+export const PROTOCOL_BINARY = 'audio-eventstream';
+export const PROTOCOL_JSON = 'audio-json';
+
+// Close code the server uses for connections that fail authentication
+export const CLOSE_AUTH_FAILED = 4401;
+// Close code the client uses for connections that stopped answering pings
+export const CLOSE_HEARTBEAT_TIMEOUT = 4408;
+// Close code the server uses when an operator disconnects the client
+export const CLOSE_KICKED = 4410;
+
+export interface WelcomeMessage {
+  type: 'welcome';
+  message: string;
+  clientId: number;
+  user: string | null;
+  sessionId: string; // presented when reconnecting to resume this session
+  resumed: boolean; // whether an earlier session was resumed
+  lastSequence: number | null; // last audio packet the server received in this session
+}
+
+export interface AckMessage {
+  type: 'ack';
+  sequence: number; // audio packets up to this one have been received
+}
+
+export interface PongMessage {
+  type: 'pong';
+  id: number | null; // id of the ping being answered
+}
+
+// PHI found in a transcript text: character offsets of the text, or of its [TYPE] placeholder when redacted
+export interface PhiSpan {
+  type: string; // e.g. NAME, DATE, MRN, PHONE
+  start: number;
+  end: number;
+}
+
+export interface PartialTranscriptMessage {
+  type: 'partialTranscript';
+  resultId: string;
+  text: string;
+  startTime: number; // seconds from stream start
+  endTime: number;
+  phi: PhiSpan[];
+}
+
+export interface FinalTranscriptMessage {
+  type: 'finalTranscript';
+  resultId: string;
+  text: string;
+  startTime: number; // seconds from stream start
+  endTime: number;
+  confidence: number | null; // 0-1, if the engine reports it
+  speaker: string | null; // if the engine identifies speakers
+  phi: PhiSpan[];
+  timestamp: number; // server time (ms since epoch)
+}
+
+export interface SpeechStartMessage {
+  type: 'speechStart';
+  utteranceId: number;
+  startTime: number; // seconds of streamed audio
+}
+
+export interface SpeechEndMessage {
+  type: 'speechEnd';
+  utteranceId: number;
+  startTime: number; // seconds of streamed audio
+  endTime: number;
+}
+
+export interface RecordingStateMessage {
+  type: 'recordingState';
+  isRecording: boolean;
+  file: string | null;
+  startedAt: number | null; // server time (ms since epoch)
+  elapsedMs: number; // how long the recording had been running when the message was sent
+  metadata: SessionMetadata;
+}
+
+// How PHI in transcripts is handled: left alone, tagged (spans reported) or redacted
+export type PhiMode = 'off' | 'tag' | 'redact';
+
+// Transcript processing settings of this session
+export interface TranscriptOptions {
+  phi: { mode: PhiMode; types: string[] };
+  vocabulary: string | null; // custom vocabulary name
+}
+
+export interface TranscriptOptionsMessage {
+  type: 'transcriptOptions';
+  phi: { mode: PhiMode; types: string[]; required: boolean }; // when required, settings can only be made stricter
+  vocabulary: string | null;
+  available: { phiTypes: string[]; vocabularies: string[] };
+}
+
+export interface ControlResultMessage {
+  type: 'controlResult';
+  requestId: number | null;
+  action: ControlAction;
+  ok: boolean;
+  error: string | null;
+}
+
+export interface ErrorMessage {
+  type: 'error';
+  source: 'server' | 'transcription';
+  message: string;
+}
+
+// Session details stored with the client's recordings, e.g. { patientId, encounterId }
+export type SessionMetadata = Record<string, string>;
+
+// Control messages the client may send about its own session
+export type ControlAction = 'startRecording' | 'stopRecording' | 'setMetadata' | 'setTranscriptOptions';
+
+// Messages sent by the server (see server/serverMessages.js)
+export type ServerMessage =
+  | WelcomeMessage
+  | AckMessage
+  | PongMessage
+  | PartialTranscriptMessage
+  | FinalTranscriptMessage
+  | SpeechStartMessage
+  | SpeechEndMessage
+  | RecordingStateMessage
+  | TranscriptOptionsMessage
+  | ControlResultMessage
+  | ErrorMessage;
+
 @Injectable({
   providedIn: 'root'
 })
 export class WebSocketService {
   private ws: WebSocket | null = null;
-  private readonly maxRetries = 4;
   private retryCount = 0;
   private retryTimeout: any = null;
-  private readonly serverUrl = 'ws://localhost:5000';
+  // Server session to resume when reconnecting after the connection dropped
+  private sessionId: string | null = null;
+  // Liveness: the server is pinged while connected and anything it sends counts as an answer
+  private heartbeatTimer: any = null;
+  private lastMessageAt = 0;
+  private pingId = 0;
+  private controlRequestId = 0;
+  // Offer binary framing first when configured; the server picks one
+  private readonly protocols = audioConfig.framing === 'binary'
+    ? [PROTOCOL_BINARY, PROTOCOL_JSON]
+    : [PROTOCOL_JSON];
   
   private statusSubject = new BehaviorSubject<ConnectionStatus>(ConnectionStatus.DISCONNECTED);
   public status$: Observable<ConnectionStatus> = this.statusSubject.asObservable();
 
-  constructor() {}
+  // Reason given by the server for the last failed authentication
+  private authErrorSubject = new BehaviorSubject<string | null>(null);
+  public authError$: Observable<string | null> = this.authErrorSubject.asObservable();
+
+  // Whether more data is queued on the socket than the network is carrying away
+  private congestedSubject = new BehaviorSubject<boolean>(false);
+  public congested$: Observable<boolean> = this.congestedSubject.asObservable();
+
+  private messageSubject = new Subject<ServerMessage>();
+  public messages$: Observable<ServerMessage> = this.messageSubject.asObservable();
+  public welcome$ = this.messagesOfType<WelcomeMessage>('welcome');
+  public ack$ = this.messagesOfType<AckMessage>('ack');
+  public partialTranscript$ = this.messagesOfType<PartialTranscriptMessage>('partialTranscript');
+  public finalTranscript$ = this.messagesOfType<FinalTranscriptMessage>('finalTranscript');
+  public speechStart$ = this.messagesOfType<SpeechStartMessage>('speechStart');
+  public speechEnd$ = this.messagesOfType<SpeechEndMessage>('speechEnd');
+  public recordingState$ = this.messagesOfType<RecordingStateMessage>('recordingState');
+  public transcriptOptions$ = this.messagesOfType<TranscriptOptionsMessage>('transcriptOptions');
+  public controlResult$ = this.messagesOfType<ControlResultMessage>('controlResult');
+  public errors$ = this.messagesOfType<ErrorMessage>('error');
+
+  constructor(
+    private runtimeConfig: RuntimeConfigService,
+    private authService: AuthService
+  ) {}
 
   connect(): void {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
@@ -36,6 +204,7 @@ export class WebSocketService {
     }
 
     this.retryCount = 0;
+    this.sessionId = null;
     this.attemptConnection();
   }
 
@@ -47,19 +216,44 @@ export class WebSocketService {
     }
 
     try {
-      this.ws = new WebSocket(this.serverUrl);
+      this.ws = new WebSocket(this.connectionUrl(), this.protocols);
+      this.ws.binaryType = 'arraybuffer';
 
       this.ws.onopen = () => {
-        console.log('WebSocket connected');
-        this.retryCount = 0;
-        this.statusSubject.next(ConnectionStatus.CONNECTED);
-        this.clearRetryTimeout();
+        console.log(`WebSocket connected (protocol: ${this.ws?.protocol || 'none'})`);
+        // The connection counts as connected once the server's welcome confirms authentication
+        const credentials = this.authService.credentials;
+        if (credentials) {
+          this.ws?.send(JSON.stringify({ type: 'auth', user: credentials.user, key: credentials.key }));
+        }
       };
 
       this.ws.onclose = (event) => {
         console.log('WebSocket closed', event);
         this.ws = null;
+        this.stopHeartbeat();
+        this.setCongested(false);
         
+        // Retrying with the same credentials would fail again
+        if (event.code === CLOSE_AUTH_FAILED) {
+          this.clearRetryTimeout();
+          this.retryCount = 0;
+          this.sessionId = null;
+          this.authErrorSubject.next(event.reason || 'Authentication failed');
+          this.statusSubject.next(ConnectionStatus.UNAUTHORIZED);
+          return;
+        }
+
+        // The server ended the session on purpose; reconnecting would undo that
+        if (event.code === CLOSE_KICKED) {
+          console.warn('Disconnected by the server:', event.reason);
+          this.clearRetryTimeout();
+          this.retryCount = 0;
+          this.sessionId = null;
+          this.statusSubject.next(ConnectionStatus.DISCONNECTED);
+          return;
+        }
+
         // Only retry if it wasn't a manual disconnect
         if (event.code !== 1000) {
           this.handleReconnection();
@@ -74,8 +268,7 @@ export class WebSocketService {
       };
 
       this.ws.onmessage = (event) => {
-        console.log('WebSocket message received:', event.data);
-        // Handle incoming messages here if needed
+        this.handleMessage(event.data);
       };
     } catch (error) {
       console.error('Error creating WebSocket:', error);
@@ -84,12 +277,105 @@ export class WebSocketService {
     }
   }
 
+  // Server URL, asking to resume the previous session when there is one
+  private connectionUrl(): string {
+    if (!this.sessionId) {
+      return this.runtimeConfig.serverUrl;
+    }
+    const url = new URL(this.runtimeConfig.serverUrl);
+    url.searchParams.set('session', this.sessionId);
+    return url.toString();
+  }
+
+  private handleMessage(data: unknown): void {
+    if (typeof data !== 'string') {
+      console.warn('Ignoring non-text WebSocket message');
+      return;
+    }
+
+    this.lastMessageAt = Date.now();
+
+    try {
+      const message = JSON.parse(data) as ServerMessage;
+      if (message && typeof message.type === 'string') {
+        if (message.type === 'welcome') {
+          this.sessionId = message.sessionId;
+          this.retryCount = 0;
+          this.clearRetryTimeout();
+          this.authErrorSubject.next(null);
+          this.statusSubject.next(ConnectionStatus.CONNECTED);
+          this.startHeartbeat();
+        }
+        this.messageSubject.next(message);
+      }
+    } catch (error) {
+      console.error('Invalid message from server:', data);
+    }
+  }
+
+  private messagesOfType<T extends ServerMessage>(type: T['type']): Observable<T> {
+    return this.messages$.pipe(
+      filter((message): message is T => message.type === type)
+    );
+  }
+
+  private startHeartbeat(): void {
+    this.stopHeartbeat();
+    const heartbeat = this.runtimeConfig.heartbeat;
+    if (heartbeat.intervalMs <= 0) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > heartbeat.timeoutMs) {
+        this.handleDeadConnection();
+        return;
+      }
+      // Sent directly: pings must not wait behind a congested audio queue check
+      this.ws?.send(JSON.stringify({ type: 'ping', id: ++this.pingId }));
+    }, heartbeat.intervalMs);
+  }
+
+  private stopHeartbeat(): void {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  // The browser may not notice a dead link for minutes, so give up on the socket and reconnect now
+  private handleDeadConnection(): void {
+    console.warn(`No response from server for ${Math.round((Date.now() - this.lastMessageAt) / 1000)}s; reconnecting`);
+    this.stopHeartbeat();
+    this.setCongested(false);
+
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.onerror = null;
+      this.ws.onmessage = null;
+      this.ws.close(CLOSE_HEARTBEAT_TIMEOUT, 'Heartbeat timeout');
+      this.ws = null;
+    }
+
+    this.handleReconnection();
+  }
+
+  private setCongested(congested: boolean): void {
+    if (congested !== this.congestedSubject.value) {
+      if (congested) {
+        console.warn(`Network congested: ${this.ws?.bufferedAmount ?? 0} bytes waiting to be sent`);
+      }
+      this.congestedSubject.next(congested);
+    }
+  }
+
   private handleReconnection(): void {
-    if (this.retryCount < this.maxRetries) {
+    const retry = this.runtimeConfig.retry;
+    if (this.retryCount < retry.maxRetries) {
       this.retryCount++;
-      const delay = Math.min(1000 * Math.pow(2, this.retryCount - 1), 10000); // Exponential backoff, max 10s
+      const delay = Math.min(retry.baseDelayMs * Math.pow(2, this.retryCount - 1), retry.maxDelayMs); // Exponential backoff
       
-      console.log(`Attempting to reconnect (${this.retryCount}/${this.maxRetries}) in ${delay}ms`);
+      console.log(`Attempting to reconnect (${this.retryCount}/${retry.maxRetries}) in ${delay}ms`);
       
       this.retryTimeout = setTimeout(() => {
         this.attemptConnection();
@@ -98,12 +384,16 @@ export class WebSocketService {
       console.log('Max retry attempts reached');
       this.statusSubject.next(ConnectionStatus.DISCONNECTED);
       this.retryCount = 0;
+      this.sessionId = null;
     }
   }
 
   disconnect(): void {
     this.clearRetryTimeout();
+    this.stopHeartbeat();
+    this.setCongested(false);
     this.retryCount = 0;
+    this.sessionId = null;
 
     if (this.ws) {
       this.ws.close(1000, 'Manual disconnect');
@@ -125,22 +415,86 @@ export class WebSocketService {
   }
 
   send(message: string): void {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(message);
+    if (this.isConnected()) {
+      this.ws?.send(message);
     } else {
       console.warn('WebSocket is not connected. Cannot send message.');
     }
   }
 
   sendJson(data: any): void {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(data));
+    if (this.isConnected()) {
+      this.ws?.send(JSON.stringify(data));
+    }
+    // Silently ignore if not connected; AudioService buffers audio for replay itself
+  }
+
+  sendBinary(data: ArrayBuffer): void {
+    if (this.isConnected()) {
+      this.ws?.send(data);
+    }
+    // Silently ignore if not connected, same as sendJson
+  }
+
+  startRecording(): Promise<void> {
+    return this.sendControl('startRecording');
+  }
+
+  stopRecording(): Promise<void> {
+    return this.sendControl('stopRecording');
+  }
+
+  // Replaces the metadata stored with this session's recordings
+  setMetadata(metadata: SessionMetadata): Promise<void> {
+    return this.sendControl('setMetadata', { metadata });
+  }
+
+  // Changes PHI handling and the custom vocabulary for this session's transcript; fields left out are unchanged
+  setTranscriptOptions(options: Partial<TranscriptOptions>): Promise<void> {
+    return this.sendControl('setTranscriptOptions', options);
+  }
+
+  // Sends a control message and resolves once the server acknowledges it; rejects with the
+  // server's reason, or when there is no answer within the heartbeat timeout
+  private async sendControl(action: ControlAction, fields: object = {}): Promise<void> {
+    if (!this.isConnected()) {
+      throw new Error('Not connected to the server');
+    }
+
+    const requestId = ++this.controlRequestId;
+    const result = firstValueFrom(this.controlResult$.pipe(
+      filter((message) => message.requestId === requestId),
+      timeout(this.runtimeConfig.heartbeat.timeoutMs)
+    ));
+    this.ws?.send(JSON.stringify({ type: action, requestId, ...fields }));
+
+    const message = await result.catch(() => {
+      throw new Error('No answer from the server');
+    });
+    if (!message.ok) {
+      throw new Error(message.error || `${action} failed`);
+    }
+  }
+
+  // Connected and the send queue is below runtimeConfig.maxBufferedBytes. Updates congested$;
+  // callers keep what they could not send and try again later
+  canSend(): boolean {
+    if (!this.isConnected()) {
+      return false;
     }
-    // Silently ignore if not connected (as per requirement)
+    const congested = (this.ws?.bufferedAmount ?? 0) >= this.runtimeConfig.maxBufferedBytes;
+    this.setCongested(congested);
+    return !congested;
+  }
+
+  isBinaryFraming(): boolean {
+    return this.ws !== null && this.ws.protocol === PROTOCOL_BINARY;
   }
 
+  // Open and authenticated; audio must not be sent before the server's welcome
   isConnected(): boolean {
-    return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    return this.ws !== null && this.ws.readyState === WebSocket.OPEN &&
+      this.statusSubject.value === ConnectionStatus.CONNECTED;
   }
 }
 
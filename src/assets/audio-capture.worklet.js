@@ -0,0 +1,41 @@
+/**
+ * AudioWorklet processor for microphone capture.
+ * Mixes input down to mono and posts it to the main thread in chunks of
+ * `chunkSize` samples at the AudioContext's native rate. Resampling to the
+ * configured rate happens in AudioService.
+ */
+class AudioCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const chunkSize = (options.processorOptions && options.processorOptions.chunkSize) || 2048;
+    this.buffer = new Float32Array(chunkSize);
+    this.offset = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true;
+    }
+
+    const frameLength = input[0].length;
+    for (let i = 0; i < frameLength; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sample += input[channel][i];
+      }
+      this.buffer[this.offset++] = sample / input.length;
+
+      if (this.offset === this.buffer.length) {
+        const chunk = this.buffer;
+        this.port.postMessage(chunk, [chunk.buffer]);
+        this.buffer = new Float32Array(chunk.length);
+        this.offset = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('audio-capture-processor', AudioCaptureProcessor);